@@ -9,14 +9,34 @@ const state = {
         balloons: null,
         paths: null,
         stations: null,
-        unique: null
+        unique: null,
+        winds: null,
+        forecast: null,
+        anomalies: null,
+        revisit: null,
+        gaps: null,
+        value: null,
+        scenario: null
     },
     data: {
         balloons: [],
         paths: [],
         stations: [],
-        stats: null
+        winds: [],
+        forecasts: [],
+        revisit: null,
+        gaps: [],
+        value: null,
+        stats: null,
+        snapshot: null,
+        nearestStations: new Map(),
+        regions: [],
+        scenarios: []
     },
+    regionSort: { key: 'uniqueCoveragePositions', descending: true },
+    hideFlagged: false,
+    altitudeBand: '',
+    coverageRadiusKm: 200,
     autoRefresh: true,
     refreshInterval: null
 };
@@ -24,6 +44,15 @@ const state = {
 // API Base URL
 const API_BASE = window.location.origin;
 
+// Cell size of the revisit-frequency layer, in degrees
+const REVISIT_RESOLUTION = 2;
+
+// Positions per /api/nearest request (keeps the query string well under URL limits)
+const NEAREST_BATCH_SIZE = 100;
+
+// Scenario columns kept side by side in the comparison table
+const MAX_SCENARIO_COLUMNS = 4;
+
 /**
  * Initialize the application
  */
@@ -70,6 +99,16 @@ function initMap() {
     state.layers.paths = L.layerGroup().addTo(state.map);
     state.layers.stations = L.layerGroup().addTo(state.map);
     state.layers.unique = L.layerGroup().addTo(state.map);
+    // Wind arrows start hidden; they crowd the map at low zoom
+    state.layers.winds = L.layerGroup();
+    state.layers.forecast = L.layerGroup();
+    state.layers.anomalies = L.layerGroup().addTo(state.map);
+    // Revisit cells, gap circles and value dots start hidden; they cover the balloon markers
+    state.layers.revisit = L.layerGroup();
+    state.layers.gaps = L.layerGroup();
+    state.layers.value = L.layerGroup();
+    // Scenario changes appear once a scenario has been run
+    state.layers.scenario = L.layerGroup();
 
     console.log('Map initialized');
 }
@@ -95,11 +134,82 @@ function setupEventListeners() {
         toggleLayer('unique', e.target.checked);
     });
 
+    document.getElementById('toggle-winds').addEventListener('change', (e) => {
+        toggleLayer('winds', e.target.checked);
+    });
+
+    document.getElementById('toggle-forecast').addEventListener('change', (e) => {
+        toggleLayer('forecast', e.target.checked);
+    });
+
+    document.getElementById('toggle-anomalies').addEventListener('change', (e) => {
+        toggleLayer('anomalies', e.target.checked);
+    });
+
+    document.getElementById('toggle-revisit').addEventListener('change', (e) => {
+        toggleLayer('revisit', e.target.checked);
+    });
+
+    document.getElementById('toggle-gaps').addEventListener('change', (e) => {
+        toggleLayer('gaps', e.target.checked);
+    });
+
+    document.getElementById('toggle-value').addEventListener('change', (e) => {
+        toggleLayer('value', e.target.checked);
+        // Scored positions are only fetched while the layer is shown
+        if (e.target.checked && !(state.data.value && state.data.value.positions)) loadValuePositions();
+    });
+
+    document.getElementById('toggle-scenario').addEventListener('change', (e) => {
+        toggleLayer('scenario', e.target.checked);
+    });
+
+    // Hiding flagged points changes what the other layers draw, so redraw them
+    document.getElementById('toggle-hide-flagged').addEventListener('change', (e) => {
+        state.hideFlagged = e.target.checked;
+        updateMap();
+    });
+
     // Refresh button
     document.getElementById('refresh-btn').addEventListener('click', () => {
         loadData();
     });
 
+    // Altitude band filter - statistics are recomputed server-side for the band
+    document.getElementById('altitude-band').addEventListener('change', (e) => {
+        state.altitudeBand = e.target.value;
+        loadData();
+    });
+
+    // Gap radius - what counts as "no station nearby" for unique coverage
+    document.getElementById('coverage-radius').addEventListener('change', (e) => {
+        state.coverageRadiusKm = parseInt(e.target.value, 10);
+        loadData();
+    });
+
+    // Regional table - click a column header to sort by it, again to reverse
+    document.querySelectorAll('#regions-header th').forEach(header => {
+        header.addEventListener('click', () => {
+            const key = header.dataset.sort;
+            const sort = state.regionSort;
+            sort.descending = sort.key === key ? !sort.descending : key !== 'region' && key !== 'type';
+            sort.key = key;
+            updateRegionsTable();
+        });
+    });
+
+    // What-if scenarios - each run adds a column to the comparison table
+    document.getElementById('scenario-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        runScenario();
+    });
+
+    document.getElementById('scenario-clear').addEventListener('click', () => {
+        state.data.scenarios = [];
+        updateScenarioTable();
+        updateScenarioLayer();
+    });
+
     // Auto-refresh toggle
     document.getElementById('auto-refresh').addEventListener('change', (e) => {
         state.autoRefresh = e.target.checked;
@@ -138,7 +248,11 @@ async function loadData() {
         setStepActive('windborne');
         updateLoadingProgress(10, 'Fetching balloon constellation...');
 
-        const coverageResponse = await fetch(`${API_BASE}/api/coverage`);
+        const coverageParams = new URLSearchParams();
+        if (state.altitudeBand) coverageParams.set('band', state.altitudeBand);
+        if (state.coverageRadiusKm !== 200) coverageParams.set('radius', state.coverageRadiusKm);
+        const coverageQuery = coverageParams.toString() ? `?${coverageParams}` : '';
+        const coverageResponse = await fetch(`${API_BASE}/api/coverage${coverageQuery}`);
         const coverageData = await coverageResponse.json();
 
         if (!coverageData.success) {
@@ -162,10 +276,29 @@ async function loadData() {
         setStepCompleted('stations');
         updateLoadingProgress(60, 'Weather stations loaded!');
 
+        // Winds, forecasts, revisits, gaps, values and the regional table are optional - the map still works without them
+        const revisitParams = new URLSearchParams(coverageParams);
+        revisitParams.set('resolution', REVISIT_RESOLUTION);
+        const [windsData, forecastData, regionsData, revisitData, gapsData, valueData] = await Promise.all([
+            fetch(`${API_BASE}/api/winds?latest=true`).then(response => response.json()).catch(() => null),
+            fetch(`${API_BASE}/api/forecast`).then(response => response.json()).catch(() => null),
+            fetch(`${API_BASE}/api/coverage/regions${coverageQuery}`).then(response => response.json()).catch(() => null),
+            fetch(`${API_BASE}/api/revisit?${revisitParams}`).then(response => response.json()).catch(() => null),
+            fetch(`${API_BASE}/api/gaps`).then(response => response.json()).catch(() => null),
+            fetch(`${API_BASE}/api/value${state.map.hasLayer(state.layers.value) ? '?positions=true' : ''}`).then(response => response.json()).catch(() => null)
+        ]);
+
         // Update state
         state.data.paths = coverageData.balloonData || [];
         state.data.stats = coverageData.statistics;
+        state.data.snapshot = coverageData.snapshot || null;
         state.data.stations = stationsData.stations || [];
+        state.data.winds = windsData && windsData.success ? windsData.vectors : [];
+        state.data.forecasts = forecastData && forecastData.success ? forecastData.forecasts : [];
+        state.data.regions = regionsData && regionsData.success ? regionsData.regions : [];
+        state.data.revisit = revisitData && revisitData.success ? revisitData.grid : null;
+        state.data.gaps = gapsData && gapsData.success ? gapsData.gaps : [];
+        state.data.value = valueData && valueData.success ? valueData : null;
 
         // Extract all balloon positions
         state.data.balloons = [];
@@ -181,8 +314,7 @@ async function loadData() {
         setStepActive('analysis');
         updateLoadingProgress(65, 'Analyzing coverage gaps...');
 
-        // Simulate analysis time for better UX
-        await new Promise(resolve => setTimeout(resolve, 500));
+        state.data.nearestStations = await loadNearestStations(state.data.balloons.filter(b => b.hour === 0));
 
         setStepCompleted('analysis');
         updateLoadingProgress(80, 'Analysis complete!');
@@ -192,8 +324,11 @@ async function loadData() {
         updateLoadingProgress(85, 'Rendering interactive map...');
 
         // Update visualization
+        updateBandOptions();
         updateMap();
         updateStats();
+        updateRegionsTable();
+        updateValuePanel();
 
         setStepCompleted('render');
         updateLoadingProgress(100, 'Ready!');
@@ -229,13 +364,22 @@ function updateMap() {
     state.layers.paths.clearLayers();
     state.layers.stations.clearLayers();
     state.layers.unique.clearLayers();
+    state.layers.winds.clearLayers();
+    state.layers.forecast.clearLayers();
+    state.layers.anomalies.clearLayers();
+    state.layers.revisit.clearLayers();
+    state.layers.gaps.clearLayers();
+
+    const isVisible = pos => !(state.hideFlagged && pos.anomalies);
 
     // Add balloon paths (24H trajectories)
     state.data.paths.forEach((path, index) => {
         if (!path || path.length < 2) return;
 
         // Create polyline for path
-        const coordinates = path.map(pos => [pos.latitude, pos.longitude]);
+        const coordinates = path.filter(isVisible).map(pos => [pos.latitude, pos.longitude]);
+        if (coordinates.length < 2) return;
+
         const polyline = L.polyline(coordinates, {
             color: '#9ca3af',
             weight: 2,
@@ -247,7 +391,7 @@ function updateMap() {
     });
 
     // Add current balloon positions (hour 00)
-    const currentBalloons = state.data.balloons.filter(b => b.hour === 0);
+    const currentBalloons = state.data.balloons.filter(b => b.hour === 0 && isVisible(b));
     currentBalloons.forEach((balloon, index) => {
         const marker = L.circleMarker([balloon.latitude, balloon.longitude], {
             radius: 6,
@@ -262,10 +406,12 @@ function updateMap() {
         marker.addTo(state.layers.balloons);
     });
 
-    // Add WindBorne-only coverage (no stations within 200km)
+    // Add WindBorne-only coverage (no stations within the gap radius)
+    const radiusKm = getCoverageRadius();
     const uniqueCoverage = currentBalloons.filter(balloon => {
-        const nearestStation = findNearestStation(balloon);
-        return nearestStation && nearestStation.distance > 200;
+        const nearestStation = state.data.nearestStations.get(balloon);
+        // null: no station anywhere; undefined: the lookup failed, so it can't be shown
+        return nearestStation === null || (nearestStation !== undefined && nearestStation.distanceKm > radiusKm);
     });
 
     uniqueCoverage.forEach((balloon, index) => {
@@ -278,7 +424,7 @@ function updateMap() {
             fillOpacity: 0.9
         });
 
-        const nearestStation = findNearestStation(balloon);
+        const nearestStation = state.data.nearestStations.get(balloon);
         marker.bindPopup(createUniqueCoveragePopup(balloon, nearestStation, index));
         marker.addTo(state.layers.unique);
     });
@@ -299,9 +445,221 @@ function updateMap() {
         marker.addTo(state.layers.stations);
     });
 
+    // Highlight flagged positions (unless they are hidden altogether)
+    if (!state.hideFlagged) {
+        state.data.balloons.filter(pos => pos.anomalies).forEach(pos => {
+            const marker = L.circleMarker([pos.latitude, pos.longitude], {
+                radius: 9,
+                color: '#dc2626',
+                weight: 2,
+                opacity: 0.9,
+                fill: false
+            });
+
+            marker.bindPopup(createAnomalyPopup(pos));
+            marker.addTo(state.layers.anomalies);
+        });
+    }
+
+    // Add wind arrows (latest vector per balloon), length and color by speed
+    state.data.winds.forEach(wind => {
+        const color = getWindColor(wind.speed);
+        const arrow = L.polyline(createWindArrow(wind), {
+            color,
+            weight: 2,
+            opacity: 0.85
+        });
+
+        arrow.bindPopup(createWindPopup(wind));
+        arrow.addTo(state.layers.winds);
+    });
+
+    // Add forecast tracks: uncertainty cone underneath a dashed centre line
+    state.data.forecasts.forEach(forecast => {
+        const line = unwrapLongitudes([forecast.origin, ...forecast.points]);
+
+        L.polygon(createForecastCone(forecast, line), {
+            color: '#8b5cf6',
+            weight: 0,
+            fillColor: '#8b5cf6',
+            fillOpacity: 0.12,
+            interactive: false
+        }).addTo(state.layers.forecast);
+
+        const polyline = L.polyline(line, {
+            color: '#7c3aed',
+            weight: 2,
+            opacity: 0.8,
+            dashArray: '6 6'
+        });
+
+        polyline.bindPopup(createForecastPopup(forecast));
+        polyline.addTo(state.layers.forecast);
+    });
+
+    // Add revisit frequency: one cell per observed grid square, darker the more hours it was seen
+    const revisit = state.data.revisit;
+    if (revisit) {
+        // Thousands of cells: draw them on one canvas rather than as SVG elements
+        const renderer = L.canvas();
+        const size = revisit.resolution;
+
+        revisit.observedHours.forEach((hours, i) => {
+            if (hours === 0) return;
+
+            const north = 90 - Math.floor(i / revisit.width) * size;
+            const west = -180 + (i % revisit.width) * size;
+            const revisited = revisit.longestGapHours[i] < revisit.revisitHours;
+
+            const cell = L.rectangle([[north - size, west], [north, west + size]], {
+                renderer,
+                weight: 0,
+                fillColor: getRevisitColor(hours / revisit.windowHours, revisited),
+                fillOpacity: 0.6
+            });
+
+            cell.bindPopup(createRevisitPopup(revisit, i, north, west));
+            cell.addTo(state.layers.revisit);
+        });
+    }
+
+    // Add the largest station gaps as dashed circles, numbered by rank
+    state.data.gaps.forEach(gap => {
+        const circle = L.circle([gap.latitude, gap.longitude], {
+            radius: gap.radiusKm * 1000,
+            color: '#e11d48',
+            weight: 2,
+            dashArray: '8 6',
+            fillColor: '#e11d48',
+            fillOpacity: 0.05
+        });
+
+        circle.bindTooltip(`#${gap.rank}`, { permanent: true, direction: 'center', className: 'gap-label' });
+        circle.bindPopup(createGapPopup(gap));
+        circle.addTo(state.layers.gaps);
+    });
+
+    updateValueLayer();
+
     console.log('Map updated successfully');
 }
 
+/**
+ * Draw every observation coloured by its value score, highest drawn last so it stays on top
+ */
+function updateValueLayer() {
+    state.layers.value.clearLayers();
+    if (!state.data.value || !state.data.value.positions) return;
+
+    const renderer = L.canvas();
+    [...state.data.value.positions].sort((a, b) => a.score - b.score).forEach(pos => {
+        const dot = L.circleMarker([pos.latitude, pos.longitude], {
+            renderer,
+            radius: 3,
+            weight: 0,
+            fillColor: getValueColor(pos.score),
+            fillOpacity: 0.85
+        });
+
+        dot.bindPopup(createValuePopup(pos));
+        dot.addTo(state.layers.value);
+    });
+}
+
+/**
+ * Fetch every scored position for the value layer, which loadData() skips while the layer is hidden
+ */
+async function loadValuePositions() {
+    try {
+        const response = await fetch(`${API_BASE}/api/value?positions=true`);
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message || 'Failed to fetch observation values');
+
+        state.data.value = data;
+        updateValueLayer();
+        updateValuePanel();
+    } catch (error) {
+        console.error('Error loading observation values:', error);
+    }
+}
+
+/**
+ * Convert positions to [lat, lon] pairs without jumps across the antimeridian
+ */
+function unwrapLongitudes(positions) {
+    const latLngs = [];
+    positions.forEach((pos, i) => {
+        let lon = pos.longitude;
+        if (i > 0) {
+            const previous = latLngs[i - 1][1];
+            while (lon - previous > 180) lon -= 360;
+            while (lon - previous < -180) lon += 360;
+        }
+        latLngs.push([pos.latitude, lon]);
+    });
+    return latLngs;
+}
+
+/**
+ * Polygon outlining the uncertainty cone around a forecast line
+ *
+ * Each forecast point is offset by its radius to either side of the direction
+ * of travel; left edges forward plus right edges back make the cone.
+ */
+function createForecastCone(forecast, line) {
+    const radii = [0, ...forecast.points.map(point => point.radiusKm)];
+    const left = [];
+    const right = [];
+
+    line.forEach(([lat, lon], i) => {
+        const [nextLat, nextLon] = line[Math.min(i + 1, line.length - 1)];
+        const [prevLat, prevLon] = line[Math.max(i - 1, 0)];
+        const cosLat = Math.max(Math.cos(lat * Math.PI / 180), 0.2);
+        const heading = Math.atan2((nextLon - prevLon) * cosLat, nextLat - prevLat);
+        const offset = radii[i] / 111.32;
+
+        left.push([lat + offset * Math.cos(heading - Math.PI / 2), lon + offset * Math.sin(heading - Math.PI / 2) / cosLat]);
+        right.push([lat + offset * Math.cos(heading + Math.PI / 2), lon + offset * Math.sin(heading + Math.PI / 2) / cosLat]);
+    });
+
+    return [...left, ...right.reverse()];
+}
+
+/**
+ * Arrow geometry for a wind vector: shaft pointing downwind plus a two-line head
+ */
+function createWindArrow(wind) {
+    // 1° of arrow per 10 m/s, capped so jet-stream winds stay readable
+    const length = Math.min(Math.max(wind.speed / 10, 0.5), 6);
+    const offset = (bearing, distance) => {
+        const rad = bearing * Math.PI / 180;
+        const lat = wind.latitude;
+        const cosLat = Math.max(Math.cos(lat * Math.PI / 180), 0.2);
+        return [lat + distance * Math.cos(rad), wind.longitude + distance * Math.sin(rad) / cosLat];
+    };
+
+    const tip = offset(wind.bearing, length);
+    const tail = [wind.latitude, wind.longitude];
+    const headLength = length * 0.3;
+    const headPoint = (angle) => {
+        const rad = (wind.bearing + 180 + angle) * Math.PI / 180;
+        const cosLat = Math.max(Math.cos(tip[0] * Math.PI / 180), 0.2);
+        return [tip[0] + headLength * Math.cos(rad), tip[1] + headLength * Math.sin(rad) / cosLat];
+    };
+
+    return [[tail, tip], [headPoint(-25), tip, headPoint(25)]];
+}
+
+/**
+ * Color scale for wind speed in m/s
+ */
+function getWindColor(speed) {
+    if (speed < 10) return '#22c55e';
+    if (speed < 25) return '#eab308';
+    if (speed < 45) return '#f97316';
+    return '#a855f7';
+}
+
 /**
  * Update statistics dashboard
  */
@@ -310,35 +668,388 @@ function updateStats() {
 
     const stats = state.data.stats;
 
-    document.getElementById('stat-balloons').textContent = stats.uniqueBalloons || 0;
+    document.getElementById('stat-balloons').textContent = stats.activeBalloons ?? stats.uniqueBalloons ?? 0;
     document.getElementById('stat-ocean').textContent = `${stats.oceanPercentage || 0}%`;
     document.getElementById('stat-unique').textContent = `${stats.uniqueCoveragePercentage || 0}%`;
+
+    // Area-weighted: how much of the globe's station gap balloons observe
+    const area = stats.areaCoverage;
+    document.getElementById('stat-unique-area').textContent = area
+        ? `${area.gapFilledPercentage}% of gap area filled`
+        : '';
+
+    // Same positions measured against the radiosonde network, when its catalog is loaded
+    const networks = (stats.byNetwork || []).filter(entry => entry.network !== 'surface');
+    const networkLabels = { 'upper-air': 'vs upper-air', both: 'vs all' };
+    document.getElementById('stat-unique-networks').textContent = networks
+        .map(entry => `${entry.uniqueCoveragePercentage}% ${networkLabels[entry.network]}`)
+        .join(' · ');
     document.getElementById('stat-stations').textContent = (stats.weatherStationCount || 0).toLocaleString();
 
     const quality = stats.dataQuality || {};
     const qualityPercent = Math.round((quality.hoursAvailable / 24) * 100);
     document.getElementById('stat-quality').textContent = `${qualityPercent}%`;
 
-    const now = new Date();
-    const timeStr = now.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+    // Lifecycle events per UTC day: today's count, earlier days underneath
+    const lifecycle = stats.lifecycle || [];
+    const today = new Date().toISOString().slice(0, 10);
+    const todayCounts = lifecycle.find(day => day.date === today) || { launches: 0, terminations: 0 };
+    const earlierDays = lifecycle.filter(day => day.date !== today).slice(0, 3);
+    const formatDay = date => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+    document.getElementById('stat-launches').textContent = todayCounts.launches;
+    document.getElementById('stat-terminations').textContent = todayCounts.terminations;
+    document.getElementById('stat-launches-days').textContent = earlierDays
+        .map(day => `${formatDay(day.date)}: ${day.launches}`).join(' · ');
+    document.getElementById('stat-terminations-days').textContent = earlierDays
+        .map(day => `${formatDay(day.date)}: ${day.terminations}`).join(' · ');
+
+    // Show when the server-side snapshot was built, not when we fetched it
+    const snapshot = state.data.snapshot;
+    const updatedAt = snapshot ? new Date(snapshot.generatedAt) : new Date();
+    const timeStr = updatedAt.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
     document.getElementById('stat-updated').textContent = timeStr;
 }
 
+/**
+ * Render the regional breakdown table in the current sort order
+ */
+function updateRegionsTable() {
+    const { key, descending } = state.regionSort;
+    const value = region => (key === 'uniqueCoveragePercentage' ? parseFloat(region[key]) : region[key]);
+
+    // Missing values (ocean basins have no station count) always sort last
+    const regions = [...state.data.regions].sort((a, b) => {
+        const x = value(a);
+        const y = value(b);
+        if (x === null || y === null) return (x === null) - (y === null);
+        const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+        return descending ? -order : order;
+    });
+
+    document.querySelectorAll('#regions-header th').forEach(header => {
+        const arrow = header.dataset.sort === key ? (descending ? ' ▼' : ' ▲') : '';
+        header.textContent = header.textContent.replace(/ [▲▼]$/, '') + arrow;
+    });
+
+    const body = document.getElementById('regions-body');
+    if (regions.length === 0) {
+        body.innerHTML = '<tr><td colspan="6" class="px-3 py-4 text-center text-gray-400">No regional data</td></tr>';
+        return;
+    }
+
+    body.innerHTML = regions.map(region => `
+        <tr class="hover:bg-gray-50">
+            <td class="px-3 py-1.5 font-medium text-gray-900">${region.region}</td>
+            <td class="px-3 py-1.5">${region.type === 'ocean' ? '🌊 Ocean' : '🏳️ Country'}</td>
+            <td class="px-3 py-1.5 text-right">${region.stations === null ? '—' : region.stations.toLocaleString()}</td>
+            <td class="px-3 py-1.5 text-right">${region.positions.toLocaleString()}</td>
+            <td class="px-3 py-1.5 text-right text-green-700">${region.uniqueCoveragePositions.toLocaleString()}</td>
+            <td class="px-3 py-1.5 text-right">${region.uniqueCoveragePercentage}%</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Render constellation value totals and the highest-value balloons
+ */
+function updateValuePanel() {
+    const value = state.data.value;
+    const body = document.getElementById('value-body');
+
+    if (!value) {
+        document.getElementById('value-total').textContent = '-';
+        document.getElementById('value-mean').textContent = '';
+        document.getElementById('value-bands').innerHTML = '';
+        body.innerHTML = '<tr><td colspan="6" class="px-3 py-4 text-center text-gray-400">No value scores</td></tr>';
+        return;
+    }
+
+    const { summary, topBalloons } = value;
+    document.getElementById('value-total').textContent = Math.round(summary.totalScore).toLocaleString();
+    document.getElementById('value-mean').textContent =
+        `${summary.meanScore} per observation · ${summary.bySurface.ocean.sharePercentage}% from over the ocean`;
+
+    // Share of the total from each band, as bars
+    document.getElementById('value-bands').innerHTML = summary.byBand
+        .filter(band => band.observations > 0)
+        .map(band => `
+            <div>
+                <div class="flex justify-between"><span>${band.label}</span><span>${band.sharePercentage}%</span></div>
+                <div class="h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                    <div class="h-full bg-orange-500" style="width: ${band.sharePercentage}%"></div>
+                </div>
+            </div>
+        `).join('');
+
+    body.innerHTML = topBalloons.map(balloon => `
+        <tr class="hover:bg-gray-50 cursor-pointer" data-balloon="${balloon.balloonId}">
+            <td class="px-3 py-1.5 text-gray-400">${balloon.rank}</td>
+            <td class="px-3 py-1.5 font-medium text-gray-900">${balloon.balloonId}</td>
+            <td class="px-3 py-1.5 text-right">${balloon.observations}</td>
+            <td class="px-3 py-1.5 text-right text-orange-700 font-semibold">${Math.round(balloon.totalScore).toLocaleString()}</td>
+            <td class="px-3 py-1.5 text-right">${balloon.meanScore}</td>
+            <td class="px-3 py-1.5 text-right">${balloon.oceanPercentage}%</td>
+        </tr>
+    `).join('');
+
+    // Click a balloon to centre the map on its latest position
+    body.querySelectorAll('tr[data-balloon]').forEach((row, i) => {
+        row.addEventListener('click', () => {
+            const { latest } = topBalloons[i];
+            state.map.setView([latest.latitude, latest.longitude], 5);
+        });
+    });
+}
+
+/**
+ * Read the scenario form into an /api/scenario request body
+ *
+ * @throws {Error} When a line can't be read as numbers
+ */
+function readScenarioForm() {
+    const readLines = (id, fields) => document.getElementById(id).value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const values = line.split(/[\s,]+/).map(Number);
+            if (values.length < fields || values.some(value => !Number.isFinite(value))) {
+                throw new Error(`Can't read "${line}"`);
+            }
+            return values;
+        });
+
+    const countries = document.getElementById('scenario-countries').value
+        .split(/[\s,]+/)
+        .filter(Boolean);
+    const addStations = readLines('scenario-stations', 2).map(([latitude, longitude]) => ({ latitude, longitude }));
+    const launches = readLines('scenario-launches', 2).map(([latitude, longitude, count = 1]) => ({ latitude, longitude, count }));
+
+    return {
+        name: document.getElementById('scenario-name').value.trim() || `Scenario ${state.data.scenarios.length + 1}`,
+        removeStations: { countries },
+        addStations,
+        launches
+    };
+}
+
+/**
+ * Run the scenario in the form against the current snapshot and gap radius
+ */
+async function runScenario() {
+    const status = document.getElementById('scenario-status');
+    const button = document.getElementById('scenario-run');
+
+    try {
+        const body = readScenarioForm();
+        status.textContent = 'Running scenario...';
+        button.disabled = true;
+
+        const params = new URLSearchParams();
+        if (state.coverageRadiusKm !== 200) params.set('radius', state.coverageRadiusKm);
+        const response = await fetch(`${API_BASE}/api/scenario${params.toString() ? `?${params}` : ''}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message || 'Scenario failed');
+
+        state.data.scenarios = [...state.data.scenarios, data].slice(-MAX_SCENARIO_COLUMNS);
+        updateScenarioTable();
+        updateScenarioLayer();
+
+        // Show what changed on the map
+        const toggle = document.getElementById('toggle-scenario');
+        if (!toggle.checked) {
+            toggle.checked = true;
+            toggleLayer('scenario', true);
+        }
+
+        const { changes } = data;
+        status.textContent = `${changes.stationsRemoved.toLocaleString()} stations removed, ${changes.stationsAdded} added, ` +
+            `${changes.balloonsLaunched} balloons launched (${changes.positionsAdded.toLocaleString()} observations)`;
+    } catch (error) {
+        console.error('Error running scenario:', error);
+        status.textContent = error.message;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Format a scenario metric value, or its change with a sign
+ */
+function formatScenarioValue(metric, value, signed = false) {
+    const sign = signed && value > 0 ? '+' : '';
+    return metric.unit === '%' ? `${sign}${value.toFixed(1)}%` : `${sign}${value.toLocaleString()}`;
+}
+
+/**
+ * Render the scenario comparison table: one row per metric, baseline then one column per scenario
+ */
+function updateScenarioTable() {
+    const scenarios = state.data.scenarios;
+    const header = document.getElementById('scenario-header');
+    const body = document.getElementById('scenario-body');
+
+    if (scenarios.length === 0) {
+        header.innerHTML = '';
+        body.innerHTML = '<tr><td class="px-3 py-4 text-center text-gray-400">Run a scenario to compare it with the current network</td></tr>';
+        return;
+    }
+
+    header.innerHTML = `
+        <th class="px-3 py-2">Metric</th>
+        <th class="px-3 py-2 text-right">Baseline</th>
+        ${scenarios.map(scenario => `<th class="px-3 py-2 text-right">${escapeHtml(scenario.name)}</th>`).join('')}
+    `;
+
+    // Rows follow the latest run; every scenario reports the same metrics
+    const latest = scenarios[scenarios.length - 1];
+    body.innerHTML = latest.metrics.map((metric, row) => `
+        <tr class="hover:bg-gray-50">
+            <td class="px-3 py-1.5 font-medium text-gray-900">${metric.label}</td>
+            <td class="px-3 py-1.5 text-right">${formatScenarioValue(metric, metric.baseline)}</td>
+            ${scenarios.map(scenario => {
+                const entry = scenario.metrics[row];
+                // Whether a change is good depends on the metric, so colour only its direction
+                const color = entry.delta === 0 ? 'text-gray-400' : entry.delta > 0 ? 'text-blue-700' : 'text-orange-700';
+                return `
+                    <td class="px-3 py-1.5 text-right">
+                        ${formatScenarioValue(entry, entry.scenario)}
+                        <span class="${color} text-[10px] sm:text-xs">(${formatScenarioValue(entry, entry.delta, true)})</span>
+                    </td>
+                `;
+            }).join('')}
+        </tr>
+    `).join('');
+}
+
+/**
+ * Draw the latest scenario's added stations and synthetic balloon tracks
+ */
+function updateScenarioLayer() {
+    state.layers.scenario.clearLayers();
+
+    const scenario = state.data.scenarios[state.data.scenarios.length - 1];
+    if (!scenario) return;
+
+    scenario.syntheticTracks.forEach(track => {
+        const line = L.polyline(unwrapLongitudes(track.positions), {
+            color: '#c026d3',
+            weight: 1.5,
+            opacity: 0.6,
+            dashArray: '4 4'
+        });
+        line.bindPopup(createSyntheticTrackPopup(scenario, track));
+        line.addTo(state.layers.scenario);
+
+        L.circleMarker([track.positions[0].latitude, track.positions[0].longitude], {
+            radius: 4,
+            color: '#ffffff',
+            weight: 1,
+            fillColor: '#c026d3',
+            fillOpacity: 0.9
+        }).bindPopup(createSyntheticTrackPopup(scenario, track)).addTo(state.layers.scenario);
+    });
+
+    scenario.addedStations.forEach(station => {
+        L.circleMarker([station.latitude, station.longitude], {
+            radius: 6,
+            color: '#c026d3',
+            weight: 2,
+            fillColor: '#ffffff',
+            fillOpacity: 1
+        }).bindPopup(`
+            <div class="popup-title">${escapeHtml(station.name)}</div>
+            <div class="popup-info">
+                <div><strong>Position:</strong> ${station.latitude.toFixed(4)}°, ${station.longitude.toFixed(4)}°</div>
+                <div><strong>Type:</strong> Added in "${escapeHtml(scenario.name)}"</div>
+            </div>
+        `).addTo(state.layers.scenario);
+    });
+}
+
+/**
+ * Create popup content for a synthetic scenario balloon
+ */
+function createSyntheticTrackPopup(scenario, track) {
+    const latest = track.positions[0];
+    return `
+        <div class="popup-title">Synthetic Balloon ${track.balloonId}</div>
+        <div class="popup-info">
+            <div><strong>Scenario:</strong> ${escapeHtml(scenario.name)}</div>
+            <div><strong>Launched From:</strong> ${escapeHtml(track.launchSite)}</div>
+            <div><strong>Position:</strong> ${latest.latitude.toFixed(4)}°, ${latest.longitude.toFixed(4)}°</div>
+            <div><strong>Altitude:</strong> ${formatAltitude(latest)}</div>
+            <div><strong>Observations:</strong> ${track.positions.length} hourly</div>
+        </div>
+    `;
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Fill the altitude band selector from the per-level statistics (once)
+ */
+function updateBandOptions() {
+    const select = document.getElementById('altitude-band');
+    const levels = (state.data.stats && state.data.stats.byPressureLevel) || [];
+    if (select.options.length > 1 || levels.length === 0) return;
+
+    levels.forEach(level => {
+        const option = document.createElement('option');
+        option.value = level.band;
+        const altitudes = level.maxAltitudeKm === null
+            ? `above ${level.minAltitudeKm} km`
+            : `${level.minAltitudeKm}–${level.maxAltitudeKm} km`;
+        option.textContent = `${level.label} (${altitudes})`;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Format an altitude with its standard-atmosphere pressure level
+ */
+function formatAltitude(pos) {
+    const pressure = pos.pressure !== undefined ? ` (~${Math.round(pos.pressure)} hPa)` : '';
+    return `${pos.altitude.toFixed(2)} km${pressure}`;
+}
+
 /**
  * Create popup content for balloon marker
  */
 function createBalloonPopup(balloon, index) {
     return `
-        <div class="popup-title">WindBorne Balloon #${index + 1}</div>
+        <div class="popup-title">WindBorne Balloon ${balloon.balloonId || `#${index + 1}`}</div>
         <div class="popup-info">
             <div><strong>Position:</strong> ${balloon.latitude.toFixed(4)}°, ${balloon.longitude.toFixed(4)}°</div>
-            <div><strong>Altitude:</strong> ${balloon.altitude.toFixed(2)} km</div>
-            <div><strong>Type:</strong> ${isOverOcean(balloon.latitude, balloon.longitude) ? 'Over Ocean' : 'Over Land'}</div>
-            <div><strong>Data Age:</strong> Current (0H)</div>
+            <div><strong>Altitude:</strong> ${formatAltitude(balloon)}</div>
+            <div><strong>Type:</strong> ${balloon.oceanBasin ? `Over Ocean (${balloon.oceanBasin})` : 'Over Land'}</div>
+            <div><strong>Valid Time:</strong> ${balloon.validTime ? formatValidTime(balloon.validTime) : 'Current (0H)'}</div>
         </div>
     `;
 }
 
+/**
+ * Format an observation valid time as "HH:00 UTC, Mon DD"
+ */
+function formatValidTime(validTime) {
+    const date = new Date(validTime);
+    const time = date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'UTC' });
+    const day = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    return `${time} UTC, ${day}`;
+}
+
 /**
  * Create popup content for flight path
  */
@@ -348,7 +1059,7 @@ function createPathPopup(path, index) {
     const distance = calculatePathDistance(path);
 
     return `
-        <div class="popup-title">Flight Path #${index + 1}</div>
+        <div class="popup-title">Flight Path ${startPos.balloonId || `#${index + 1}`}</div>
         <div class="popup-info">
             <div><strong>Duration:</strong> ${path.length} hours</div>
             <div><strong>Distance:</strong> ~${distance.toFixed(0)} km</div>
@@ -359,17 +1070,149 @@ function createPathPopup(path, index) {
     `;
 }
 
+/**
+ * Create popup content for wind arrow
+ */
+function createWindPopup(wind) {
+    return `
+        <div class="popup-title">Wind at ${wind.altitude.toFixed(1)} km</div>
+        <div class="popup-info">
+            <div><strong>Balloon:</strong> ${wind.balloonId}</div>
+            <div><strong>Speed:</strong> ${wind.speed.toFixed(1)} m/s (${(wind.speed * 3.6).toFixed(0)} km/h)</div>
+            <div><strong>From:</strong> ${wind.direction.toFixed(0)}°</div>
+            <div><strong>u / v:</strong> ${wind.u.toFixed(1)} / ${wind.v.toFixed(1)} m/s</div>
+            <div><strong>Vertical Rate:</strong> ${wind.verticalRate.toFixed(2)} m/s</div>
+            <div><strong>Valid Time:</strong> ${formatValidTime(wind.validTime)}</div>
+        </div>
+    `;
+}
+
+/**
+ * Create popup content for a flagged position
+ */
+function createAnomalyPopup(pos) {
+    const labels = {
+        excessive_speed: 'Impossible speed',
+        altitude_discontinuity: 'Altitude jump',
+        stuck: 'Stuck position',
+        duplicate: 'Duplicate report'
+    };
+
+    return `
+        <div class="popup-title">⚠ Flagged Observation</div>
+        <div class="popup-info">
+            <div><strong>Balloon:</strong> ${pos.balloonId || 'Unknown'}</div>
+            <div><strong>Anomalies:</strong> ${pos.anomalies.map(type => labels[type] || type).join(', ')}</div>
+            <div><strong>Position:</strong> ${pos.latitude.toFixed(4)}°, ${pos.longitude.toFixed(4)}°</div>
+            <div><strong>Altitude:</strong> ${formatAltitude(pos)}</div>
+            <div><strong>Valid Time:</strong> ${formatValidTime(pos.validTime)}</div>
+        </div>
+    `;
+}
+
+/**
+ * Create popup content for forecast track
+ */
+function createForecastPopup(forecast) {
+    const last = forecast.points[forecast.points.length - 1];
+
+    return `
+        <div class="popup-title">Forecast ${forecast.balloonId}</div>
+        <div class="popup-info">
+            <div><strong>From:</strong> ${formatValidTime(forecast.origin.validTime)}</div>
+            <div><strong>Velocity:</strong> ${forecast.velocity.speed.toFixed(1)} m/s towards ${forecast.velocity.bearing.toFixed(0)}°</div>
+            <div><strong>+${last.leadHours}H:</strong> ${last.latitude.toFixed(2)}°, ${last.longitude.toFixed(2)}°</div>
+            <div><strong>Uncertainty:</strong> ±${last.radiusKm.toFixed(0)} km at +${last.leadHours}H</div>
+        </div>
+    `;
+}
+
+/**
+ * Colour of a revisit cell: blue shades by share of hours observed, green when revisited often enough
+ */
+function getRevisitColor(share, revisited) {
+    const from = revisited ? [134, 239, 172] : [191, 219, 254];
+    const to = revisited ? [21, 128, 61] : [30, 64, 175];
+    const rgb = from.map((channel, i) => Math.round(channel + (to[i] - channel) * share));
+    return `rgb(${rgb.join(', ')})`;
+}
+
+/**
+ * Create popup content for a revisit grid cell
+ */
+function createRevisitPopup(revisit, i, north, west) {
+    const size = revisit.resolution;
+    return `
+        <div class="popup-title">Revisit Frequency</div>
+        <div class="popup-info">
+            <div><strong>Cell:</strong> ${north - size}° to ${north}°, ${west}° to ${west + size}°</div>
+            <div><strong>Observed:</strong> ${revisit.observedHours[i]} of ${revisit.windowHours} hours</div>
+            <div><strong>Longest Gap:</strong> ${revisit.longestGapHours[i]} hours without an observation</div>
+            <div><strong>Revisited every ${revisit.revisitHours}H:</strong> ${revisit.longestGapHours[i] < revisit.revisitHours ? 'Yes' : 'No'}</div>
+        </div>
+    `;
+}
+
+/**
+ * Colour for an observation value score (0 - 100), gray through amber to red
+ */
+function getValueColor(score) {
+    if (score < 20) return '#d1d5db';
+    if (score < 40) return '#fde68a';
+    if (score < 60) return '#fbbf24';
+    if (score < 80) return '#f97316';
+    return '#dc2626';
+}
+
+/**
+ * Create popup content for a scored observation
+ */
+function createValuePopup(pos) {
+    const { factors } = pos;
+    return `
+        <div class="popup-title">Observation Value: ${pos.score}</div>
+        <div class="popup-info">
+            <div><strong>Balloon:</strong> ${pos.balloonId}</div>
+            <div><strong>Time:</strong> ${formatValidTime(pos.validTime)}</div>
+            <div><strong>Nearest Station:</strong> ${pos.nearestStationKm === null ? 'none' : `${pos.nearestStationKm.toFixed(0)} km`} (×${factors.distance})</div>
+            <div><strong>Surface:</strong> ${pos.overOcean ? 'Ocean' : 'Land'} (×${factors.surface})</div>
+            <div><strong>Band:</strong> ${pos.band} hPa (×${factors.band})</div>
+            <div><strong>Other Balloons Nearby:</strong> ${pos.neighbours} (×${factors.redundancy})</div>
+        </div>
+    `;
+}
+
+/**
+ * Create popup content for a station network gap
+ */
+function createGapPopup(gap) {
+    const edge = gap.boundingStations.map(station => `${escapeHtml(station.name)} (${escapeHtml(station.country)})`).join(', ');
+    return `
+        <div class="popup-title">Station Gap #${gap.rank}</div>
+        <div class="popup-info">
+            <div><strong>Centre:</strong> ${gap.latitude.toFixed(2)}°, ${gap.longitude.toFixed(2)}°${gap.oceanBasin ? ` (${gap.oceanBasin})` : ''}</div>
+            <div><strong>Radius:</strong> ${gap.radiusKm.toFixed(0)} km to the nearest station</div>
+            <div><strong>Area:</strong> ${(gap.areaKm2 / 1e6).toFixed(1)} million km²</div>
+            <div><strong>Balloon Observations:</strong> ${gap.observations.toLocaleString()} from ${gap.balloons} balloons</div>
+            <div><strong>Edge Stations:</strong> ${edge}</div>
+        </div>
+    `;
+}
+
 /**
  * Create popup content for unique coverage marker
  */
 function createUniqueCoveragePopup(balloon, nearestStation, index) {
+    const nearest = nearestStation
+        ? `${escapeHtml(nearestStation.name)} (${escapeHtml(nearestStation.country)}), ${nearestStation.distanceKm.toFixed(0)} km away`
+        : 'none';
     return `
         <div class="popup-title">✨ WindBorne-Only Coverage</div>
         <div class="popup-info">
             <div><strong>Position:</strong> ${balloon.latitude.toFixed(4)}°, ${balloon.longitude.toFixed(4)}°</div>
-            <div><strong>Altitude:</strong> ${balloon.altitude.toFixed(2)} km</div>
-            <div><strong>Nearest Station:</strong> ${nearestStation.distance.toFixed(0)} km away</div>
-            <div><strong>Significance:</strong> No weather stations within 200km - WindBorne fills this gap!</div>
+            <div><strong>Altitude:</strong> ${formatAltitude(balloon)}</div>
+            <div><strong>Nearest Station:</strong> ${nearest}</div>
+            <div><strong>Significance:</strong> No weather stations within ${getCoverageRadius()}km - WindBorne fills this gap!</div>
         </div>
     `;
 }
@@ -390,27 +1233,46 @@ function createStationPopup(station) {
 }
 
 /**
- * Find nearest weather station to a balloon position
+ * Gap radius the current statistics were computed with
  */
-function findNearestStation(balloon) {
-    let nearest = null;
-    let minDistance = Infinity;
+function getCoverageRadius() {
+    return (state.data.stats && state.data.stats.coverageRadiusKm) || state.coverageRadiusKm;
+}
 
-    state.data.stations.forEach(station => {
-        const distance = calculateDistance(
-            balloon.latitude,
-            balloon.longitude,
-            station.latitude,
-            station.longitude
-        );
+/**
+ * Look up the nearest weather station to each balloon position on the server
+ *
+ * Like the other optional data, a failed batch doesn't stop the dashboard: its
+ * positions are just left out of the map.
+ *
+ * @returns {Promise<Map>} Balloon position -> nearest station (with distanceKm), or null when there is none
+ */
+async function loadNearestStations(balloons) {
+    const batches = [];
+    for (let i = 0; i < balloons.length; i += NEAREST_BATCH_SIZE) {
+        batches.push(balloons.slice(i, i + NEAREST_BATCH_SIZE));
+    }
 
-        if (distance < minDistance) {
-            minDistance = distance;
-            nearest = station;
+    const responses = await Promise.all(batches.map(batch => {
+        const params = new URLSearchParams();
+        batch.forEach(balloon => {
+            params.append('lat', balloon.latitude);
+            params.append('lon', balloon.longitude);
+        });
+        return fetch(`${API_BASE}/api/nearest?${params}`).then(response => response.json()).catch(() => null);
+    }));
+
+    const nearest = new Map();
+    responses.forEach((data, i) => {
+        if (!data || !data.success) {
+            console.warn(`Nearest stations unavailable for ${batches[i].length} positions`);
+            return;
         }
+        data.results.forEach((result, j) => {
+            nearest.set(batches[i][j], result.stations.length > 0 ? result.stations[0] : null);
+        });
     });
-
-    return nearest ? { station: nearest, distance: minDistance } : null;
+    return nearest;
 }
 
 /**
@@ -446,29 +1308,6 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
     return R * c;
 }
 
-/**
- * Check if position is over ocean (simplified heuristic)
- */
-function isOverOcean(lat, lon) {
-    const landRegions = [
-        { latMin: 15, latMax: 70, lonMin: -170, lonMax: -50 },
-        { latMin: -55, latMax: 15, lonMin: -82, lonMax: -35 },
-        { latMin: 35, latMax: 71, lonMin: -10, lonMax: 40 },
-        { latMin: -35, latMax: 37, lonMin: -18, lonMax: 52 },
-        { latMin: -10, latMax: 75, lonMin: 40, lonMax: 150 },
-        { latMin: -45, latMax: -10, lonMin: 110, lonMax: 155 },
-    ];
-
-    for (const region of landRegions) {
-        if (lat >= region.latMin && lat <= region.latMax &&
-            lon >= region.lonMin && lon <= region.lonMax) {
-            return false;
-        }
-    }
-
-    return true;
-}
-
 /**
  * Sample stations to avoid overcrowding the map
  */
@@ -576,8 +1415,13 @@ function showError(message) {
  */
 function showErrors(errors) {
     const errorNotice = document.getElementById('error-notice');
-    const errorCount = errors.length;
-    const message = `Warning: ${errorCount} hour(s) of data unavailable. Showing available data.`;
+    const staleCount = errors.filter(error => error.servedStale).length;
+    const missingCount = errors.length - staleCount;
+
+    const parts = [];
+    if (missingCount > 0) parts.push(`${missingCount} hour(s) of data unavailable`);
+    if (staleCount > 0) parts.push(`${staleCount} hour(s) showing last known data (stale)`);
+    const message = `Warning: ${parts.join(', ')}. Showing available data.`;
     errorNotice.textContent = message;
     errorNotice.style.display = 'block';
 }
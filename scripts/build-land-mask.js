@@ -0,0 +1,321 @@
+/**
+ * Build the land/sea mask used to classify balloon positions
+ * Source: Natural Earth 1:50m land polygons (world-atlas package)
+ *
+ * The polygons are rasterised onto a 0.1° grid (~11 km at the equator). Every
+ * water cell connected to the world ocean is labelled with its ocean basin; lakes
+ * and inland seas such as the Caspian count as land. The grid is written
+ * run-length encoded to data/land-sea-mask.json, which the server loads at startup.
+ *
+ * Basin boundaries are coarse polygons that only need to be right where two
+ * basins meet - the land mask decides where the coast is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { feature } = require('topojson-client');
+const landTopology = require('world-atlas/land-50m.json');
+const worldAtlasVersion = require('world-atlas/package.json').version;
+
+const RESOLUTION = 0.1;
+const WIDTH = Math.round(360 / RESOLUTION);
+const HEIGHT = Math.round(180 / RESOLUTION);
+const OUTPUT_FILE = path.join(__dirname, '..', 'data', 'land-sea-mask.json');
+
+// Water reached from these points is ocean. Narrow straits (Bosporus, Kerch)
+// close at this resolution, so the seas behind them get their own seed.
+const OCEAN_SEEDS = [
+  { name: 'Pacific', latitude: 0, longitude: -140 },
+  { name: 'Black Sea', latitude: 43, longitude: 34 },
+  { name: 'Sea of Azov', latitude: 46, longitude: 36.5 },
+  { name: 'Sea of Marmara', latitude: 40.75, longitude: 28 }
+];
+
+/**
+ * Ocean basins, checked in order
+ *
+ * Polygons are [latitude, longitude] vertices. With `wrap`, longitudes run 0 - 360
+ * so the polygon can span the antimeridian. Ocean not matched by any entry is Atlantic.
+ */
+const BASINS = [
+  { name: 'Arctic Ocean', test: lat => lat >= 66.5 },
+  { name: 'Southern Ocean', test: lat => lat <= -60 },
+  {
+    name: 'Hudson Bay',
+    polygon: [[50, -96], [66.5, -96], [66.5, -70], [50, -70]]
+  },
+  {
+    name: 'Black Sea',
+    polygon: [[40.9, 27.5], [48, 27.5], [48, 42], [40.9, 42]]
+  },
+  {
+    name: 'Mediterranean Sea',
+    polygon: [[37, -5.6], [30, -5.6], [30.8, 32.4], [31, 34.5], [37, 37], [42, 42], [48, 42],
+      [48, 27], [46.5, 27], [46.5, 14], [44, 4], [40, -3]]
+  },
+  {
+    name: 'Gulf of Mexico',
+    polygon: [[30, -82], [25.2, -81], [24.5, -81.8], [22.5, -83.5], [21.85, -84.95], [21.5, -87.1],
+      [18, -92], [17.5, -95.5], [25, -99], [31, -98]]
+  },
+  {
+    name: 'Caribbean Sea',
+    polygon: [[21.5, -87.1], [21.85, -84.95], [22.4, -80], [20.2, -74.2], [19.9, -73.3], [19.2, -70.5],
+      [18.4, -66.5], [18.3, -64.8], [17.1, -61.8], [15.4, -61.3], [14.6, -61], [13.9, -61],
+      [13.2, -61.2], [12.1, -61.7], [10.7, -61.5], [10, -62.5], [8.5, -77.5], [9, -79.6],
+      [11, -85], [14.5, -88], [17.5, -90]]
+  },
+  {
+    // Java, Bali, Flores, Banda, Makassar, Celebes, Molucca, Seram and Halmahera seas: inside the
+    // Sunda/Timor island chain, east of Sumatra and the Bangka-Belitung line, south of Mindanao and
+    // west of New Guinea and the Kai/Tanimbar islands
+    name: 'Indonesian Seas',
+    polygon: [[-5.9, 105.8], [-2.5, 105.5], [-3, 106.8], [-3.2, 110.2], [1, 110.8], [5.5, 117.2],
+      [5.1, 119.4], [6.9, 122.1], [7, 125.4], [4.6, 125.6], [2.3, 128.7], [-0.2, 131], [-1, 131.3],
+      [-4, 133.3], [-5.5, 133.4], [-7.6, 131.9], [-8.3, 127.3], [-9.3, 124.5], [-8.7, 121],
+      [-8.6, 117], [-8.4, 115.2], [-7.8, 114], [-7.3, 110], [-6.5, 106.5]]
+  },
+  {
+    name: 'Indian Ocean',
+    polygon: [[-60, 20], [31, 20], [31, 100], [20, 100], [12, 99.5], [10, 98.9], [6, 101.2],
+      [2.5, 102.8], [1.3, 103.7], [-1, 103.5], [-5.9, 105.8], [-6.5, 106.5], [-7.3, 110],
+      [-7.8, 114], [-8.4, 115.2], [-8.6, 117], [-8.7, 121], [-9.3, 124.5], [-8.3, 127.3],
+      [-11.3, 131.8], [-25, 135], [-38.5, 146.3], [-41.5, 146.5], [-43.6, 146.9], [-60, 147]]
+  },
+  {
+    name: 'Pacific Ocean',
+    wrap: true,
+    polygon: [[66.5, 100], [66.5, 260], [18, 260], [17, 265], [14.5, 272], [11, 275], [9, 280.4],
+      [8, 282.5], [0, 282], [-18, 291], [-40, 289], [-55, 292], [-60, 293], [-60, 147],
+      [-43.6, 146.9], [-41.5, 146.5], [-38.5, 146.3], [-25, 135], [-11.3, 131.8], [-8.3, 127.3],
+      [-9.3, 124.5], [-8.7, 121], [-8.6, 117], [-8.4, 115.2], [-7.8, 114], [-7.3, 110],
+      [-6.5, 106.5], [-5.9, 105.8], [-1, 103.5], [1.3, 103.7], [2.5, 102.8], [6, 101.2],
+      [10, 98.9], [12, 99.5], [20, 100], [31, 100]]
+  },
+  { name: 'Atlantic Ocean', test: () => true }
+];
+
+// Names reported per hemisphere for the two big basins
+const HEMISPHERE_SPLIT = ['Atlantic Ocean', 'Pacific Ocean'];
+
+/**
+ * Ray-casting point-in-polygon test on [latitude, longitude] vertices
+ */
+function pointInPolygon(lat, lon, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lonI] = polygon[i];
+    const [latJ, lonJ] = polygon[j];
+    if ((latI > lat) !== (latJ > lat) &&
+        lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function basinName(lat, lon) {
+  const basin = BASINS.find((entry) => {
+    if (entry.test) return entry.test(lat);
+    const x = entry.wrap && lon < 0 ? lon + 360 : lon;
+    return pointInPolygon(lat, x, entry.polygon);
+  });
+
+  if (!HEMISPHERE_SPLIT.includes(basin.name)) return basin.name;
+  return `${lat >= 0 ? 'North' : 'South'} ${basin.name.replace(' Ocean', '')}`;
+}
+
+/**
+ * Every polygon ring of the land layer
+ */
+function landRings() {
+  const land = feature(landTopology, landTopology.objects.land);
+  const features = land.type === 'FeatureCollection' ? land.features : [land];
+  const rings = [];
+
+  features.forEach(({ geometry }) => {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    polygons.forEach(polygon => rings.push(...polygon));
+  });
+
+  return rings;
+}
+
+/**
+ * Edges of a ring as planar segments
+ *
+ * Antarctica's ring circles the pole and closes with a jump across the
+ * antimeridian; in the plane that edge has to run down the map edge and along
+ * the pole instead.
+ */
+function ringEdges(ring) {
+  const edges = [];
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[i + 1];
+
+    if (Math.abs(x2 - x1) > 180) {
+      const pole = y1 < 0 ? -90 : 90;
+      edges.push([x1, y1, x1, pole], [x2, pole, x2, y2]);
+    } else {
+      edges.push([x1, y1, x2, y2]);
+    }
+  }
+  return edges;
+}
+
+/**
+ * Rasterise land with an even-odd scanline fill through each row's cell centres
+ *
+ * @returns {Uint8Array} 1 for land, 0 for water, row 0 at the north pole
+ */
+function rasteriseLand(rings) {
+  const crossings = Array.from({ length: HEIGHT }, () => []);
+
+  rings.forEach((ring) => {
+    ringEdges(ring).forEach(([x1, y1, x2, y2]) => {
+      if (y1 === y2) return;
+
+      // Rows whose centre latitude lies in [min(y), max(y))
+      const top = Math.max(y1, y2);
+      const bottom = Math.min(y1, y2);
+      const firstRow = Math.max(0, Math.ceil((90 - top) / RESOLUTION - 0.5));
+      const lastRow = Math.min(HEIGHT - 1, Math.floor((90 - bottom) / RESOLUTION - 0.5));
+
+      for (let row = firstRow; row <= lastRow; row++) {
+        const y = 90 - (row + 0.5) * RESOLUTION;
+        if (y < bottom || y >= top) continue;
+        crossings[row].push(x1 + ((y - y1) * (x2 - x1)) / (y2 - y1));
+      }
+    });
+  });
+
+  const land = new Uint8Array(WIDTH * HEIGHT);
+  crossings.forEach((xs, row) => {
+    xs.sort((a, b) => a - b);
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+      const from = Math.max(0, Math.ceil((xs[i] + 180) / RESOLUTION - 0.5));
+      const to = Math.min(WIDTH - 1, Math.floor((xs[i + 1] + 180) / RESOLUTION - 0.5));
+      for (let col = from; col <= to; col++) land[row * WIDTH + col] = 1;
+    }
+  });
+
+  return land;
+}
+
+function cellIndex(latitude, longitude) {
+  const row = Math.min(HEIGHT - 1, Math.floor((90 - latitude) / RESOLUTION));
+  const col = Math.min(WIDTH - 1, Math.floor((longitude + 180) / RESOLUTION));
+  return row * WIDTH + col;
+}
+
+/**
+ * Mark water connected to the ocean seeds (8-connected, wrapping in longitude)
+ *
+ * @returns {Uint8Array} 1 for ocean cells
+ */
+function floodOcean(land) {
+  const ocean = new Uint8Array(land.length);
+  const queue = new Int32Array(land.length);
+  let head = 0;
+  let tail = 0;
+
+  OCEAN_SEEDS.forEach((seed) => {
+    const index = cellIndex(seed.latitude, seed.longitude);
+    if (land[index]) throw new Error(`Ocean seed "${seed.name}" is on land`);
+    ocean[index] = 1;
+    queue[tail++] = index;
+  });
+
+  while (head < tail) {
+    const index = queue[head++];
+    const row = Math.floor(index / WIDTH);
+    const col = index % WIDTH;
+
+    for (let dr = -1; dr <= 1; dr++) {
+      const r = row + dr;
+      if (r < 0 || r >= HEIGHT) continue;
+      for (let dc = -1; dc <= 1; dc++) {
+        const next = r * WIDTH + ((col + dc + WIDTH) % WIDTH);
+        if (land[next] || ocean[next]) continue;
+        ocean[next] = 1;
+        queue[tail++] = next;
+      }
+    }
+  }
+
+  return ocean;
+}
+
+/**
+ * Run-length encode each row as [value, length, value, length, ...]
+ */
+function encodeRows(cells) {
+  const rows = [];
+  for (let row = 0; row < HEIGHT; row++) {
+    const runs = [];
+    let value = cells[row * WIDTH];
+    let length = 0;
+    for (let col = 0; col < WIDTH; col++) {
+      const cell = cells[row * WIDTH + col];
+      if (cell === value) {
+        length++;
+      } else {
+        runs.push(value, length);
+        value = cell;
+        length = 1;
+      }
+    }
+    runs.push(value, length);
+    rows.push(runs);
+  }
+  return rows;
+}
+
+function main() {
+  console.log('Rasterising Natural Earth 1:50m land...');
+  const land = rasteriseLand(landRings());
+  const ocean = floodOcean(land);
+
+  // 0 = land, n = basins[n - 1]
+  const basins = [];
+  const basinIndex = new Map();
+  const cells = new Uint8Array(land.length);
+  const counts = new Map();
+
+  for (let row = 0; row < HEIGHT; row++) {
+    const latitude = 90 - (row + 0.5) * RESOLUTION;
+    for (let col = 0; col < WIDTH; col++) {
+      const index = row * WIDTH + col;
+      if (!ocean[index]) continue;
+
+      const name = basinName(latitude, -180 + (col + 0.5) * RESOLUTION);
+      if (!basinIndex.has(name)) {
+        basins.push(name);
+        basinIndex.set(name, basins.length);
+      }
+      cells[index] = basinIndex.get(name);
+      counts.set(name, (counts.get(name) || 0) + Math.cos(latitude * Math.PI / 180));
+    }
+  }
+
+  const mask = {
+    source: `Natural Earth 1:50m land via world-atlas ${worldAtlasVersion}`,
+    resolution: RESOLUTION,
+    width: WIDTH,
+    height: HEIGHT,
+    basins,
+    rows: encodeRows(cells)
+  };
+
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(mask));
+  console.log(`✓ Saved land/sea mask to ${OUTPUT_FILE}`);
+
+  const total = [...counts.values()].reduce((sum, area) => sum + area, 0);
+  console.log('\n📊 Ocean basins (share of ocean area):');
+  [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([name, area]) => console.log(`   ${name}: ${(area / total * 100).toFixed(1)}%`));
+}
+
+main();
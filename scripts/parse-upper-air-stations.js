@@ -0,0 +1,92 @@
+/**
+ * Parse the upper-air (radiosonde) station list
+ * Source: NOAA Integrated Global Radiosonde Archive (IGRA 2) station list
+ *
+ * Download igra2-station-list.txt from
+ * https://www.ncei.noaa.gov/data/integrated-global-radiosonde-archive/doc/
+ * and run:
+ *
+ *   npm run parse-upper-air-stations [-- path/to/igra2-station-list.txt]
+ *
+ * Without a path the list is read from data/igra2-station-list.txt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'data');
+const DEFAULT_INPUT_FILE = path.join(OUTPUT_DIR, 'igra2-station-list.txt');
+const OUTPUT_FILE = path.join(OUTPUT_DIR, 'upper-air-stations.json');
+
+// Sites that reported in this year or later count as active, as for the surface catalog
+const MIN_ACTIVE_YEAR = 2024;
+
+function parseStations(data) {
+  const lines = data.split('\n');
+  const stations = [];
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    // Parse fixed-width format
+    // ID          LAT      LON       ELEV   ST NAME                           FIRST LAST  NOBS
+    // ACM00078861  17.1170  -61.7830   10.0    COOLIDGE FIELD (UA)            1947 1993  13896
+
+    const id = line.substring(0, 11).trim();
+    const latitude = parseFloat(line.substring(12, 20));
+    const longitude = parseFloat(line.substring(21, 30));
+    const elevation = parseFloat(line.substring(31, 37));
+    const state = line.substring(38, 40).trim();
+    const name = line.substring(41, 71).trim();
+    const lastYear = parseInt(line.substring(77, 81), 10);
+
+    // Mobile and ship platforms have no fixed position (-98.8888)
+    if (isNaN(latitude) || isNaN(longitude)) continue;
+    if (latitude < -90 || latitude > 90) continue;
+    if (longitude < -180 || longitude > 180) continue;
+
+    if (!(lastYear >= MIN_ACTIVE_YEAR)) continue;
+
+    stations.push({
+      id,
+      name: name || 'Unknown Station',
+      // IGRA IDs start with the same FIPS country code the ISD history file uses
+      country: id.substring(0, 2),
+      state,
+      latitude,
+      longitude,
+      // -998.8 and -999.9 mark a missing elevation
+      elevation: isNaN(elevation) || elevation < -998 ? 0 : elevation,
+      active: true
+    });
+  }
+
+  return stations;
+}
+
+function main() {
+  const inputFile = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_INPUT_FILE;
+
+  if (!fs.existsSync(inputFile)) {
+    console.error(`Station list not found: ${inputFile}`);
+    console.error('Download igra2-station-list.txt from');
+    console.error('  https://www.ncei.noaa.gov/data/integrated-global-radiosonde-archive/doc/');
+    process.exit(1);
+  }
+
+  const stations = parseStations(fs.readFileSync(inputFile, 'utf8'));
+  console.log(`Parsed ${stations.length} active upper-air stations`);
+
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(stations, null, 2));
+
+  console.log(`✓ Saved station data to ${OUTPUT_FILE}`);
+  console.log('\nSample stations:');
+  console.log(stations.slice(0, 5).map(s => `  - ${s.name} (${s.country}) at ${s.latitude}, ${s.longitude}`).join('\n'));
+
+  const countries = new Set(stations.map(s => s.country));
+  console.log(`\n📊 Statistics:`);
+  console.log(`   Total stations: ${stations.length}`);
+  console.log(`   Countries: ${countries.size}`);
+}
+
+main();
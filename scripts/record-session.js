@@ -0,0 +1,34 @@
+/**
+ * Record one full 24-hour WindBorne fetch for offline replay
+ *
+ * Usage: npm run record -- [output-dir]
+ * Replay: WINDBORNE_SOURCE=directory WINDBORNE_SOURCE_DIR=<session-dir> npm start
+ */
+
+const path = require('path');
+
+const config = require('../src/config');
+const { fetchConstellationData } = require('../src/services/windborne-service');
+const {
+  createHttpSource,
+  createRecordingSource
+} = require('../src/services/source-service');
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '..', 'data', 'recordings');
+
+async function main() {
+  try {
+    const outputDir = process.argv[2] || config.source.recordDir || DEFAULT_OUTPUT_DIR;
+    const liveSource = createHttpSource(config.source.baseUrl, { timeoutMs: config.source.timeoutMs });
+    const source = createRecordingSource(liveSource, outputDir);
+
+    const results = await fetchConstellationData(source);
+
+    console.log(`\n📊 Recorded ${results.successCount}/${results.totalRequests} hours (${results.errors.length} errors)`);
+  } catch (error) {
+    console.error('Error recording session:', error);
+    process.exit(1);
+  }
+}
+
+main();
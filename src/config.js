@@ -0,0 +1,69 @@
+/**
+ * Application Configuration
+ * Central place for runtime settings, read once from environment variables
+ */
+
+const path = require('path');
+
+/**
+ * Read a string environment variable, falling back when unset or empty
+ */
+function readString(name, fallback) {
+  const raw = process.env[name];
+  return raw === undefined || raw === '' ? fallback : raw;
+}
+
+/**
+ * Read a numeric environment variable, falling back when unset or invalid
+ */
+function readNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const config = {
+  port: readNumber('PORT', 3000),
+
+  source: {
+    // 'http' (live or any mirror) or 'directory' (local HH.json files / recorded session)
+    type: readString('WINDBORNE_SOURCE', 'http'),
+    baseUrl: readString('WINDBORNE_BASE_URL', 'https://a.windbornesystems.com/treasure'),
+    directory: readString('WINDBORNE_SOURCE_DIR', null),
+    timeoutMs: readNumber('WINDBORNE_TIMEOUT_MS', 5000),
+    // Maximum hour files fetched at once
+    concurrency: readNumber('WINDBORNE_CONCURRENCY', 8),
+    resilience: {
+      retries: readNumber('WINDBORNE_RETRIES', 2),
+      baseDelayMs: readNumber('WINDBORNE_RETRY_BASE_DELAY_MS', 500),
+      maxDelayMs: readNumber('WINDBORNE_RETRY_MAX_DELAY_MS', 5000),
+      // Consecutive upstream failures before the circuit opens, and how long it stays open
+      failureThreshold: readNumber('WINDBORNE_BREAKER_THRESHOLD', 5),
+      cooldownMs: readNumber('WINDBORNE_BREAKER_COOLDOWN_MS', 60000)
+    },
+    // When set, every fetch is saved here so the session can be replayed later
+    recordDir: readString('WINDBORNE_RECORD_DIR', null)
+  },
+
+  archive: {
+    // Store every fetched hour on disk so history outlives the upstream's 24-hour window
+    enabled: readString('ARCHIVE_ENABLED', 'true') !== 'false',
+    directory: readString('ARCHIVE_DIR', path.join(__dirname, '..', 'data', 'archive')),
+    // Longest range rebuilt with tracks (every from/to endpoint); a week of a full
+    // constellation already takes seconds and hundreds of MB
+    maxRangeDays: readNumber('ARCHIVE_MAX_RANGE_DAYS', 7),
+    // Longest range /api/coverage/daily summarizes, one day at a time without tracks
+    maxSummaryDays: readNumber('ARCHIVE_MAX_SUMMARY_DAYS', 90)
+  },
+
+  snapshot: {
+    // How often the scheduler pulls a fresh constellation snapshot
+    refreshIntervalMs: readNumber('SNAPSHOT_REFRESH_INTERVAL_MS', 5 * 60 * 1000),
+    // Snapshots older than this are still served, but trigger a background refresh
+    maxAgeMs: readNumber('SNAPSHOT_MAX_AGE_MS', 5 * 60 * 1000)
+  }
+};
+
+module.exports = config;
@@ -7,13 +7,101 @@ const express = require('express');
 const cors = require('cors');
 const compression = require('compression');
 const path = require('path');
-const fs = require('fs');
 
-const { fetchConstellationData } = require('./services/windborne-service');
-const { calculateCoverageStats } = require('./services/coverage-service');
+const config = require('./config');
+const {
+  configureSnapshotStore,
+  getSnapshot,
+  describeSnapshot,
+  getSnapshotStatus,
+  startRefreshScheduler
+} = require('./services/snapshot-service');
+const { buildDataQualityReport } = require('./services/validation-service');
+const {
+  DEFAULT_GAP_COUNT,
+  MAX_GAP_COUNT,
+  getStationGaps,
+  findLargestGaps
+} = require('./services/gap-service');
+const { parseScenario, runScenario } = require('./services/scenario-service');
+const { DEFAULT_TOP_BALLOONS, MAX_TOP_BALLOONS, calculateObservationValue } = require('./services/value-service');
+const {
+  STATION_NETWORKS,
+  loadStationCatalogs,
+  getStations,
+  getStationNetworks
+} = require('./services/station-service');
+const {
+  DEFAULT_COVERAGE_RADIUS_KM,
+  getStationIndex,
+  findNearestStations,
+  findObservationsNear,
+  calculateCoverageStats,
+  calculateRegionalStats,
+  summarizeCoverage,
+  filterBalloonDataByAltitude
+} = require('./services/coverage-service');
+const { PRESSURE_BANDS, getBandAltitudeRange } = require('./utils/atmosphere');
+const {
+  listArchivedHours,
+  parseTimeRange,
+  loadArchivedRange,
+  summarizeArchivedDays
+} = require('./services/archive-service');
+const {
+  deriveWindVectors,
+  filterWindVectors,
+  summarizeWinds
+} = require('./services/wind-service');
+const {
+  DEFAULT_FORECAST_OPTIONS,
+  forecastTrajectories,
+  findRegionArrivals
+} = require('./services/forecast-service');
+const {
+  DEFAULT_RESOLUTION,
+  MIN_RESOLUTION,
+  MAX_RESOLUTION,
+  GRID_LAYERS,
+  DEFAULT_REVISIT_HOURS,
+  isValidResolution,
+  buildObservationGrid,
+  buildRevisitGrid,
+  summarizeRevisitRegion,
+  calculateAreaCoverage,
+  gridToJson,
+  gridToBinary,
+  gridToPng,
+  revisitGridToJson,
+  revisitGridToPng
+} = require('./services/grid-service');
+const { ANOMALY_TYPES, SEVERITIES } = require('./services/anomaly-service');
+const {
+  EVENT_TYPES,
+  detectLifecycleEvents,
+  filterEvents,
+  getLifecycleEvents,
+  countEventsByDay
+} = require('./services/lifecycle-service');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
+
+// Largest coverage radius accepted from clients; beyond this the station search covers most of the globe
+const MAX_COVERAGE_RADIUS_KM = 2000;
+
+// Longest revisit interval /api/revisit accepts
+const MAX_REVISIT_HOURS = 48;
+
+// Limits for /api/nearest: stations per point and points per request
+const MAX_NEAREST_K = 100;
+const MAX_NEAREST_POINTS = 500;
+
+// Default statistics of archived ranges, kept as long as loadArchivedRange() caches the range
+const archiveStatistics = new WeakMap();
+
+// Day summaries for /api/coverage/daily, per network and radius (catalogs load once at startup)
+const dailyCoverageCaches = new Map();
 
 // Middleware
 app.use(cors());
@@ -23,8 +111,243 @@ app.use(express.json());
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
-// Cache for weather stations (loaded once at startup)
-let weatherStations = [];
+/**
+ * Resolve the balloon data a request refers to
+ *
+ * Without a time range this is the shared live snapshot. With ?from= (and
+ * optionally ?to=, default now) the range is loaded from the historical archive
+ * and its statistics are computed on the fly.
+ *
+ * @returns {Promise<Object>} { balloonData, getStatistics(), meta } where meta
+ *   describes the snapshot or archive range and is spread into responses
+ */
+async function resolveBalloonData(req) {
+  if (req.query.from === undefined) {
+    const snapshot = await getSnapshot();
+    return {
+      balloonData: snapshot.balloonData,
+      getStatistics: () => snapshot.statistics,
+      meta: { snapshot: describeSnapshot(snapshot) }
+    };
+  }
+
+  const range = parseTimeRange(req.query);
+  const balloonData = await loadArchivedRange(range.from, range.to);
+
+  return {
+    balloonData,
+    getStatistics: () => {
+      // Loaded ranges are cached, so their statistics can be too, until the stations change
+      const stations = getStations();
+      const cached = archiveStatistics.get(balloonData);
+      if (cached && cached.stations === stations) return cached.statistics;
+
+      const statistics = {
+        ...calculateCoverageStats(balloonData, stations, { networks: getStationNetworks() }),
+        areaCoverage: calculateAreaCoverage(balloonData, stations),
+        lifecycle: countEventsByDay(detectLifecycleEvents(balloonData))
+      };
+      archiveStatistics.set(balloonData, { stations, statistics });
+      return statistics;
+    },
+    meta: {
+      archive: {
+        from: new Date(range.from).toISOString(),
+        to: new Date(range.to).toISOString(),
+        hoursRequested: balloonData.totalRequests,
+        hoursFound: balloonData.successCount
+      }
+    }
+  };
+}
+
+/**
+ * Error that the route handlers answer with 400 instead of 500
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Read an optional numeric query parameter
+ *
+ * @returns {number|undefined} The value, or undefined when absent
+ * @throws {Error} 400 when present but not a number
+ */
+function readNumberParam(query, name) {
+  if (query[name] === undefined || query[name] === '') return undefined;
+
+  const value = Number(query[name]);
+  if (!Number.isFinite(value)) throw badRequest(`Invalid "${name}" parameter`);
+  return value;
+}
+
+/**
+ * Read an optional integer query parameter within [min, max]
+ *
+ * @param {Object} options - { min, max, fallback }, fallback being the value when absent
+ * @returns {number} The value, or fallback when absent
+ * @throws {Error} 400 when present but not an integer in range
+ */
+function readIntegerParam(query, name, { min, max, fallback }) {
+  const value = readNumberParam(query, name);
+  if (value === undefined) return fallback;
+
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw badRequest(`"${name}" must be an integer from ${min} to ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Read an optional time query parameter (ISO date or epoch milliseconds)
+ *
+ * @returns {number|undefined} Epoch ms, or undefined when absent
+ * @throws {Error} 400 when present but not a valid time
+ */
+function readTimeParam(query, name) {
+  if (query[name] === undefined || query[name] === '') return undefined;
+
+  const raw = String(query[name]);
+  const time = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+  if (!Number.isFinite(time)) throw badRequest(`Invalid "${name}" time`);
+  return time;
+}
+
+/**
+ * Read an optional south/west/north/east bounding box from the query
+ *
+ * @returns {Object|undefined} { south, west, north, east }, or undefined when none given
+ * @throws {Error} 400 when only part of the box is given (an empty edge counts as missing) or it is out of range
+ */
+function readRegionParam(query) {
+  const edges = ['south', 'west', 'north', 'east'];
+  if (edges.every(edge => query[edge] === undefined)) return undefined;
+
+  const region = {};
+  edges.forEach((edge) => {
+    region[edge] = readNumberParam(query, edge);
+    if (region[edge] === undefined) throw badRequest('Region needs all of south, west, north and east');
+  });
+
+  if (region.south > region.north || Math.abs(region.south) > 90 || Math.abs(region.north) > 90) {
+    throw badRequest('Invalid region latitude range');
+  }
+  if (Math.abs(region.west) > 180 || Math.abs(region.east) > 180) {
+    throw badRequest('Invalid region longitude range');
+  }
+
+  return region;
+}
+
+/**
+ * Altitude band as reported back to clients (open ends as null)
+ */
+function describeAltitudeBand(altitudeBand) {
+  return {
+    band: altitudeBand.band,
+    minAltitudeKm: Number.isFinite(altitudeBand.minAltitude) ? altitudeBand.minAltitude : null,
+    maxAltitudeKm: Number.isFinite(altitudeBand.maxAltitude) ? altitudeBand.maxAltitude : null
+  };
+}
+
+/**
+ * Read the coverage gap radius (?radius=, km)
+ *
+ * @returns {number|undefined} Radius, or undefined to use the default
+ */
+function readRadiusParam(query) {
+  const radiusKm = readNumberParam(query, 'radius');
+  if (radiusKm !== undefined && (radiusKm < 1 || radiusKm > MAX_COVERAGE_RADIUS_KM)) {
+    throw badRequest(`"radius" must be between 1 and ${MAX_COVERAGE_RADIUS_KM} km`);
+  }
+  return radiusKm;
+}
+
+/**
+ * Read one or more positions from the query (?lat=&lon=, repeated for several)
+ *
+ * @returns {Array} [{ latitude, longitude }]
+ * @throws {Error} 400 when missing, unpaired or out of range
+ */
+function readPositionParams(query) {
+  if (query.lat === undefined || query.lon === undefined) throw badRequest('"lat" and "lon" are required');
+
+  const lats = [].concat(query.lat);
+  const lons = [].concat(query.lon);
+  if (lats.length !== lons.length) throw badRequest('Every "lat" needs a matching "lon"');
+
+  return lats.map((lat, i) => {
+    const latitude = Number(lat);
+    const longitude = Number(lons[i]);
+    if (lat === '' || !Number.isFinite(latitude) || Math.abs(latitude) > 90) throw badRequest(`Invalid latitude "${lat}"`);
+    if (lons[i] === '' || !Number.isFinite(longitude) || Math.abs(longitude) > 180) throw badRequest(`Invalid longitude "${lons[i]}"`);
+    return { latitude, longitude };
+  });
+}
+
+/**
+ * Read the grid cell size (?resolution=, degrees)
+ *
+ * @returns {number} Resolution, DEFAULT_RESOLUTION when absent
+ */
+function readResolutionParam(query) {
+  const requested = readNumberParam(query, 'resolution');
+  const resolution = requested === undefined ? DEFAULT_RESOLUTION : requested;
+  if (!isValidResolution(resolution)) {
+    throw badRequest(`"resolution" must be between ${MIN_RESOLUTION} and ${MAX_RESOLUTION} degrees and divide 180`);
+  }
+  return resolution;
+}
+
+/**
+ * Read the station network to compare against (?network=, default surface)
+ *
+ * The surface network keeps working with an empty catalog, as before networks existed;
+ * only upper-air and both need the optional upper-air catalog.
+ *
+ * @returns {string} "surface", "upper-air" or "both"
+ * @throws {Error} 400 for unknown networks, 503 for upper-air networks when that catalog was never built
+ */
+function readNetworkParam(query) {
+  const network = query.network || 'surface';
+  if (!STATION_NETWORKS.includes(network)) {
+    throw badRequest(`Unknown network "${network}" (one of ${STATION_NETWORKS.join(', ')})`);
+  }
+  if (network !== 'surface' && getStations('upper-air').length === 0) {
+    const error = new Error('No upper-air stations loaded (run npm run parse-upper-air-stations)');
+    error.status = 503;
+    throw error;
+  }
+  return network;
+}
+
+/**
+ * Read an optional altitude band from the query: a pressure band id (?band=500-300)
+ * or an explicit range in km (?minAlt=&maxAlt=)
+ *
+ * @returns {Object|undefined} { band, minAltitude, maxAltitude }, or undefined when none given
+ * @throws {Error} 400 for unknown bands or invalid numbers
+ */
+function readAltitudeBandParam(query) {
+  if (query.band !== undefined) {
+    const band = PRESSURE_BANDS.find(candidate => candidate.id === query.band);
+    if (!band) throw badRequest(`Unknown band "${query.band}" (one of ${PRESSURE_BANDS.map(b => b.id).join(', ')})`);
+    return { band: band.id, ...getBandAltitudeRange(band) };
+  }
+
+  const minAltitude = readNumberParam(query, 'minAlt');
+  const maxAltitude = readNumberParam(query, 'maxAlt');
+  if (minAltitude === undefined && maxAltitude === undefined) return undefined;
+
+  return {
+    band: null,
+    minAltitude: minAltitude === undefined ? -Infinity : minAltitude,
+    maxAltitude: maxAltitude === undefined ? Infinity : maxAltitude
+  };
+}
 
 // ============================================================================
 // API Endpoints
@@ -39,7 +362,9 @@ app.get('/api/health', (req, res) => {
     success: true,
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    stationsLoaded: weatherStations.length,
+    stationsLoaded: getStations('surface').length,
+    upperAirStationsLoaded: getStations('upper-air').length,
+    snapshot: getSnapshotStatus(),
     service: 'windborne-coverage-analyzer'
   });
 });
@@ -47,20 +372,23 @@ app.get('/api/health', (req, res) => {
 /**
  * GET /api/windborne
  * Fetch current WindBorne balloon constellation data (all 24 hours)
+ *
+ * Query params:
+ * - from, to: load positions and tracks for a historical range from the archive
  */
 app.get('/api/windborne', async (req, res) => {
   try {
-    console.log('Fetching WindBorne constellation data...');
-    const data = await fetchConstellationData();
+    const { balloonData, meta } = await resolveBalloonData(req);
 
     res.json({
       success: true,
       timestamp: new Date().toISOString(),
-      data
+      ...meta,
+      data: balloonData
     });
   } catch (error) {
     console.error('Error fetching WindBorne data:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Failed to fetch WindBorne data',
       message: error.message
@@ -70,36 +398,88 @@ app.get('/api/windborne', async (req, res) => {
 
 /**
  * GET /api/stations
- * Get weather station locations from NOAA ISD
+ * Get weather station locations (NOAA ISD surface stations by default)
+ *
+ * Query params:
+ * - network: "surface" (default), "upper-air" or "both"
  */
 app.get('/api/stations', (req, res) => {
-  res.json({
-    success: true,
-    count: weatherStations.length,
-    stations: weatherStations
-  });
+  try {
+    const network = readNetworkParam(req.query);
+    const stations = getStations(network);
+
+    res.json({
+      success: true,
+      network,
+      count: stations.length,
+      stations
+    });
+  } catch (error) {
+    console.error('Error listing stations:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to list stations',
+      message: error.message
+    });
+  }
 });
 
 /**
  * GET /api/coverage
  * Get comprehensive coverage analysis comparing WindBorne to traditional stations
+ *
+ * Query params:
+ * - band:           only positions in this pressure band (e.g. 500-300, see PRESSURE_BANDS)
+ * - minAlt, maxAlt: only positions in this altitude range in km (instead of band)
+ * - radius:         coverage gap radius in km (default: 200)
+ * - network:        stations to measure gaps against: "surface" (default), "upper-air" or "both";
+ *                   byNetwork always compares all of them side by side
+ * - curve:          "true" to add unique coverage at 25 - 1000 km thresholds and a
+ *                   nearest-station distance histogram
+ * - from, to:       analyze a historical range from the archive instead of the last 24 hours
  */
 app.get('/api/coverage', async (req, res) => {
   try {
-    console.log('Calculating coverage statistics...');
-    const balloonData = await fetchConstellationData();
-    const stats = calculateCoverageStats(balloonData, weatherStations);
+    const altitudeBand = readAltitudeBandParam(req.query);
+    const radiusKm = readRadiusParam(req.query);
+    const network = readNetworkParam(req.query);
+    const curve = req.query.curve === 'true';
+
+    const { balloonData, getStatistics, meta } = await resolveBalloonData(req);
+
+    if (!altitudeBand && radiusKm === undefined && network === 'surface' && !curve) {
+      return res.json({
+        success: true,
+        timestamp: new Date().toISOString(),
+        ...meta,
+        stationNetwork: network,
+        statistics: getStatistics(),
+        balloonData: balloonData.balloonPaths,
+        errors: balloonData.errors
+      });
+    }
+
+    // Custom statistics are computed per request; feed-level stats (lifecycle) stay unfiltered
+    const data = altitudeBand ? filterBalloonDataByAltitude(balloonData, altitudeBand) : balloonData;
+    const { lifecycle } = getStatistics();
 
     res.json({
       success: true,
       timestamp: new Date().toISOString(),
-      statistics: stats,
-      balloonData: balloonData.balloonPaths,
+      ...meta,
+      ...(altitudeBand ? { altitudeBand: describeAltitudeBand(altitudeBand) } : {}),
+      stationNetwork: network,
+      statistics: {
+        ...calculateCoverageStats(data, getStations(network), { radiusKm, curve, networks: getStationNetworks() }),
+        areaCoverage: calculateAreaCoverage(data, getStations(network), { radiusKm }),
+        lifecycle
+      },
+      balloonData: data.balloonPaths,
       errors: balloonData.errors
     });
   } catch (error) {
     console.error('Error calculating coverage:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Failed to calculate coverage',
       message: error.message
@@ -107,6 +487,654 @@ app.get('/api/coverage', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/coverage/regions
+ * Coverage by country and ocean basin, with regions ranked by how many balloon
+ * observations fall outside station coverage
+ *
+ * Query params:
+ * - radius:         coverage gap radius in km (default: 200)
+ * - band:           only positions in this pressure band
+ * - minAlt, maxAlt: only positions in this altitude range in km (instead of band)
+ * - from, to:       analyze a historical range from the archive
+ */
+app.get('/api/coverage/regions', async (req, res) => {
+  try {
+    const radiusKm = readRadiusParam(req.query);
+    const altitudeBand = readAltitudeBandParam(req.query);
+    const { balloonData, meta } = await resolveBalloonData(req);
+    const data = altitudeBand ? filterBalloonDataByAltitude(balloonData, altitudeBand) : balloonData;
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...meta,
+      ...(altitudeBand ? { altitudeBand: describeAltitudeBand(altitudeBand) } : {}),
+      ...calculateRegionalStats(data, getStations(), { radiusKm })
+    });
+  } catch (error) {
+    console.error('Error calculating regional coverage:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to calculate regional coverage',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/coverage/daily
+ * Coverage summary per UTC day over a long archived range
+ *
+ * Ranges up to ARCHIVE_MAX_SUMMARY_DAYS (default 90) are read one day at a time,
+ * without tracks, so multi-week coverage doesn't need the whole range in memory.
+ *
+ * Query params:
+ * - from, to: archived range (from required, to defaults to now)
+ * - radius:   coverage gap radius in km (default: 200)
+ * - network:  stations to measure gaps against: "surface" (default), "upper-air" or "both"
+ */
+app.get('/api/coverage/daily', async (req, res) => {
+  try {
+    const range = parseTimeRange(req.query, config.archive.maxSummaryDays);
+    const radiusKm = readRadiusParam(req.query);
+    const network = readNetworkParam(req.query);
+    const stations = getStations(network);
+
+    const cacheKey = `${network}|${radiusKm}`;
+    if (!dailyCoverageCaches.has(cacheKey)) dailyCoverageCaches.set(cacheKey, new Map());
+
+    const days = await summarizeArchivedDays(
+      range.from,
+      range.to,
+      balloons => summarizeCoverage(balloons, stations, { radiusKm }),
+      { cache: dailyCoverageCaches.get(cacheKey) }
+    );
+
+    const totalPositions = days.reduce((sum, day) => sum + day.totalBalloonPositions, 0);
+    const uniquePositions = days.reduce((sum, day) => sum + day.uniqueCoveragePositions, 0);
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      archive: {
+        from: new Date(range.from).toISOString(),
+        to: new Date(range.to).toISOString(),
+        hoursRequested: days.reduce((sum, day) => sum + day.hoursRequested, 0),
+        hoursArchived: days.reduce((sum, day) => sum + day.hoursArchived, 0)
+      },
+      stationNetwork: network,
+      coverageRadiusKm: radiusKm === undefined ? DEFAULT_COVERAGE_RADIUS_KM : radiusKm,
+      totals: {
+        totalBalloonPositions: totalPositions,
+        uniqueCoveragePositions: uniquePositions,
+        uniqueCoveragePercentage: totalPositions > 0 ? ((uniquePositions / totalPositions) * 100).toFixed(1) : '0.0'
+      },
+      days
+    });
+  } catch (error) {
+    console.error('Error summarizing daily coverage:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to summarize daily coverage',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/grid
+ * Global raster of balloon observation counts, station counts, nearest-station
+ * distance and coverage gaps
+ *
+ * Query params:
+ * - resolution:     cell size in degrees (default: 1, 0.5 - 10, must divide 180)
+ * - radius:         coverage gap radius in km (default: 200)
+ * - format:         "json" (default), "binary" (planar uint16/uint8 layers) or "png"
+ * - layer:          PNG layer: "gap" (default), "density" or "distance"
+ * - band:           only count positions in this pressure band
+ * - minAlt, maxAlt: only count positions in this altitude range in km (instead of band)
+ * - from, to:       count positions from a historical range in the archive
+ */
+app.get('/api/grid', async (req, res) => {
+  try {
+    const resolution = readResolutionParam(req.query);
+
+    const format = req.query.format || 'json';
+    if (!['json', 'binary', 'png'].includes(format)) {
+      throw badRequest(`Unknown format "${format}" (one of json, binary, png)`);
+    }
+
+    const layer = req.query.layer || 'gap';
+    if (!GRID_LAYERS.includes(layer)) {
+      throw badRequest(`Unknown layer "${layer}" (one of ${GRID_LAYERS.join(', ')})`);
+    }
+
+    const radiusKm = readRadiusParam(req.query);
+    const altitudeBand = readAltitudeBandParam(req.query);
+    const { balloonData, meta } = await resolveBalloonData(req);
+    const data = altitudeBand ? filterBalloonDataByAltitude(balloonData, altitudeBand) : balloonData;
+    const grid = buildObservationGrid(data, getStations(), { resolution, radiusKm });
+
+    if (format !== 'json') {
+      // Raster formats carry the grid geometry in headers
+      res.set({
+        'X-Grid-Width': grid.width,
+        'X-Grid-Height': grid.height,
+        'X-Grid-Resolution': grid.resolution,
+        'X-Grid-Radius-Km': grid.radiusKm,
+        'Access-Control-Expose-Headers': 'X-Grid-Width, X-Grid-Height, X-Grid-Resolution, X-Grid-Radius-Km'
+      });
+      res.type(format === 'png' ? 'image/png' : 'application/octet-stream');
+      return res.send(format === 'png' ? gridToPng(grid, layer) : gridToBinary(grid));
+    }
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...meta,
+      ...(altitudeBand ? { altitudeBand: describeAltitudeBand(altitudeBand) } : {}),
+      grid: gridToJson(grid)
+    });
+  } catch (error) {
+    console.error('Error building grid:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to build observation grid',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/revisit
+ * How often each grid cell (or a region) is observed over the window: distinct
+ * hours with an observation, the longest unobserved stretch, and the share of
+ * cells revisited at least every `hours` hours
+ *
+ * Query params:
+ * - resolution:               cell size in degrees (default: 1, 0.5 - 10, must divide 180)
+ * - hours:                    revisit interval in hours (default: 6, max: 48)
+ * - radius:                   coverage gap radius in km for the gap-cell figures (default: 200)
+ * - south, west, north, east: also summarize this region
+ * - format:                   "json" (default) or "png" (observed hours, revisited cells in green)
+ * - band:                     only count positions in this pressure band
+ * - minAlt, maxAlt:           only count positions in this altitude range in km (instead of band)
+ * - from, to:                 analyze a historical range from the archive
+ */
+app.get('/api/revisit', async (req, res) => {
+  try {
+    const resolution = readResolutionParam(req.query);
+
+    const format = req.query.format || 'json';
+    if (!['json', 'png'].includes(format)) throw badRequest(`Unknown format "${format}" (one of json, png)`);
+
+    const revisitHours = readIntegerParam(req.query, 'hours', { min: 1, max: MAX_REVISIT_HOURS, fallback: DEFAULT_REVISIT_HOURS });
+
+    const radiusKm = readRadiusParam(req.query);
+    const region = readRegionParam(req.query);
+    const altitudeBand = readAltitudeBandParam(req.query);
+    const { balloonData, meta } = await resolveBalloonData(req);
+    const data = altitudeBand ? filterBalloonDataByAltitude(balloonData, altitudeBand) : balloonData;
+    const grid = buildRevisitGrid(data, getStations(), { resolution, radiusKm, revisitHours });
+
+    if (format === 'png') {
+      res.set({
+        'X-Grid-Width': grid.width,
+        'X-Grid-Height': grid.height,
+        'X-Grid-Resolution': grid.resolution,
+        'Access-Control-Expose-Headers': 'X-Grid-Width, X-Grid-Height, X-Grid-Resolution'
+      });
+      res.type('image/png');
+      return res.send(revisitGridToPng(grid));
+    }
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...meta,
+      ...(altitudeBand ? { altitudeBand: describeAltitudeBand(altitudeBand) } : {}),
+      ...(region ? { region: summarizeRevisitRegion(data, grid, region) } : {}),
+      grid: revisitGridToJson(grid)
+    });
+  } catch (error) {
+    console.error('Error building revisit grid:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to build revisit grid',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/gaps
+ * The largest holes in the station network - points farthest from any station -
+ * and how many balloon observations fell inside each
+ *
+ * Query params:
+ * - count:    number of gaps (default: 10, max: 50)
+ * - network:  "surface" (default), "upper-air" or "both"
+ * - from, to: count observations from a historical range in the archive
+ */
+app.get('/api/gaps', async (req, res) => {
+  try {
+    const count = readIntegerParam(req.query, 'count', { min: 1, max: MAX_GAP_COUNT, fallback: DEFAULT_GAP_COUNT });
+    const network = readNetworkParam(req.query);
+    const { balloonData, meta } = await resolveBalloonData(req);
+    const gaps = findLargestGaps(balloonData, getStations(network), { count });
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...meta,
+      network,
+      count: gaps.length,
+      gaps
+    });
+  } catch (error) {
+    console.error('Error finding station gaps:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to find station gaps',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/value
+ * Observation value score for every balloon position (0 - 100), from its distance to
+ * the nearest station, land or ocean, pressure band and how many other balloons
+ * reported nearby in the same hour; with constellation totals and the top balloons
+ *
+ * Query params:
+ * - count:     number of top balloons (default: 10, max: 100)
+ * - network:   stations distances are measured to: "surface" (default), "upper-air" or "both"
+ * - positions: "true" to include every scored position
+ * - from, to:  score a historical range from the archive
+ */
+app.get('/api/value', async (req, res) => {
+  try {
+    const count = readIntegerParam(req.query, 'count', { min: 1, max: MAX_TOP_BALLOONS, fallback: DEFAULT_TOP_BALLOONS });
+    const network = readNetworkParam(req.query);
+    const { balloonData, meta } = await resolveBalloonData(req);
+    const value = calculateObservationValue(balloonData, getStations(network), {
+      count,
+      positions: req.query.positions === 'true'
+    });
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...meta,
+      network,
+      ...value
+    });
+  } catch (error) {
+    console.error('Error scoring observations:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to score observations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scenario
+ * What-if analysis: rerun the coverage and area metrics with stations removed or
+ * added and synthetic balloons launched, and report the change from the baseline
+ *
+ * Body (JSON, every part optional):
+ * - name:           label echoed back
+ * - removeStations: { countries: FIPS codes, ids: station ids, regions: [{ south, west, north, east }] }
+ * - addStations:    [{ latitude, longitude, name }] (max 1000)
+ * - launches:       [{ latitude, longitude, count (1-200), altitude (km, default 15), name }] (max 20 sites);
+ *                   each site's balloons are launched evenly across the window and drift with observed winds
+ *
+ * Query params:
+ * - radius:   coverage gap radius in km (default: 200)
+ * - network:  baseline stations: "surface" (default), "upper-air" or "both"
+ * - from, to: run the scenario against a historical range from the archive
+ */
+app.post('/api/scenario', async (req, res) => {
+  try {
+    const scenario = parseScenario(req.body);
+    const radiusKm = readRadiusParam(req.query);
+    const network = readNetworkParam(req.query);
+    const { balloonData, meta } = await resolveBalloonData(req);
+    const result = runScenario(balloonData, getStations(network), scenario, { radiusKm });
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...meta,
+      name: scenario.name,
+      network,
+      radiusKm: radiusKm || DEFAULT_COVERAGE_RADIUS_KM,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error running scenario:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to run scenario',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/nearest
+ * Nearest weather stations to one or more positions
+ *
+ * Query params:
+ * - lat, lon: position in degrees; repeat both to query several positions at once (max 500)
+ * - k:        stations per position (default: 1, max: 100)
+ * - network:  "surface" (default), "upper-air" or "both"
+ */
+app.get('/api/nearest', (req, res) => {
+  try {
+    const positions = readPositionParams(req.query);
+    if (positions.length > MAX_NEAREST_POINTS) throw badRequest(`At most ${MAX_NEAREST_POINTS} positions per request`);
+
+    const k = readIntegerParam(req.query, 'k', { min: 1, max: MAX_NEAREST_K, fallback: 1 });
+    const network = readNetworkParam(req.query);
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      k,
+      network,
+      results: positions.map(({ latitude, longitude }) => ({
+        latitude,
+        longitude,
+        stations: findNearestStations(getStations(network), latitude, longitude, k)
+      }))
+    });
+  } catch (error) {
+    console.error('Error finding nearest stations:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to find nearest stations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/point-coverage
+ * Balloon observations that passed near a position during the window
+ *
+ * Query params:
+ * - lat, lon: position in degrees
+ * - radius:   search radius in km (default: 200)
+ * - from, to: search a historical range from the archive instead of the last 24 hours
+ */
+app.get('/api/point-coverage', async (req, res) => {
+  try {
+    const positions = readPositionParams(req.query);
+    if (positions.length > 1) throw badRequest('Only one position is supported');
+
+    const { latitude, longitude } = positions[0];
+    const requestedRadius = readRadiusParam(req.query);
+    const radiusKm = requestedRadius === undefined ? DEFAULT_COVERAGE_RADIUS_KM : requestedRadius;
+    const { balloonData, meta } = await resolveBalloonData(req);
+    const observations = findObservationsNear(balloonData, latitude, longitude, radiusKm);
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...meta,
+      latitude,
+      longitude,
+      radiusKm,
+      nearestStation: findNearestStations(getStations(), latitude, longitude, 1)[0] || null,
+      balloonCount: new Set(observations.map(observation => observation.balloonId)).size,
+      count: observations.length,
+      observations
+    });
+  } catch (error) {
+    console.error('Error finding observations near position:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to find observations near position',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/data-quality
+ * Per-hour parse and validation report, including every rejected record and why
+ *
+ * Query params:
+ * - hour:   only list rejected records from this hour (0 - 23)
+ * - reason: only list rejected records with this reason code
+ * - limit:  maximum rejected records to return (default: 100, 0 for the summary only, max: 5000)
+ */
+app.get('/api/data-quality', async (req, res) => {
+  try {
+    const snapshot = await getSnapshot();
+    const limit = readIntegerParam(req.query, 'limit', { min: 0, max: 5000, fallback: 100 });
+    const hourNumber = readIntegerParam(req.query, 'hour', { min: 0, max: 23, fallback: undefined });
+    const hour = hourNumber === undefined ? undefined : String(hourNumber).padStart(2, '0');
+
+    const report = buildDataQualityReport(snapshot.balloonData, {
+      hour,
+      reason: req.query.reason,
+      limit
+    });
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      snapshot: describeSnapshot(snapshot),
+      ...report
+    });
+  } catch (error) {
+    console.error('Error building data quality report:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to build data quality report',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/winds
+ * Wind vectors at flight altitude derived from consecutive trajectory points
+ *
+ * Query params:
+ * - minAlt, maxAlt:             altitude band in km
+ * - south, west, north, east:   region in degrees (west > east wraps the antimeridian)
+ * - latest:                     "true" for only the most recent vector per balloon
+ * - from, to:                   derive from a historical range in the archive
+ */
+app.get('/api/winds', async (req, res) => {
+  try {
+    const filters = {
+      minAltitude: readNumberParam(req.query, 'minAlt'),
+      maxAltitude: readNumberParam(req.query, 'maxAlt'),
+      region: readRegionParam(req.query),
+      latest: req.query.latest === 'true'
+    };
+    const { balloonData, meta } = await resolveBalloonData(req);
+    const vectors = filterWindVectors(deriveWindVectors(balloonData.balloonPaths), filters);
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...meta,
+      summary: summarizeWinds(vectors),
+      vectors
+    });
+  } catch (error) {
+    console.error('Error deriving winds:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to derive wind vectors',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/forecast
+ * Extrapolated balloon positions for the next 1 - 12 hours, with uncertainty radii
+ *
+ * Query params:
+ * - hours:                      forecast horizon (default and max: 12)
+ * - south, west, north, east:   also report which balloons are forecast to reach this region
+ * - from, to:                   forecast from the end of a historical range in the archive
+ */
+app.get('/api/forecast', async (req, res) => {
+  try {
+    const maxHours = DEFAULT_FORECAST_OPTIONS.horizonHours;
+    const horizonHours = readIntegerParam(req.query, 'hours', { min: 1, max: maxHours, fallback: maxHours });
+    const region = readRegionParam(req.query);
+    const { balloonData, meta } = await resolveBalloonData(req);
+    const forecast = forecastTrajectories(balloonData.balloonPaths, { horizonHours });
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...meta,
+      ...forecast,
+      count: forecast.forecasts.length,
+      ...(region ? { region, arrivals: findRegionArrivals(forecast.forecasts, region) } : {})
+    });
+  } catch (error) {
+    console.error('Error forecasting trajectories:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to forecast trajectories',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/anomalies
+ * Suspicious observations flagged in the balloon tracks
+ *
+ * Query params:
+ * - type:      only this anomaly type (excessive_speed, altitude_discontinuity, stuck, duplicate)
+ * - severity:  only this severity (warning, critical)
+ * - balloonId: only this balloon
+ * - limit:     maximum anomalies to return (default: 500, 0 for counts only, max: 5000)
+ * - from, to:  check a historical range from the archive
+ */
+app.get('/api/anomalies', async (req, res) => {
+  try {
+    const { type, severity, balloonId } = req.query;
+    if (type && !Object.values(ANOMALY_TYPES).includes(type)) throw badRequest(`Unknown anomaly type "${type}"`);
+    if (severity && !SEVERITIES.includes(severity)) throw badRequest(`Unknown severity "${severity}"`);
+
+    const limit = readIntegerParam(req.query, 'limit', { min: 0, max: 5000, fallback: 500 });
+    const { balloonData, meta } = await resolveBalloonData(req);
+
+    const matching = (balloonData.anomalies || []).filter(anomaly => (
+      (!type || anomaly.type === type) &&
+      (!severity || anomaly.severity === severity) &&
+      (!balloonId || anomaly.balloonId === balloonId)
+    ));
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...meta,
+      summary: balloonData.anomalySummary,
+      types: Object.values(ANOMALY_TYPES),
+      count: matching.length,
+      anomalies: matching.slice(0, limit)
+    });
+  } catch (error) {
+    console.error('Error listing anomalies:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to list anomalies',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events
+ * Balloon lifecycle events: launches, terminations and gaps
+ *
+ * Live events come from the running feed, which keeps events for several days
+ * across refreshes. With from/to the events are derived from the archived range.
+ *
+ * Query params:
+ * - type:      only this event type (launch, termination, gap)
+ * - balloonId: only this balloon
+ * - since:     only events at or after this time (ISO or epoch ms)
+ * - limit:     maximum events to return (default: 200, 0 for counts only, max: 5000)
+ * - from, to:  derive events from a historical range in the archive
+ */
+app.get('/api/events', async (req, res) => {
+  try {
+    const { type, balloonId } = req.query;
+    if (type && !Object.values(EVENT_TYPES).includes(type)) throw badRequest(`Unknown event type "${type}"`);
+
+    const since = readTimeParam(req.query, 'since');
+    const limit = readIntegerParam(req.query, 'limit', { min: 0, max: 5000, fallback: 200 });
+    const { balloonData, meta } = await resolveBalloonData(req);
+
+    const filters = { type, balloonId, since };
+    const events = meta.archive
+      ? filterEvents(detectLifecycleEvents(balloonData), filters)
+      : getLifecycleEvents(filters);
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...meta,
+      types: Object.values(EVENT_TYPES),
+      byDay: countEventsByDay(events),
+      count: events.length,
+      events: events.slice(0, limit)
+    });
+  } catch (error) {
+    console.error('Error listing lifecycle events:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to list lifecycle events',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/archive
+ * What the historical archive holds
+ */
+app.get('/api/archive', async (req, res) => {
+  try {
+    const hours = await listArchivedHours();
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      enabled: config.archive.enabled,
+      hoursArchived: hours.length,
+      earliest: hours[0] || null,
+      latest: hours[hours.length - 1] || null,
+      hours
+    });
+  } catch (error) {
+    console.error('Error listing archive:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list archive',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Catch-all route - serve index.html for SPA
  */
@@ -123,19 +1151,20 @@ async function initialize() {
     console.log('Initializing WindBorne Coverage Analyzer...');
     console.log('');
 
-    // Load weather station data
-    const stationsPath = path.join(__dirname, '..', 'data', 'weather-stations.json');
-
-    if (fs.existsSync(stationsPath)) {
-      const stationsData = JSON.parse(fs.readFileSync(stationsPath, 'utf8'));
-      weatherStations = stationsData;
-      console.log(`✓ Loaded ${weatherStations.length.toLocaleString()} weather stations from NOAA ISD`);
-    } else {
-      console.warn('⚠ Weather stations data file not found.');
-      console.warn('  Run: npm run fetch-stations');
-      console.warn('  Using empty dataset for now.');
-      weatherStations = [];
-    }
+    // Load the surface and upper-air station catalogs
+    loadStationCatalogs();
+
+    // Index the stations once; every coverage query reuses it
+    Object.values(getStationNetworks()).forEach(stations => getStationIndex(stations));
+
+    // Search each network for its largest gaps now rather than on the first /api/gaps request
+    Object.values(getStationNetworks()).forEach(stations => getStationGaps(stations));
+
+    console.log('');
+
+    // Build the shared constellation snapshot and keep it fresh in the background
+    configureSnapshotStore({ stations: getStations(), networks: getStationNetworks() });
+    startRefreshScheduler();
 
     console.log('');
 
@@ -152,6 +1181,21 @@ async function initialize() {
       console.log('    GET /api/windborne   - Balloon constellation data (24H)');
       console.log('    GET /api/stations    - Weather station locations');
       console.log('    GET /api/coverage    - Coverage gap analysis');
+      console.log('    GET /api/coverage/regions - Coverage by country & ocean basin');
+      console.log('    GET /api/coverage/daily - Daily coverage over long archived ranges');
+      console.log('    GET /api/grid        - Observation density & gap raster');
+      console.log('    GET /api/revisit     - Revisit frequency per grid cell');
+      console.log('    GET /api/gaps        - Largest holes in the station network');
+      console.log('    GET /api/value       - Observation value scores');
+      console.log('    POST /api/scenario   - What-if station & launch scenarios');
+      console.log('    GET /api/nearest     - Nearest stations to a position');
+      console.log('    GET /api/point-coverage - Observations near a position');
+      console.log('    GET /api/data-quality - Parse & validation report');
+      console.log('    GET /api/winds       - Wind vectors from trajectories');
+      console.log('    GET /api/forecast    - 1-12H trajectory forecasts');
+      console.log('    GET /api/anomalies   - Flagged trajectory anomalies');
+      console.log('    GET /api/events      - Launch, termination & gap events');
+      console.log('    GET /api/archive     - Historical archive contents');
       console.log('');
       console.log('  Frontend:');
       console.log(`    http://localhost:${PORT}`);
@@ -0,0 +1,264 @@
+/**
+ * Anomaly Service
+ * Flags suspicious observations in reconstructed balloon tracks
+ *
+ * Tracking (see tracking-service.js) only refuses links that are outright
+ * impossible, so odd observations can still end up inside a path. This pass
+ * looks at every track and hourly file afterwards and flags:
+ *
+ * - excessive_speed:        implied ground speed between two fixes above a physical limit
+ * - altitude_discontinuity: altitude change faster than a balloon can climb or sink
+ * - stuck:                  a balloon reporting the same position for hours
+ * - duplicate:              the exact same position listed more than once in one hourly file
+ *
+ * Each anomaly carries a severity ("warning" or "critical"). Flagged positions
+ * also get an `anomalies` array of types so clients can highlight or hide them.
+ * Nothing is removed; deciding what to drop is up to the consumer.
+ */
+
+const { calculateDistance } = require('../utils/geo');
+
+const HOUR_MS = 3600000;
+
+const ANOMALY_TYPES = {
+  EXCESSIVE_SPEED: 'excessive_speed',
+  ALTITUDE_DISCONTINUITY: 'altitude_discontinuity',
+  STUCK: 'stuck',
+  DUPLICATE: 'duplicate'
+};
+
+const SEVERITIES = ['warning', 'critical'];
+
+const DEFAULT_ANOMALY_OPTIONS = {
+  // Strong jet streams reach ~200 km/h; beyond ~250 km/h the fix is almost certainly wrong
+  speedWarningKmPerHour: 200,
+  speedCriticalKmPerHour: 250,
+  altitudeWarningKmPerHour: 2,
+  altitudeCriticalKmPerHour: 4,
+  // Movement below this between fixes counts as not moving at all
+  stuckDistanceKm: 0.1,
+  stuckAltitudeKm: 0.005,
+  stuckWarningHours: 2,
+  stuckCriticalHours: 6
+};
+
+/**
+ * Severity for a value measured against warning/critical thresholds, or null if below both
+ */
+function gradeSeverity(value, warning, critical) {
+  if (value > critical) return 'critical';
+  if (value > warning) return 'warning';
+  return null;
+}
+
+/**
+ * Add an anomaly type to a position's `anomalies` list
+ */
+function tagPosition(pos, type) {
+  if (!pos.anomalies) pos.anomalies = [];
+  if (!pos.anomalies.includes(type)) pos.anomalies.push(type);
+}
+
+/**
+ * Build an anomaly record for a position and tag the position with its type
+ */
+function flagPosition(pos, type, severity, details) {
+  tagPosition(pos, type);
+
+  return {
+    type,
+    severity,
+    balloonId: pos.balloonId || null,
+    hour: pos.hour,
+    validTime: pos.validTime,
+    latitude: pos.latitude,
+    longitude: pos.longitude,
+    altitude: pos.altitude,
+    ...details
+  };
+}
+
+/**
+ * Speed, altitude and stuck checks along one track
+ *
+ * @param {Array} path - Track positions, most recent first
+ * @param {Object} options - Anomaly options
+ * @returns {Array} Anomalies found in this track
+ */
+function checkTrack(path, options) {
+  const anomalies = [];
+  // Oldest first reads more naturally for runs of stuck reports
+  const ordered = [...path].reverse();
+  let stuckRun = [];
+
+  const closeStuckRun = () => {
+    if (stuckRun.length < 2) return;
+
+    const first = stuckRun[0];
+    const last = stuckRun[stuckRun.length - 1];
+    const durationHours = (last.timestamp - first.timestamp) / HOUR_MS;
+    if (durationHours < options.stuckWarningHours) return;
+
+    const severity = durationHours >= options.stuckCriticalHours ? 'critical' : 'warning';
+    stuckRun.slice(0, -1).forEach(pos => tagPosition(pos, ANOMALY_TYPES.STUCK));
+    anomalies.push(flagPosition(last, ANOMALY_TYPES.STUCK, severity, {
+      durationHours,
+      since: first.validTime
+    }));
+  };
+
+  for (let i = 1; i < ordered.length; i++) {
+    const from = ordered[i - 1];
+    const to = ordered[i];
+    const hours = (to.timestamp - from.timestamp) / HOUR_MS;
+    if (hours <= 0) continue;
+
+    const distanceKm = calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+    const altitudeChangeKm = to.altitude - from.altitude;
+
+    const speed = distanceKm / hours;
+    const speedSeverity = gradeSeverity(speed, options.speedWarningKmPerHour, options.speedCriticalKmPerHour);
+    if (speedSeverity) {
+      anomalies.push(flagPosition(to, ANOMALY_TYPES.EXCESSIVE_SPEED, speedSeverity, {
+        value: Math.round(speed * 10) / 10,
+        unit: 'km/h',
+        limit: options.speedWarningKmPerHour,
+        previousValidTime: from.validTime
+      }));
+    }
+
+    const climbRate = Math.abs(altitudeChangeKm) / hours;
+    const altitudeSeverity = gradeSeverity(climbRate, options.altitudeWarningKmPerHour, options.altitudeCriticalKmPerHour);
+    if (altitudeSeverity) {
+      anomalies.push(flagPosition(to, ANOMALY_TYPES.ALTITUDE_DISCONTINUITY, altitudeSeverity, {
+        value: Math.round(altitudeChangeKm * 1000) / 1000,
+        unit: 'km',
+        limit: options.altitudeWarningKmPerHour,
+        previousValidTime: from.validTime
+      }));
+    }
+
+    const stationary = distanceKm < options.stuckDistanceKm && Math.abs(altitudeChangeKm) < options.stuckAltitudeKm;
+    if (stationary) {
+      if (stuckRun.length === 0) stuckRun.push(from);
+      stuckRun.push(to);
+    } else {
+      closeStuckRun();
+      stuckRun = [];
+    }
+  }
+
+  closeStuckRun();
+  return anomalies;
+}
+
+/**
+ * Exact duplicate positions within each hourly file
+ *
+ * Duplicates are collapsed before tracking, so the flag goes on the copy that was kept.
+ *
+ * @param {Object} balloonData - Result of fetchConstellationData()
+ * @returns {Array} One anomaly per duplicated position
+ */
+function checkDuplicates(balloonData) {
+  const anomalies = [];
+  const staleHours = new Set((balloonData.staleHours || []).map(stale => stale.hour));
+
+  const kept = new Map();
+  balloonData.balloons.forEach((pos) => {
+    kept.set(`${pos.timestamp},${pos.latitude},${pos.longitude},${pos.altitude}`, pos);
+  });
+
+  Object.entries(balloonData.hourlyData).forEach(([hour, positions]) => {
+    // Stale hours are old copies; their duplicates were reported when they were fresh
+    if (staleHours.has(hour)) return;
+
+    const counts = new Map();
+    positions.forEach((pos) => {
+      const key = `${pos.timestamp},${pos.latitude},${pos.longitude},${pos.altitude}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    counts.forEach((count, key) => {
+      if (count < 2) return;
+      const pos = kept.get(key);
+      if (!pos) return;
+
+      anomalies.push(flagPosition(pos, ANOMALY_TYPES.DUPLICATE, count > 2 ? 'critical' : 'warning', {
+        value: count,
+        unit: 'copies'
+      }));
+    });
+  });
+
+  return anomalies;
+}
+
+/**
+ * Run every anomaly check over a constellation result
+ *
+ * Tags the positions in balloonData.balloons / balloonPaths in place.
+ *
+ * @param {Object} balloonData - Result of fetchConstellationData() or loadArchivedRange()
+ * @param {Object} options - Overrides for DEFAULT_ANOMALY_OPTIONS
+ * @returns {Object} { anomalies, summary }
+ */
+function detectAnomalies(balloonData, options = {}) {
+  const opts = { ...DEFAULT_ANOMALY_OPTIONS, ...options };
+
+  // Positions can be reused across runs (last-good cache), so start from a clean slate
+  balloonData.balloons.forEach((pos) => {
+    delete pos.anomalies;
+  });
+
+  const anomalies = [
+    ...(balloonData.balloonPaths || []).flatMap(path => checkTrack(path, opts)),
+    ...checkDuplicates(balloonData)
+  ];
+
+  anomalies.sort((a, b) => (
+    SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) ||
+    b.validTime.localeCompare(a.validTime)
+  ));
+
+  return { anomalies, summary: summarizeAnomalies(anomalies, balloonData.balloons) };
+}
+
+/**
+ * Counts by type and severity
+ *
+ * @param {Array} anomalies - Anomaly records
+ * @param {Array} positions - Positions tagged by detectAnomalies()
+ * @returns {Object} { total, flaggedPositions, byType, bySeverity }
+ */
+function summarizeAnomalies(anomalies, positions = []) {
+  const byType = {};
+  const bySeverity = {};
+
+  Object.values(ANOMALY_TYPES).forEach((type) => {
+    byType[type] = 0;
+  });
+  SEVERITIES.forEach((severity) => {
+    bySeverity[severity] = 0;
+  });
+
+  anomalies.forEach((anomaly) => {
+    byType[anomaly.type]++;
+    bySeverity[anomaly.severity]++;
+  });
+
+  return {
+    total: anomalies.length,
+    flaggedPositions: positions.filter(pos => pos.anomalies).length,
+    byType,
+    bySeverity
+  };
+}
+
+module.exports = {
+  ANOMALY_TYPES,
+  SEVERITIES,
+  DEFAULT_ANOMALY_OPTIONS,
+  detectAnomalies,
+  summarizeAnomalies
+};
@@ -0,0 +1,353 @@
+/**
+ * Historical Archive Service
+ * Keeps every hourly constellation snapshot on disk, beyond the upstream's 24-hour window
+ *
+ * Each valid hour is stored once as a gzipped JSON file:
+ *   <archiveDir>/YYYY-MM-DD/HH.json.gz  →  { validTime, archivedAt, source, positions: [[lat, lon, alt], ...] }
+ *
+ * Refreshes overlap (the same valid hour is fetched up to 24 times a day), so a
+ * file is only rewritten when the fresh data for that hour differs from what is
+ * stored. Stale hours served from the last-good cache are never archived, since
+ * they were already archived when first fetched.
+ *
+ * loadArchivedRange() turns a stored time range (up to ARCHIVE_MAX_RANGE_DAYS)
+ * back into the same shape fetchConstellationData() returns, so tracks and
+ * coverage stats can be computed with the existing services. Rebuilding a range
+ * is seconds of synchronous tracking work, so the last few ranges are kept in
+ * memory until a file in them changes.
+ *
+ * Longer ranges (up to ARCHIVE_MAX_SUMMARY_DAYS) are summarized a day at a time
+ * by summarizeArchivedDays(), which never tracks and never holds more than one
+ * day of positions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const config = require('../config');
+const { altitudeToPressure } = require('../utils/atmosphere');
+const { getOceanBasin } = require('../utils/land-mask');
+const { reconstructTracks } = require('./tracking-service');
+const { detectAnomalies } = require('./anomaly-service');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Loaded ranges kept in memory, least recently used dropped first
+const RANGE_CACHE_SIZE = 4;
+
+// Day summaries kept per cache passed to summarizeArchivedDays(), oldest dropped first
+const DAY_SUMMARY_CACHE_SIZE = 400;
+
+const rangeCache = new Map();
+
+/**
+ * Path of the archive file for a valid time
+ */
+function getArchivePath(validTime, archiveDir = config.archive.directory) {
+  const iso = new Date(validTime).toISOString();
+  return path.join(archiveDir, iso.slice(0, 10), `${iso.slice(11, 13)}.json.gz`);
+}
+
+/**
+ * Read one archived hour, or null if it isn't stored
+ */
+async function readArchivedHour(validTime, archiveDir = config.archive.directory) {
+  const filePath = getArchivePath(validTime, archiveDir);
+  if (!fs.existsSync(filePath)) return null;
+
+  const compressed = await fs.promises.readFile(filePath);
+  return JSON.parse((await gunzip(compressed)).toString('utf8'));
+}
+
+/**
+ * Store the fresh hours of a constellation fetch
+ *
+ * @param {Object} balloonData - Result of fetchConstellationData()
+ * @param {string} archiveDir - Archive root directory
+ * @returns {Promise<Object>} { written, unchanged } hour counts
+ */
+async function archiveHourlyData(balloonData, archiveDir = config.archive.directory) {
+  const staleHours = new Set((balloonData.staleHours || []).map(stale => stale.hour));
+  const summary = { written: 0, unchanged: 0 };
+
+  for (const [hour, positions] of Object.entries(balloonData.hourlyData)) {
+    const validTime = balloonData.hourValidTimes[hour];
+    if (staleHours.has(hour) || !validTime) continue;
+
+    const compact = positions.map(pos => [pos.latitude, pos.longitude, pos.altitude]);
+    const existing = await readArchivedHour(validTime, archiveDir);
+
+    if (existing && JSON.stringify(existing.positions) === JSON.stringify(compact)) {
+      summary.unchanged++;
+      continue;
+    }
+
+    const record = {
+      validTime,
+      archivedAt: new Date().toISOString(),
+      source: balloonData.source ? { type: balloonData.source.type, location: balloonData.source.location } : null,
+      positions: compact
+    };
+
+    // Write to a temp file first so a crash never leaves a half-written hour behind
+    const filePath = getArchivePath(validTime, archiveDir);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(`${filePath}.tmp`, await gzip(JSON.stringify(record)));
+    await fs.promises.rename(`${filePath}.tmp`, filePath);
+    summary.written++;
+  }
+
+  return summary;
+}
+
+/**
+ * List archived valid times (ISO strings, oldest first)
+ */
+async function listArchivedHours(archiveDir = config.archive.directory) {
+  if (!fs.existsSync(archiveDir)) return [];
+
+  const days = (await fs.promises.readdir(archiveDir))
+    .filter(name => /^\d{4}-\d{2}-\d{2}$/.test(name))
+    .sort();
+
+  const hours = [];
+  for (const day of days) {
+    const files = (await fs.promises.readdir(path.join(archiveDir, day)))
+      .filter(name => /^\d{2}\.json\.gz$/.test(name))
+      .sort();
+    files.forEach(file => hours.push(`${day}T${file.slice(0, 2)}:00:00.000Z`));
+  }
+
+  return hours;
+}
+
+/**
+ * Parse and validate a from/to query range
+ *
+ * Accepts ISO dates or epoch milliseconds. `to` defaults to now.
+ *
+ * @param {Object} query - { from, to }
+ * @param {number} maxDays - Longest range accepted (default: ARCHIVE_MAX_RANGE_DAYS)
+ * @returns {Object} { from, to } as epoch ms truncated to the hour
+ * @throws {Error} With `status = 400` when the range is invalid
+ */
+function parseTimeRange({ from, to }, maxDays = config.archive.maxRangeDays) {
+  const parseTime = (value) => {
+    if (value === undefined || value === '') return null;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isFinite(time) ? time : NaN;
+  };
+
+  const badRequest = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+
+  const fromTime = parseTime(from);
+  const toTime = parseTime(to) === null ? Date.now() : parseTime(to);
+
+  if (fromTime === null) throw badRequest('Missing "from" parameter');
+  if (Number.isNaN(fromTime) || Number.isNaN(toTime)) throw badRequest('Invalid "from" or "to" time');
+  if (fromTime > toTime) throw badRequest('"from" must be before "to"');
+  if (toTime - fromTime > maxDays * DAY_MS) {
+    throw badRequest(`Time range may not exceed ${maxDays} days`);
+  }
+
+  return {
+    from: Math.floor(fromTime / HOUR_MS) * HOUR_MS,
+    to: Math.floor(toTime / HOUR_MS) * HOUR_MS
+  };
+}
+
+/**
+ * Expand the compact positions of an archived hour
+ *
+ * @param {Object} archived - Result of readArchivedHour()
+ * @param {number} time - Valid time, epoch ms
+ * @param {number} hourOffset - Hours before the end of the range
+ */
+function toPositions(archived, time, hourOffset) {
+  const validTime = new Date(time).toISOString();
+
+  return archived.positions.map(([latitude, longitude, altitude]) => ({
+    latitude,
+    longitude,
+    altitude,
+    pressure: Math.round(altitudeToPressure(altitude) * 10) / 10,
+    oceanBasin: getOceanBasin(latitude, longitude),
+    hour: hourOffset,
+    timestamp: time,
+    validTime
+  }));
+}
+
+/**
+ * Version of the stored files in a range: how many there are and the latest modification
+ *
+ * Hours are written atomically by rename, so any new or rewritten hour changes it.
+ */
+async function getRangeVersion(from, to, archiveDir) {
+  let files = 0;
+  let latestMtime = 0;
+
+  for (let time = to; time >= from; time -= HOUR_MS) {
+    try {
+      const stats = await fs.promises.stat(getArchivePath(time, archiveDir));
+      files++;
+      latestMtime = Math.max(latestMtime, stats.mtimeMs);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  return `${files}:${latestMtime}`;
+}
+
+/**
+ * Load an archived time range in the same shape as fetchConstellationData()
+ *
+ * Positions get `hour` = hours before the end of the range, so code written
+ * for the live 24-hour window (hour 0 = most recent) works unchanged.
+ *
+ * Results are cached per range and archive version (see RANGE_CACHE_SIZE) and
+ * shared between requests, so callers must not modify them. Concurrent requests
+ * for the same range share one load.
+ *
+ * @param {number} from - Range start, epoch ms
+ * @param {number} to - Range end, epoch ms (inclusive)
+ * @param {string} archiveDir - Archive root directory
+ * @returns {Promise<Object>} Balloon data for the range
+ */
+async function loadArchivedRange(from, to, archiveDir = config.archive.directory) {
+  const key = `${path.resolve(archiveDir)}|${from}|${to}|${await getRangeVersion(from, to, archiveDir)}`;
+
+  if (!rangeCache.has(key)) {
+    const loading = readArchivedRange(from, to, archiveDir);
+    // A failed load is not cached, so the next request tries again
+    loading.catch(() => rangeCache.delete(key));
+    rangeCache.set(key, loading);
+    if (rangeCache.size > RANGE_CACHE_SIZE) rangeCache.delete(rangeCache.keys().next().value);
+  }
+
+  // Re-insert to mark as most recently used
+  const result = rangeCache.get(key);
+  rangeCache.delete(key);
+  rangeCache.set(key, result);
+  return result;
+}
+
+/**
+ * Read and track an archived range (uncached, see loadArchivedRange())
+ */
+async function readArchivedRange(from, to, archiveDir) {
+  const results = {
+    balloons: [],
+    hourlyData: {},
+    parseReports: {},
+    rejectionCounts: {},
+    rejectedRecords: [],
+    hourValidTimes: {},
+    errors: [],
+    staleHours: [],
+    successCount: 0,
+    staleCount: 0,
+    totalRequests: 0,
+    source: { type: 'archive', location: path.resolve(archiveDir) },
+    validTime: null,
+    validTimeRange: { start: new Date(from).toISOString(), end: new Date(to).toISOString() }
+  };
+
+  for (let time = to; time >= from; time -= HOUR_MS) {
+    const hourOffset = (to - time) / HOUR_MS;
+    const hour = String(hourOffset).padStart(2, '0');
+    const validTime = new Date(time).toISOString();
+    results.totalRequests++;
+
+    const archived = await readArchivedHour(time, archiveDir);
+    if (!archived) {
+      results.errors.push({ hour, error: 'Not archived', type: 'missing', validTime });
+      continue;
+    }
+
+    const positions = toPositions(archived, time, hourOffset);
+
+    results.hourlyData[hour] = positions;
+    results.hourValidTimes[hour] = validTime;
+    results.balloons.push(...positions);
+    results.successCount++;
+    if (!results.validTime) results.validTime = validTime;
+  }
+
+  const { index, ...trackData } = reconstructTracks(results.balloons);
+  Object.assign(results, trackData);
+
+  const { anomalies, summary } = detectAnomalies(results);
+  results.anomalies = anomalies;
+  results.anomalySummary = summary;
+
+  return results;
+}
+
+/**
+ * Summarize an archived range one UTC day at a time
+ *
+ * Positions are not tracked and only one day is held in memory, so ranges far
+ * longer than loadArchivedRange() accepts stay cheap. Summaries are reused from
+ * `cache` while none of the day's files change, so only new days are read again.
+ *
+ * @param {number} from - Range start, epoch ms
+ * @param {number} to - Range end, epoch ms (inclusive)
+ * @param {Function} summarizeDay - Day positions -> summary object
+ * @param {Object} options
+ * @param {Map} options.cache - Summaries from earlier calls with the same summarizeDay
+ * @param {string} options.archiveDir - Archive root directory
+ * @returns {Promise<Array>} { date, hoursArchived, hoursRequested, ...summary } per day, oldest first
+ */
+async function summarizeArchivedDays(from, to, summarizeDay, { cache = new Map(), archiveDir = config.archive.directory } = {}) {
+  const days = [];
+
+  for (let dayStart = Math.floor(from / DAY_MS) * DAY_MS; dayStart <= to; dayStart += DAY_MS) {
+    const dayFrom = Math.max(from, dayStart);
+    const dayTo = Math.min(to, dayStart + DAY_MS - HOUR_MS);
+    const key = `${path.resolve(archiveDir)}|${dayFrom}|${dayTo}|${await getRangeVersion(dayFrom, dayTo, archiveDir)}`;
+
+    if (!cache.has(key)) {
+      const balloons = [];
+      let hoursArchived = 0;
+
+      for (let time = dayTo; time >= dayFrom; time -= HOUR_MS) {
+        const archived = await readArchivedHour(time, archiveDir);
+        if (!archived) continue;
+        balloons.push(...toPositions(archived, time, (dayTo - time) / HOUR_MS));
+        hoursArchived++;
+      }
+
+      cache.set(key, {
+        date: new Date(dayStart).toISOString().slice(0, 10),
+        hoursArchived,
+        hoursRequested: (dayTo - dayFrom) / HOUR_MS + 1,
+        ...summarizeDay(balloons)
+      });
+      if (cache.size > DAY_SUMMARY_CACHE_SIZE) cache.delete(cache.keys().next().value);
+    }
+
+    days.push(cache.get(key));
+  }
+
+  return days;
+}
+
+module.exports = {
+  archiveHourlyData,
+  listArchivedHours,
+  parseTimeRange,
+  loadArchivedRange,
+  summarizeArchivedDays
+};
@@ -2,154 +2,402 @@
  * Coverage Analysis Service
  * Analyzes coverage gaps between WindBorne balloons and traditional weather stations
  *
- * Performance optimization: Uses spatial indexing (grid-based lookup) to reduce
- * distance calculations from O(n*m) to O(n*k) where k << m
- * - n = number of balloons (~23,000)
+ * Nearest-station lookups go through a spherical k-d tree (see utils/spatial-index.js),
+ * built once per station catalog: exact distances anywhere on the globe, including
+ * the poles and the antimeridian, in O(log m) per position instead of O(m)
+ * - n = number of balloon positions (~23,000)
  * - m = number of stations (~13,443)
- * - k = average nearby stations per cell (~60)
+ */
+
+const { summarizeRejections } = require('./validation-service');
+const {
+  PRESSURE_BANDS,
+  altitudeToPressure,
+  getPressureBand,
+  getBandAltitudeRange
+} = require('../utils/atmosphere');
+const { isOverOcean, getOceanBasin, listOceanBasins } = require('../utils/land-mask');
+const { buildSpatialIndex, findNearest, findWithinRadius } = require('../utils/spatial-index');
+
+// Default "coverage gap" radius: a position with no station within this distance is unique coverage
+const DEFAULT_COVERAGE_RADIUS_KM = 200;
+
+// Thresholds evaluated by the coverage curve, and the matching histogram bins
+const CURVE_STEP_KM = 25;
+const CURVE_MAX_RADIUS_KM = 1000;
+
+const stationIndexes = new WeakMap();
+const balloonIndexes = new WeakMap();
+
+/**
+ * Spatial index of a station catalog, built on first use and kept for its lifetime
+ *
+ * @param {Array} stations - Weather stations
+ * @returns {Object} Index from buildSpatialIndex()
+ */
+function getStationIndex(stations) {
+  if (!stationIndexes.has(stations)) {
+    const start = Date.now();
+    stationIndexes.set(stations, buildSpatialIndex(stations));
+    console.log(`✓ Spatial index for ${stations.length.toLocaleString()} stations built in ${Date.now() - start}ms`);
+  }
+  return stationIndexes.get(stations);
+}
+
+/**
+ * Ocean basin of a position, or null over land
+ *
+ * Positions from windborne-service carry it already; others are looked up in the mask.
+ */
+function basinOf(balloon) {
+  return balloon.oceanBasin !== undefined ? balloon.oceanBasin : getOceanBasin(balloon.latitude, balloon.longitude);
+}
+
+/**
+ * Count fetch errors by classification (timeout, http_status, parse, network, circuit_open)
+ */
+function countErrorTypes(errors) {
+  return errors.reduce((counts, error) => {
+    const type = error.type || 'unknown';
+    counts[type] = (counts[type] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+/**
+ * Percentage of a total as a one-decimal string, like the other coverage stats
+ */
+function toPercentage(count, total) {
+  return total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
+}
+
+/**
+ * Break positions down by pressure band
+ *
+ * @param {Array} balloons - Balloon positions
+ * @param {Set} uniqueSet - Positions with no station within the coverage radius
+ * @returns {Array} Per-band counts, ocean share and unique-coverage share
+ */
+function calculatePressureLevelStats(balloons, uniqueSet) {
+  const counts = new Map(PRESSURE_BANDS.map(band => [band.id, { positions: 0, overOcean: 0, unique: 0 }]));
+
+  balloons.forEach((balloon) => {
+    const pressure = balloon.pressure !== undefined ? balloon.pressure : altitudeToPressure(balloon.altitude);
+    const count = counts.get(getPressureBand(pressure).id);
+
+    count.positions++;
+    if (basinOf(balloon) !== null) count.overOcean++;
+    if (uniqueSet.has(balloon)) count.unique++;
+  });
+
+  return PRESSURE_BANDS.map((band) => {
+    const count = counts.get(band.id);
+    const { minAltitude, maxAltitude } = getBandAltitudeRange(band);
+
+    return {
+      band: band.id,
+      label: band.label,
+      minAltitudeKm: Math.round(minAltitude * 100) / 100,
+      maxAltitudeKm: Number.isFinite(maxAltitude) ? Math.round(maxAltitude * 100) / 100 : null,
+      positions: count.positions,
+      sharePercentage: toPercentage(count.positions, balloons.length),
+      overOcean: count.overOcean,
+      oceanPercentage: toPercentage(count.overOcean, count.positions),
+      uniqueCoveragePositions: count.unique,
+      uniqueCoveragePercentage: toPercentage(count.unique, count.positions)
+    };
+  });
+}
+
+/**
+ * Break ocean positions down by basin
  *
- * Result: ~220x faster (309M calculations → 1.4M calculations)
+ * @param {Array} balloons - Balloon positions
+ * @param {Set} uniqueSet - Positions with no station within the coverage radius
+ * @returns {Array} Per-basin counts and unique-coverage share, busiest basin first
  */
+function calculateOceanBasinStats(balloons, uniqueSet) {
+  const counts = new Map(listOceanBasins().map(basin => [basin, { positions: 0, unique: 0 }]));
+  let overOcean = 0;
 
-const { calculateDistance } = require('./windborne-service');
+  balloons.forEach((balloon) => {
+    const basin = basinOf(balloon);
+    if (basin === null) return;
+
+    const count = counts.get(basin);
+    overOcean++;
+    count.positions++;
+    if (uniqueSet.has(balloon)) count.unique++;
+  });
+
+  return [...counts.entries()]
+    .map(([basin, count]) => ({
+      basin,
+      positions: count.positions,
+      oceanSharePercentage: toPercentage(count.positions, overOcean),
+      uniqueCoveragePositions: count.unique,
+      uniqueCoveragePercentage: toPercentage(count.unique, count.positions)
+    }))
+    .sort((a, b) => b.positions - a.positions);
+}
 
 /**
- * Build spatial grid index for fast station lookups
+ * Coverage broken down by country and ocean basin
  *
- * Divides Earth into 5°×5° cells (~555km × 555km at equator)
- * Total cells: 36 latitude × 72 longitude = 2,592 cells
+ * Positions over the ocean belong to their basin. Positions over land belong to the
+ * country of their nearest station: the catalog carries no borders, and away from
+ * them the nearest station is nearly always in the same country. Countries are the
+ * FIPS codes used by the ISD history file (US, RS, CH, AS, ...).
  *
- * @param {Array} stations - Array of weather station objects with lat/lon
- * @param {number} cellSizeDegrees - Size of grid cells in degrees (default: 5)
- * @returns {Object} Grid object mapping "lat,lon" keys to arrays of stations
+ * @param {Object} balloonData - Result of fetchConstellationData()
+ * @param {Array} stations - Weather stations
+ * @param {Object} options
+ * @param {number} options.radiusKm - Coverage gap radius (default: 200)
+ * @returns {Object} { coverageRadiusKm, countries, oceanBasins, regions } where regions
+ *   lists countries and basins together, most unique-coverage positions first
  */
-function buildStationGrid(stations, cellSizeDegrees = 5) {
-  const grid = {};
+function calculateRegionalStats(balloonData, stations, { radiusKm = DEFAULT_COVERAGE_RADIUS_KM } = {}) {
+  const balloons = balloonData.balloons;
+  const stationIndex = getStationIndex(stations);
 
-  stations.forEach(station => {
-    // Round coordinates down to nearest cell boundary
-    const cellLat = Math.floor(station.latitude / cellSizeDegrees) * cellSizeDegrees;
-    const cellLon = Math.floor(station.longitude / cellSizeDegrees) * cellSizeDegrees;
-    const cellKey = `${cellLat},${cellLon}`;
+  const countries = new Map();
+  const countryOf = (name) => {
+    if (!countries.has(name)) countries.set(name, { stations: 0, positions: 0, unique: 0 });
+    return countries.get(name);
+  };
+  stations.forEach((station) => {
+    countryOf(station.country || 'Unknown').stations++;
+  });
 
-    // Initialize cell array if needed
-    if (!grid[cellKey]) {
-      grid[cellKey] = [];
-    }
+  const uniqueSet = new Set();
+  balloons.forEach((balloon) => {
+    const [nearest] = findNearest(stationIndex, balloon.latitude, balloon.longitude);
+    const unique = !nearest || nearest.distanceKm > radiusKm;
+    if (unique) uniqueSet.add(balloon);
 
-    // Add station to this cell
-    grid[cellKey].push(station);
+    if (basinOf(balloon) !== null || !nearest) return;
+    const count = countryOf(nearest.item.country || 'Unknown');
+    count.positions++;
+    if (unique) count.unique++;
   });
 
-  return grid;
+  const countryStats = [...countries.entries()]
+    .map(([country, count]) => ({
+      country,
+      stations: count.stations,
+      positions: count.positions,
+      sharePercentage: toPercentage(count.positions, balloons.length),
+      uniqueCoveragePositions: count.unique,
+      uniqueCoveragePercentage: toPercentage(count.unique, count.positions)
+    }))
+    .sort((a, b) => b.stations - a.stations || b.positions - a.positions);
+
+  const oceanBasins = calculateOceanBasinStats(balloons, uniqueSet);
+
+  const regions = [
+    ...countryStats
+      .filter(country => country.positions > 0)
+      .map(({ country, ...count }) => ({ region: country, type: 'country', ...count })),
+    ...oceanBasins
+      .filter(basin => basin.positions > 0)
+      .map(basin => ({
+        region: basin.basin,
+        type: 'ocean',
+        stations: null,
+        positions: basin.positions,
+        sharePercentage: toPercentage(basin.positions, balloons.length),
+        uniqueCoveragePositions: basin.uniqueCoveragePositions,
+        uniqueCoveragePercentage: basin.uniqueCoveragePercentage
+      }))
+  ].sort((a, b) => b.uniqueCoveragePositions - a.uniqueCoveragePositions || b.positions - a.positions);
+
+  return {
+    coverageRadiusKm: radiusKm,
+    totalBalloonPositions: balloons.length,
+    countries: countryStats,
+    oceanBasins,
+    regions
+  };
 }
 
 /**
- * Find stations within a radius of a balloon position using spatial grid
+ * Restrict balloon data to an altitude range
  *
- * Instead of checking all 13,443 stations globally, only checks stations
- * in the 3×3 grid of cells around the balloon (typically 20-100 stations)
+ * Returns a shallow copy whose balloons and paths only contain positions in the
+ * range, with balloon counts recomputed, ready for calculateCoverageStats().
  *
- * @param {Object} balloon - Balloon position with latitude/longitude
- * @param {Object} grid - Pre-built spatial grid from buildStationGrid()
- * @param {number} radiusKm - Search radius in kilometers (default: 200)
- * @param {number} cellSizeDegrees - Grid cell size in degrees (default: 5)
- * @returns {Array} Array of nearby stations
+ * @param {Object} balloonData - Result of fetchConstellationData()
+ * @param {Object} range - { minAltitude, maxAltitude } in km (either may be omitted)
+ * @returns {Object} Filtered balloon data
  */
-function findNearbyStations(balloon, grid, radiusKm = 200, cellSizeDegrees = 5) {
-  // Calculate how many grid cells the radius spans
-  // At equator: 1° ≈ 111 km, so 200km ≈ 1.8°
-  // With 5° cells, this is typically 1 cell in each direction (3×3 grid)
-  const degreesPerKm = 1 / 111;
-  const radiusDegrees = radiusKm * degreesPerKm;
-  const cellRadius = Math.ceil(radiusDegrees / cellSizeDegrees);
+function filterBalloonDataByAltitude(balloonData, { minAltitude = -Infinity, maxAltitude = Infinity }) {
+  const inRange = pos => pos.altitude >= minAltitude && pos.altitude < maxAltitude;
+  const balloonPaths = balloonData.balloonPaths
+    .map(path => path.filter(inRange))
+    .filter(path => path.length > 0);
 
-  // Find balloon's grid cell
-  const balloonCellLat = Math.floor(balloon.latitude / cellSizeDegrees) * cellSizeDegrees;
-  const balloonCellLon = Math.floor(balloon.longitude / cellSizeDegrees) * cellSizeDegrees;
+  const latestTime = balloonData.balloons.reduce((max, pos) => Math.max(max, pos.timestamp), -Infinity);
 
-  const nearbyStations = [];
+  return {
+    ...balloonData,
+    balloons: balloonData.balloons.filter(inRange),
+    balloonPaths,
+    uniqueBalloonCount: balloonPaths.length,
+    activeBalloonCount: balloonPaths.filter(path => path[0].timestamp === latestTime).length
+  };
+}
 
-  // Check surrounding cells (typically 3×3 = 9 cells)
-  for (let latOffset = -cellRadius; latOffset <= cellRadius; latOffset++) {
-    for (let lonOffset = -cellRadius; lonOffset <= cellRadius; lonOffset++) {
-      const checkLat = balloonCellLat + (latOffset * cellSizeDegrees);
-      let checkLon = balloonCellLon + (lonOffset * cellSizeDegrees);
+/**
+ * Distance to the nearest station within a search radius
+ *
+ * @param {Object} position - Position with latitude/longitude
+ * @param {Object} stationIndex - Index from getStationIndex()
+ * @param {number} searchRadiusKm - How far to look (default: no limit)
+ * @returns {number} Distance in km, or Infinity if no station is within the search radius
+ */
+function findNearestStationDistance(position, stationIndex, searchRadiusKm = Infinity) {
+  const [nearest] = findNearest(stationIndex, position.latitude, position.longitude, { maxDistanceKm: searchRadiusKm });
+  return nearest ? nearest.distanceKm : Infinity;
+}
 
-      // Handle longitude wrapping at ±180° (International Date Line)
-      if (checkLon > 180) checkLon -= 360;
-      if (checkLon < -180) checkLon += 360;
+/**
+ * The k stations nearest to a position
+ *
+ * The catalog only holds stations that reported in 2024 or later (see scripts/fetch-stations.js).
+ *
+ * @param {Array} stations - Weather stations
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} k - Number of stations to return
+ * @returns {Array} Stations with distanceKm added, nearest first
+ */
+function findNearestStations(stations, lat, lon, k = 1) {
+  return findNearest(getStationIndex(stations), lat, lon, { k }).map(({ item, distanceKm }) => ({
+    ...item,
+    distanceKm: Math.round(distanceKm * 10) / 10
+  }));
+}
 
-      const cellKey = `${checkLat},${checkLon}`;
+/**
+ * Balloon observations that passed within a radius of a position
+ *
+ * The positions of a balloonData object are indexed on first use, so repeated
+ * queries against the same snapshot or archive range only pay for the search.
+ *
+ * @param {Object} balloonData - Result of fetchConstellationData() or loadArchivedRange()
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} radiusKm - Search radius
+ * @returns {Array} { balloonId, validTime, timestamp, latitude, longitude, altitude, pressure, distanceKm }, oldest first
+ */
+function findObservationsNear(balloonData, lat, lon, radiusKm) {
+  const balloons = balloonData.balloons;
+  if (!balloonIndexes.has(balloons)) balloonIndexes.set(balloons, buildSpatialIndex(balloons));
 
-      // Add all stations from this cell (if any exist)
-      if (grid[cellKey]) {
-        nearbyStations.push(...grid[cellKey]);
-      }
+  return findWithinRadius(balloonIndexes.get(balloons), lat, lon, radiusKm)
+    .map(({ item, distanceKm }) => ({
+      balloonId: item.balloonId,
+      validTime: item.validTime,
+      timestamp: item.timestamp,
+      latitude: item.latitude,
+      longitude: item.longitude,
+      altitude: item.altitude,
+      pressure: item.pressure,
+      distanceKm: Math.round(distanceKm * 10) / 10
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Unique-coverage percentage at every threshold, plus the nearest-station distance histogram
+ *
+ * Distances are sorted once, so each threshold is a binary search rather than another pass.
+ *
+ * @param {Array<number>} distances - Nearest-station distance per position (Infinity beyond CURVE_MAX_RADIUS_KM)
+ * @returns {Object} { points: [{ radiusKm, uniqueCoveragePositions, uniqueCoveragePercentage }], histogram }
+ */
+function buildCoverageCurve(distances) {
+  const sorted = Float64Array.from(distances).sort();
+  const total = sorted.length;
+
+  // Number of distances <= value
+  const countAtMost = (value) => {
+    let lo = 0;
+    let hi = total;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] <= value) lo = mid + 1;
+      else hi = mid;
     }
+    return lo;
+  };
+
+  const points = [];
+  const histogram = [];
+  let previous = 0;
+
+  for (let radiusKm = CURVE_STEP_KM; radiusKm <= CURVE_MAX_RADIUS_KM; radiusKm += CURVE_STEP_KM) {
+    const covered = countAtMost(radiusKm);
+    const unique = total - covered;
+
+    points.push({
+      radiusKm,
+      uniqueCoveragePositions: unique,
+      uniqueCoveragePercentage: toPercentage(unique, total)
+    });
+    histogram.push({ fromKm: radiusKm - CURVE_STEP_KM, toKm: radiusKm, count: covered - previous });
+    previous = covered;
   }
 
-  return nearbyStations;
+  histogram.push({ fromKm: CURVE_MAX_RADIUS_KM, toKm: null, count: total - previous });
+
+  return { points, histogram };
 }
 
 /**
- * Determine if a position is over ocean or land (simplified heuristic)
- */
-function isOverOcean(lat, lon) {
-  // Major land masses (simplified bounding boxes)
-  const landRegions = [
-    // North America
-    { latMin: 15, latMax: 70, lonMin: -170, lonMax: -50 },
-    // South America
-    { latMin: -55, latMax: 15, lonMin: -82, lonMax: -35 },
-    // Europe
-    { latMin: 35, latMax: 71, lonMin: -10, lonMax: 40 },
-    // Africa
-    { latMin: -35, latMax: 37, lonMin: -18, lonMax: 52 },
-    // Asia
-    { latMin: -10, latMax: 75, lonMin: 40, lonMax: 150 },
-    // Australia
-    { latMin: -45, latMax: -10, lonMin: 110, lonMax: 155 }
-  ];
-
-  for (const region of landRegions) {
-    if (
-      lat >= region.latMin &&
-      lat <= region.latMax &&
-      lon >= region.lonMin &&
-      lon <= region.lonMax
-    ) {
-      return false; // Over land
-    }
-  }
+ * Unique coverage of the same positions against each station network, side by side
+ *
+ * @param {Array} balloons - Balloon positions
+ * @param {Object} networks - { network: stations }, e.g. surface, upper-air and both
+ * @param {number} radiusKm - Coverage gap radius
+ * @returns {Array} Per-network station count and unique-coverage share, in the order given
+ */
+function calculateNetworkStats(balloons, networks, radiusKm) {
+  return Object.entries(networks).map(([network, stations]) => {
+    const stationIndex = getStationIndex(stations);
+    const unique = balloons.filter(balloon => findNearestStationDistance(balloon, stationIndex, radiusKm) > radiusKm).length;
 
-  return true; // Over ocean
+    return {
+      network,
+      stations: stations.length,
+      uniqueCoveragePositions: unique,
+      uniqueCoveragePercentage: toPercentage(unique, balloons.length)
+    };
+  });
 }
 
 /**
- * Calculate comprehensive coverage statistics (OPTIMIZED with spatial indexing)
+ * Calculate comprehensive coverage statistics
  *
- * Performance improvements:
- * - Build spatial grid once: ~10ms
- * - Per-balloon lookup: ~60 stations instead of 13,443
- * - Total time: ~1-2 seconds instead of 30-60 seconds
+ * @param {Object} balloonData - Result of fetchConstellationData()
+ * @param {Array} stations - Weather stations
+ * @param {Object} options
+ * @param {number} options.radiusKm - Coverage gap radius (default: 200)
+ * @param {boolean} options.curve - Also compute the coverage curve and distance histogram (25 - 1000 km)
+ * @param {Object} options.networks - Also compare unique coverage against each of these
+ *   station networks ({ network: stations }, see station-service)
  */
-function calculateCoverageStats(balloonData, stations) {
+function calculateCoverageStats(balloonData, stations, { radiusKm = DEFAULT_COVERAGE_RADIUS_KM, curve = false, networks = null } = {}) {
   const balloons = balloonData.balloons;
 
-  // Build spatial index for fast station lookups (one-time operation)
-  console.log(`Building spatial index for ${stations.length.toLocaleString()} stations...`);
-  const startGridBuild = Date.now();
-  const stationGrid = buildStationGrid(stations);
-  const gridBuildTime = Date.now() - startGridBuild;
-  console.log(`✓ Spatial index built in ${gridBuildTime}ms`);
+  const stationIndex = getStationIndex(stations);
 
   // Count balloons over ocean vs land
   let overOcean = 0;
   let overLand = 0;
 
   balloons.forEach((balloon) => {
-    if (isOverOcean(balloon.latitude, balloon.longitude)) {
+    if (basinOf(balloon) !== null) {
       overOcean++;
     } else {
       overLand++;
@@ -157,57 +405,87 @@ function calculateCoverageStats(balloonData, stations) {
   });
 
   // Find positions where WindBorne provides unique coverage
-  // (no weather stations within 200km - the critical observation gap)
-  // OPTIMIZED: Uses spatial indexing to check only nearby stations
+  // (no weather stations within radiusKm - the critical observation gap)
+  // The curve needs distances out to its largest threshold, so search that far once.
   console.log(`Analyzing unique coverage for ${balloons.length.toLocaleString()} balloon positions...`);
   const startCoverage = Date.now();
 
-  const uniqueCoverage = balloons.filter((balloon) => {
-    // Get only nearby stations using spatial grid (typically 20-100 instead of 13,443)
-    const nearbyStations = findNearbyStations(balloon, stationGrid, 200);
-
-    // If no stations nearby at all, definitely unique coverage
-    if (nearbyStations.length === 0) {
-      return true;
-    }
-
-    // Calculate distance only to nearby stations
-    const nearestStation = nearbyStations.reduce((min, station) => {
-      const dist = calculateDistance(
-        balloon.latitude,
-        balloon.longitude,
-        station.latitude,
-        station.longitude
-      );
-      return Math.min(min, dist);
-    }, Infinity);
-
-    return nearestStation > 200; // 200km threshold for "coverage gap"
-  });
+  const searchRadiusKm = curve ? Math.max(radiusKm, CURVE_MAX_RADIUS_KM) : radiusKm;
+  const nearestDistances = balloons.map(balloon => findNearestStationDistance(balloon, stationIndex, searchRadiusKm));
+  const uniqueCoverage = balloons.filter((balloon, i) => nearestDistances[i] > radiusKm);
+  const uniqueSet = new Set(uniqueCoverage);
 
   const coverageTime = Date.now() - startCoverage;
   console.log(`✓ Coverage analysis completed in ${coverageTime}ms`);
-  console.log(`  Total time: ${gridBuildTime + coverageTime}ms`);
 
   return {
     totalBalloonPositions: balloons.length,
     uniqueBalloons: balloonData.uniqueBalloonCount,
+    activeBalloons: balloonData.activeBalloonCount,
     overOcean,
     overLand,
-    oceanPercentage: ((overOcean / balloons.length) * 100).toFixed(1),
-    landPercentage: ((overLand / balloons.length) * 100).toFixed(1),
+    oceanPercentage: toPercentage(overOcean, balloons.length),
+    landPercentage: toPercentage(overLand, balloons.length),
+    coverageRadiusKm: radiusKm,
     uniqueCoveragePositions: uniqueCoverage.length,
-    uniqueCoveragePercentage: ((uniqueCoverage.length / balloons.length) * 100).toFixed(1),
+    uniqueCoveragePercentage: toPercentage(uniqueCoverage.length, balloons.length),
+    byPressureLevel: calculatePressureLevelStats(balloons, uniqueSet),
+    byOceanBasin: calculateOceanBasinStats(balloons, uniqueSet),
+    ...(curve ? { coverageCurve: buildCoverageCurve(nearestDistances) } : {}),
+    ...(networks ? { byNetwork: calculateNetworkStats(balloons, networks, radiusKm) } : {}),
     weatherStationCount: stations.length,
     dataQuality: {
       hoursAvailable: balloonData.successCount,
-      hoursMissing: 24 - balloonData.successCount,
-      errorCount: balloonData.errors.length
+      hoursStale: balloonData.staleCount || 0,
+      hoursMissing: (balloonData.totalRequests || 24) - balloonData.successCount - (balloonData.staleCount || 0),
+      errorCount: balloonData.errors.length,
+      errorTypes: countErrorTypes(balloonData.errors),
+      ...summarizeRejections(balloonData)
     }
   };
 }
 
+/**
+ * Headline coverage numbers for a batch of positions, without the breakdowns
+ *
+ * Long archived ranges are summarized with this a day at a time (see
+ * summarizeArchivedDays()), where the full statistics would be too much.
+ *
+ * @param {Array} balloons - Balloon positions
+ * @param {Array} stations - Weather stations
+ * @param {Object} options
+ * @param {number} options.radiusKm - Coverage gap radius in km (default: 200)
+ * @returns {Object} { totalBalloonPositions, overOcean, oceanPercentage, uniqueCoveragePositions, uniqueCoveragePercentage }
+ */
+function summarizeCoverage(balloons, stations, { radiusKm = DEFAULT_COVERAGE_RADIUS_KM } = {}) {
+  const stationIndex = getStationIndex(stations);
+  let overOcean = 0;
+  let unique = 0;
+
+  balloons.forEach((balloon) => {
+    if (basinOf(balloon) !== null) overOcean++;
+    if (findNearestStationDistance(balloon, stationIndex, radiusKm) > radiusKm) unique++;
+  });
+
+  return {
+    totalBalloonPositions: balloons.length,
+    overOcean,
+    oceanPercentage: toPercentage(overOcean, balloons.length),
+    uniqueCoveragePositions: unique,
+    uniqueCoveragePercentage: toPercentage(unique, balloons.length)
+  };
+}
+
 module.exports = {
+  DEFAULT_COVERAGE_RADIUS_KM,
+  CURVE_MAX_RADIUS_KM,
+  getStationIndex,
+  findNearestStationDistance,
+  findNearestStations,
+  findObservationsNear,
   isOverOcean,
-  calculateCoverageStats
+  filterBalloonDataByAltitude,
+  calculateCoverageStats,
+  calculateRegionalStats,
+  summarizeCoverage
 };
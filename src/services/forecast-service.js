@@ -0,0 +1,270 @@
+/**
+ * Forecast Service
+ * Short-range trajectory extrapolation for every balloon
+ *
+ * Each forecast starts from a balloon's most recent observation and projects
+ * it 1 - 12 hours ahead from its recent velocity (see wind-service.js) and how
+ * that velocity has been changing:
+ *
+ * - velocity:     u/v of the latest trajectory segment
+ * - acceleration: least-squares trend of u/v over the last few segments, capped,
+ *                 and only applied for the first few hours (trends don't persist)
+ * - uncertainty:  a radius that starts at the position error and grows linearly
+ *                 with lead time, faster for balloons whose velocity has been erratic
+ *
+ * Altitude is held at the last observed value; balloons change level by
+ * design, so past vertical motion says little about the next 12 hours.
+ */
+
+const { calculateDestination, isInRegion } = require('../utils/geo');
+const { round } = require('../utils/math');
+const { deriveWindVectors } = require('./wind-service');
+
+const HOUR_MS = 3600000;
+
+// km travelled in one hour at 1 m/s
+const KM_PER_MS_HOUR = 3.6;
+
+const DEFAULT_FORECAST_OPTIONS = {
+  horizonHours: 12,
+  // Segments used to estimate the velocity trend and its scatter
+  historySegments: 4,
+  // Balloons not seen for longer than this are not forecast
+  maxObservationAgeHours: 3,
+  maxAccelerationMsPerHour: 5,
+  accelerationHorizonHours: 3,
+  baseRadiusKm: 10,
+  minSpreadKmPerHour: 5
+};
+
+/**
+ * Least-squares slope and residual scatter of values over time
+ *
+ * @param {Array<number>} times - Sample times in hours
+ * @param {Array<number>} values - Sample values
+ * @returns {Object} { slope, rms } - slope per hour and RMS residual
+ */
+function fitTrend(times, values) {
+  const n = times.length;
+  const meanT = times.reduce((sum, t) => sum + t, 0) / n;
+  const meanV = values.reduce((sum, v) => sum + v, 0) / n;
+
+  let covariance = 0;
+  let variance = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (times[i] - meanT) * (values[i] - meanV);
+    variance += (times[i] - meanT) ** 2;
+  }
+
+  const slope = variance > 0 ? covariance / variance : 0;
+  const residuals = values.map((v, i) => v - (meanV + slope * (times[i] - meanT)));
+  const rms = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / n);
+
+  return { slope, rms };
+}
+
+/**
+ * Estimate velocity, acceleration and velocity scatter from recent wind vectors
+ *
+ * @param {Array} segments - Wind vectors for one balloon, most recent first
+ * @param {Object} options - Forecast options
+ * @returns {Object} { u, v, au, av, sigma } in m/s and m/s per hour
+ */
+function estimateMotion(segments, options) {
+  const recent = segments.slice(0, options.historySegments);
+  const latest = recent[0];
+
+  if (recent.length < 2) {
+    return { u: latest.u, v: latest.v, au: 0, av: 0, sigma: 0 };
+  }
+
+  const times = recent.map(segment => Date.parse(segment.validTime) / HOUR_MS);
+  const uFit = fitTrend(times, recent.map(segment => segment.u));
+  const vFit = fitTrend(times, recent.map(segment => segment.v));
+
+  let au = uFit.slope;
+  let av = vFit.slope;
+  const magnitude = Math.sqrt(au * au + av * av);
+  if (magnitude > options.maxAccelerationMsPerHour) {
+    au *= options.maxAccelerationMsPerHour / magnitude;
+    av *= options.maxAccelerationMsPerHour / magnitude;
+  }
+
+  return {
+    u: latest.u,
+    v: latest.v,
+    au,
+    av,
+    sigma: Math.sqrt(uFit.rms ** 2 + vFit.rms ** 2)
+  };
+}
+
+/**
+ * East/north displacement in km after t hours
+ *
+ * Acceleration acts for the first accelerationHorizonHours, after which the
+ * balloon keeps the velocity it has reached.
+ */
+function displacement(motion, hours, accelerationHorizonHours) {
+  const accelHours = Math.min(hours, accelerationHorizonHours);
+  // ∫ a·min(τ, H) dτ from 0 to t
+  const accelTerm = accelHours * accelHours / 2 + accelHours * (hours - accelHours);
+
+  return {
+    east: KM_PER_MS_HOUR * (motion.u * hours + motion.au * accelTerm),
+    north: KM_PER_MS_HOUR * (motion.v * hours + motion.av * accelTerm)
+  };
+}
+
+/**
+ * Forecast one balloon track
+ *
+ * @param {Array} path - Track positions, most recent first
+ * @param {number} referenceTime - Valid time (ms) lead times are counted from
+ * @param {Object} options - Forecast options
+ * @returns {Object|null} Forecast, or null when the track can't be extrapolated
+ */
+function forecastTrack(path, referenceTime, options) {
+  const origin = path[0];
+  const ageHours = (referenceTime - origin.timestamp) / HOUR_MS;
+  if (ageHours > options.maxObservationAgeHours) return null;
+
+  const segments = deriveWindVectors([path]);
+  if (segments.length === 0) return null;
+
+  const motion = estimateMotion(segments, options);
+  const spreadKmPerHour = Math.max(options.minSpreadKmPerHour, KM_PER_MS_HOUR * motion.sigma);
+  const points = [];
+
+  for (let lead = 1; lead <= options.horizonHours; lead++) {
+    const hours = lead + ageHours;
+    const { east, north } = displacement(motion, hours, options.accelerationHorizonHours);
+    const distanceKm = Math.sqrt(east * east + north * north);
+    const bearing = (Math.atan2(east, north) * 180 / Math.PI + 360) % 360;
+    const position = calculateDestination(origin.latitude, origin.longitude, bearing, distanceKm);
+
+    points.push({
+      leadHours: lead,
+      validTime: new Date(referenceTime + lead * HOUR_MS).toISOString(),
+      latitude: round(position.latitude, 4),
+      longitude: round(position.longitude, 4),
+      altitude: origin.altitude,
+      radiusKm: round(options.baseRadiusKm + spreadKmPerHour * hours, 1)
+    });
+  }
+
+  const speed = Math.sqrt(motion.u ** 2 + motion.v ** 2);
+
+  return {
+    balloonId: origin.balloonId,
+    origin: {
+      latitude: origin.latitude,
+      longitude: origin.longitude,
+      altitude: origin.altitude,
+      validTime: origin.validTime
+    },
+    velocity: {
+      u: round(motion.u, 2),
+      v: round(motion.v, 2),
+      speed: round(speed, 2),
+      bearing: round((Math.atan2(motion.u, motion.v) * 180 / Math.PI + 360) % 360, 1)
+    },
+    acceleration: { u: round(motion.au, 2), v: round(motion.av, 2) },
+    spreadKmPerHour: round(spreadKmPerHour, 1),
+    points
+  };
+}
+
+/**
+ * Forecast every recently observed balloon
+ *
+ * @param {Array<Array>} balloonPaths - Tracks from reconstructTracks(), most recent position first
+ * @param {Object} options - Overrides for DEFAULT_FORECAST_OPTIONS
+ * @returns {Object} { referenceTime, horizonHours, forecasts }
+ */
+function forecastTrajectories(balloonPaths, options = {}) {
+  const opts = { ...DEFAULT_FORECAST_OPTIONS, ...options };
+  const referenceTime = balloonPaths.reduce(
+    (max, path) => (path.length > 0 ? Math.max(max, path[0].timestamp) : max),
+    -Infinity
+  );
+
+  if (!Number.isFinite(referenceTime)) {
+    return { referenceTime: null, horizonHours: opts.horizonHours, forecasts: [] };
+  }
+
+  const forecasts = balloonPaths
+    .filter(path => path.length > 0)
+    .map(path => forecastTrack(path, referenceTime, opts))
+    .filter(Boolean);
+
+  return {
+    referenceTime: new Date(referenceTime).toISOString(),
+    horizonHours: opts.horizonHours,
+    forecasts
+  };
+}
+
+/**
+ * Whether an uncertainty circle touches a region
+ *
+ * Approximates the circle by its lat/lon bounding box, which is generous near the poles.
+ */
+function circleTouchesRegion(point, region) {
+  const latPad = point.radiusKm / 111.32;
+  const lonPad = Math.min(180, point.radiusKm / (111.32 * Math.max(Math.cos(point.latitude * Math.PI / 180), 0.01)));
+
+  const expanded = {
+    south: region.south - latPad,
+    north: region.north + latPad,
+    west: region.west - lonPad,
+    east: region.east + lonPad
+  };
+
+  // Expanding a box past ±180 is the same as wrapping it
+  if (expanded.west < -180) expanded.west += 360;
+  if (expanded.east > 180) expanded.east -= 360;
+  if (lonPad >= 180) {
+    expanded.west = -180;
+    expanded.east = 180;
+  }
+
+  return isInRegion(point.latitude, point.longitude, expanded);
+}
+
+/**
+ * Which balloons are forecast to reach a region, and when
+ *
+ * "expected" balloons have their forecast position inside the region; "possible"
+ * balloons only reach it within their uncertainty radius.
+ *
+ * @param {Array} forecasts - Forecasts from forecastTrajectories()
+ * @param {Object} region - { south, west, north, east } in degrees
+ * @returns {Object} { expected, possible } lists of { balloonId, leadHours, validTime }
+ */
+function findRegionArrivals(forecasts, region) {
+  const expected = [];
+  const possible = [];
+
+  forecasts.forEach((forecast) => {
+    const hit = forecast.points.find(point => isInRegion(point.latitude, point.longitude, region));
+    if (hit) {
+      expected.push({ balloonId: forecast.balloonId, leadHours: hit.leadHours, validTime: hit.validTime });
+      return;
+    }
+
+    const near = forecast.points.find(point => circleTouchesRegion(point, region));
+    if (near) {
+      possible.push({ balloonId: forecast.balloonId, leadHours: near.leadHours, validTime: near.validTime });
+    }
+  });
+
+  const byLead = (a, b) => a.leadHours - b.leadHours;
+  return { expected: expected.sort(byLead), possible: possible.sort(byLead) };
+}
+
+module.exports = {
+  DEFAULT_FORECAST_OPTIONS,
+  forecastTrajectories,
+  findRegionArrivals
+};
@@ -0,0 +1,234 @@
+/**
+ * Gap Service
+ * The largest holes in a station network: points farthest from any station
+ *
+ * The centre of the largest empty circle on the sphere is a vertex of the
+ * stations' spherical Voronoi diagram, where three stations are equally near.
+ * Rather than building the full diagram, the search:
+ *
+ * 1. Scans a 1° lattice for local maxima of the nearest-station distance
+ * 2. Hill-climbs from each candidate with great-circle steps that halve down to 100 m
+ * 3. Snaps the result to the spherical circumcentre of its three nearest stations,
+ *    when no other station is closer, which is the Voronoi vertex exactly
+ *
+ * Overlapping gaps are dropped, largest first. Gaps depend only on the stations,
+ * so the server computes them for every catalog at startup with getStationGaps();
+ * balloon counts are added per request.
+ */
+
+const { EARTH_RADIUS_KM, calculateDistance, calculateDestination } = require('../utils/geo');
+const { getOceanBasin } = require('../utils/land-mask');
+const {
+  getStationIndex,
+  findNearestStationDistance,
+  findNearestStations,
+  findObservationsNear
+} = require('./coverage-service');
+
+const DEFAULT_GAP_COUNT = 10;
+const MAX_GAP_COUNT = 50;
+
+// Lattice the candidate search starts from, in degrees
+const SEARCH_RESOLUTION = 1;
+
+// Candidates refined per catalog; far more than MAX_GAP_COUNT survive the overlap check
+const MAX_CANDIDATES = 400;
+
+// Hill-climbing steps: start at 100 km, halve until below 0.1 km
+const INITIAL_STEP_KM = 100;
+const MIN_STEP_KM = 0.1;
+const STEP_BEARINGS = Array.from({ length: 16 }, (_, i) => i * 22.5);
+
+const gapCache = new WeakMap();
+
+function toVector(lat, lon) {
+  const phi = (lat * Math.PI) / 180;
+  const lambda = (lon * Math.PI) / 180;
+  return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+}
+
+function toLatLon([x, y, z]) {
+  return {
+    latitude: (Math.asin(Math.max(-1, Math.min(1, z))) * 180) / Math.PI,
+    longitude: (Math.atan2(y, x) * 180) / Math.PI
+  };
+}
+
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * Point on the sphere equidistant from three stations, on the side nearest a reference point
+ *
+ * @returns {Object|null} { latitude, longitude }, or null when the stations are (nearly) collinear
+ */
+function sphericalCircumcentre(stations, near) {
+  const [a, b, c] = stations.map(station => toVector(station.latitude, station.longitude));
+  const normal = cross(subtract(b, a), subtract(c, a));
+  const length = Math.sqrt(dot(normal, normal));
+  if (length < 1e-12) return null;
+
+  const sign = dot(normal, toVector(near.latitude, near.longitude)) < 0 ? -1 : 1;
+  return toLatLon(normal.map(value => (sign * value) / length));
+}
+
+/**
+ * Local maxima of the nearest-station distance on the search lattice, largest first
+ */
+function findCandidates(stationIndex) {
+  const width = Math.round(360 / SEARCH_RESOLUTION);
+  const height = Math.round(180 / SEARCH_RESOLUTION);
+  const distances = new Float64Array(width * height);
+
+  for (let row = 0; row < height; row++) {
+    const latitude = 90 - (row + 0.5) * SEARCH_RESOLUTION;
+    for (let col = 0; col < width; col++) {
+      const longitude = -180 + (col + 0.5) * SEARCH_RESOLUTION;
+      distances[row * width + col] = findNearestStationDistance({ latitude, longitude }, stationIndex);
+    }
+  }
+
+  const candidates = [];
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const value = distances[row * width + col];
+      let isMaximum = true;
+
+      // Neighbours wrap around in longitude; rows stop at the poles
+      for (let dr = -1; dr <= 1 && isMaximum; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const r = row + dr;
+          if ((dr === 0 && dc === 0) || r < 0 || r >= height) continue;
+          if (distances[r * width + (col + dc + width) % width] > value) {
+            isMaximum = false;
+            break;
+          }
+        }
+      }
+
+      if (isMaximum) {
+        candidates.push({
+          latitude: 90 - (row + 0.5) * SEARCH_RESOLUTION,
+          longitude: -180 + (col + 0.5) * SEARCH_RESOLUTION,
+          radiusKm: value
+        });
+      }
+    }
+  }
+
+  return candidates.sort((a, b) => b.radiusKm - a.radiusKm).slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * Climb from a candidate to the nearby point farthest from any station
+ */
+function refineCandidate(candidate, stations, stationIndex) {
+  let best = candidate;
+
+  for (let stepKm = INITIAL_STEP_KM; stepKm >= MIN_STEP_KM; stepKm /= 2) {
+    let moved = true;
+    while (moved) {
+      moved = false;
+      for (const bearing of STEP_BEARINGS) {
+        const point = calculateDestination(best.latitude, best.longitude, bearing, stepKm);
+        const radiusKm = findNearestStationDistance(point, stationIndex);
+        if (radiusKm > best.radiusKm) {
+          best = { ...point, radiusKm };
+          moved = true;
+        }
+      }
+    }
+  }
+
+  // Finish on the Voronoi vertex itself when the climb ended next to one
+  const nearest = findNearestStations(stations, best.latitude, best.longitude, 3);
+  if (nearest.length === 3) {
+    const vertex = sphericalCircumcentre(nearest, best);
+    if (vertex) {
+      const radiusKm = findNearestStationDistance(vertex, stationIndex);
+      if (radiusKm >= best.radiusKm) best = { ...vertex, radiusKm };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Every non-overlapping gap in a station catalog, largest first (cached per catalog)
+ *
+ * @param {Array} stations - Weather stations
+ * @returns {Array} Up to MAX_GAP_COUNT gaps
+ */
+function getStationGaps(stations) {
+  if (gapCache.has(stations)) return gapCache.get(stations);
+
+  console.log(`Searching for the largest gaps between ${stations.length.toLocaleString()} stations...`);
+  const start = Date.now();
+  const stationIndex = getStationIndex(stations);
+
+  const refined = stations.length === 0
+    ? []
+    : findCandidates(stationIndex)
+      .map(candidate => refineCandidate(candidate, stations, stationIndex))
+      .sort((a, b) => b.radiusKm - a.radiusKm);
+
+  // A gap whose centre lies inside a larger one is the same hole seen from elsewhere
+  const gaps = [];
+  for (const gap of refined) {
+    if (gaps.length === MAX_GAP_COUNT) break;
+    const overlaps = gaps.some(larger => (
+      calculateDistance(gap.latitude, gap.longitude, larger.latitude, larger.longitude) < larger.radiusKm
+    ));
+    if (!overlaps) gaps.push(gap);
+  }
+
+  console.log(`✓ Found ${gaps.length} gaps in ${Date.now() - start}ms`);
+  gapCache.set(stations, gaps);
+  return gaps;
+}
+
+/**
+ * The largest gaps in a station network, with the balloon observations inside each
+ *
+ * @param {Object} balloonData - Result of fetchConstellationData() or loadArchivedRange()
+ * @param {Array} stations - Weather stations
+ * @param {Object} options
+ * @param {number} options.count - Number of gaps to return (default: 10, max: 50)
+ * @returns {Array} Gaps ranked by radius: centre, radius, cap area, the stations on
+ *   its edge, ocean basin, and observation and balloon counts
+ */
+function findLargestGaps(balloonData, stations, { count = DEFAULT_GAP_COUNT } = {}) {
+  return getStationGaps(stations).slice(0, count).map((gap, i) => {
+    const observations = findObservationsNear(balloonData, gap.latitude, gap.longitude, gap.radiusKm);
+
+    return {
+      rank: i + 1,
+      latitude: Math.round(gap.latitude * 10000) / 10000,
+      longitude: Math.round(gap.longitude * 10000) / 10000,
+      radiusKm: Math.round(gap.radiusKm * 10) / 10,
+      // Spherical cap: 2πR²(1 - cos(r / R))
+      areaKm2: Math.round(2 * Math.PI * EARTH_RADIUS_KM ** 2 * (1 - Math.cos(gap.radiusKm / EARTH_RADIUS_KM))),
+      oceanBasin: getOceanBasin(gap.latitude, gap.longitude),
+      boundingStations: findNearestStations(stations, gap.latitude, gap.longitude, 3)
+        .map(({ id, name, country, distanceKm }) => ({ id, name, country, distanceKm })),
+      observations: observations.length,
+      balloons: new Set(observations.map(observation => observation.balloonId)).size
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_GAP_COUNT,
+  MAX_GAP_COUNT,
+  getStationGaps,
+  findLargestGaps
+};
@@ -0,0 +1,602 @@
+/**
+ * Grid Service
+ * Global observation density and coverage gap raster
+ *
+ * The globe is cut into equal-angle cells (1° by default), row-major from the
+ * north-west corner (90°N, 180°W). Every cell holds:
+ *
+ * - balloonCount:     balloon observations in the cell over the analysis window
+ * - stationCount:     weather stations in the cell
+ * - nearestStationKm: distance from the cell centre to the nearest station
+ * - gap:              no station within the coverage radius of the cell centre
+ * - balloonOnly:      a gap cell with balloon observations - filled only by balloons
+ *
+ * Station-derived layers don't change between requests, so they are cached per
+ * resolution; only balloon counts are recomputed.
+ *
+ * The revisit grid uses the same cells to ask how often each one is observed:
+ * the number of distinct hours with an observation, the longest run of hours
+ * without one, and whether the cell is revisited at least every few hours.
+ */
+
+const { EARTH_RADIUS_KM, isInRegion } = require('../utils/geo');
+const { encodePng } = require('../utils/png');
+const { buildSpatialIndex, findNearest } = require('../utils/spatial-index');
+const {
+  DEFAULT_COVERAGE_RADIUS_KM,
+  getStationIndex,
+  findNearestStationDistance
+} = require('./coverage-service');
+
+const DEFAULT_RESOLUTION = 1;
+const MIN_RESOLUTION = 0.5;
+const MAX_RESOLUTION = 10;
+
+const GRID_LAYERS = ['gap', 'density', 'distance'];
+
+// A cell is "revisited" when it never goes this many hours or more without an observation
+const DEFAULT_REVISIT_HOURS = 6;
+
+// Area metrics are sampled on this grid; at 200 - 500 km radii it agrees with a 0.5° grid to ~0.1 percentage points
+const AREA_RESOLUTION = 1;
+
+const EARTH_AREA_KM2 = 4 * Math.PI * EARTH_RADIUS_KM ** 2;
+
+// Largest value of the uint16 planes in the binary format
+const UINT16_MAX = 65535;
+
+const stationLayerCache = new WeakMap();
+const areaCoverageCache = new WeakMap();
+
+/**
+ * Whether a cell size divides the globe into whole rows and columns
+ *
+ * @param {number} resolution - Cell size in degrees
+ * @returns {boolean} True if usable
+ */
+function isValidResolution(resolution) {
+  if (!(resolution >= MIN_RESOLUTION && resolution <= MAX_RESOLUTION)) return false;
+  const rows = 180 / resolution;
+  return Math.abs(rows - Math.round(rows)) < 1e-9;
+}
+
+/**
+ * Row-major cell index of a position
+ */
+function cellIndex(lat, lon, resolution, width, height) {
+  const row = Math.min(height - 1, Math.max(0, Math.floor((90 - lat) / resolution)));
+  const col = Math.min(width - 1, Math.max(0, Math.floor((lon + 180) / resolution)));
+  return row * width + col;
+}
+
+/**
+ * Station counts and nearest-station distances for every cell (cached per catalog and resolution)
+ *
+ * @param {Array} stations - Weather stations
+ * @param {number} resolution - Cell size in degrees
+ * @returns {Object} { stationCounts, nearestStationKm }
+ */
+function getStationLayers(stations, resolution) {
+  if (!stationLayerCache.has(stations)) stationLayerCache.set(stations, new Map());
+  const cached = stationLayerCache.get(stations);
+  if (cached.has(resolution)) return cached.get(resolution);
+
+  const width = Math.round(360 / resolution);
+  const height = Math.round(180 / resolution);
+  const stationCounts = new Uint32Array(width * height);
+  const nearestStationKm = new Float64Array(width * height);
+
+  stations.forEach((station) => {
+    stationCounts[cellIndex(station.latitude, station.longitude, resolution, width, height)]++;
+  });
+
+  console.log(`Computing nearest-station distances for ${(width * height).toLocaleString()} grid cells...`);
+  const start = Date.now();
+  const stationIndex = getStationIndex(stations);
+
+  for (let row = 0; row < height; row++) {
+    const latitude = 90 - (row + 0.5) * resolution;
+    for (let col = 0; col < width; col++) {
+      const longitude = -180 + (col + 0.5) * resolution;
+      nearestStationKm[row * width + col] = findNearestStationDistance({ latitude, longitude }, stationIndex);
+    }
+  }
+  console.log(`✓ Station layers built in ${Date.now() - start}ms`);
+
+  const layers = { stationCounts, nearestStationKm };
+  cached.set(resolution, layers);
+  return layers;
+}
+
+/**
+ * Build the observation grid
+ *
+ * @param {Object} balloonData - Result of fetchConstellationData() or loadArchivedRange()
+ * @param {Array} stations - Weather stations
+ * @param {Object} options
+ * @param {number} options.resolution - Cell size in degrees (default: 1)
+ * @param {number} options.radiusKm - Coverage gap radius (default: 200)
+ * @returns {Object} Grid with typed-array layers and a summary
+ */
+function buildObservationGrid(balloonData, stations, {
+  resolution = DEFAULT_RESOLUTION,
+  radiusKm = DEFAULT_COVERAGE_RADIUS_KM
+} = {}) {
+  const width = Math.round(360 / resolution);
+  const height = Math.round(180 / resolution);
+  const { stationCounts, nearestStationKm } = getStationLayers(stations, resolution);
+
+  const balloonCounts = new Uint32Array(width * height);
+  balloonData.balloons.forEach((pos) => {
+    balloonCounts[cellIndex(pos.latitude, pos.longitude, resolution, width, height)]++;
+  });
+
+  const gap = new Uint8Array(width * height);
+  const balloonOnly = new Uint8Array(width * height);
+  const summary = {
+    cells: width * height,
+    cellsWithStations: 0,
+    cellsWithObservations: 0,
+    gapCells: 0,
+    balloonOnlyCells: 0
+  };
+
+  for (let i = 0; i < width * height; i++) {
+    if (stationCounts[i] > 0) summary.cellsWithStations++;
+    if (balloonCounts[i] > 0) summary.cellsWithObservations++;
+
+    if (nearestStationKm[i] > radiusKm) {
+      gap[i] = 1;
+      summary.gapCells++;
+
+      if (balloonCounts[i] > 0) {
+        balloonOnly[i] = 1;
+        summary.balloonOnlyCells++;
+      }
+    }
+  }
+
+  summary.gapFilledPercentage = summary.gapCells > 0
+    ? ((summary.balloonOnlyCells / summary.gapCells) * 100).toFixed(1)
+    : '0.0';
+
+  return {
+    resolution,
+    radiusKm,
+    width,
+    height,
+    balloonCounts,
+    stationCounts,
+    nearestStationKm,
+    gap,
+    balloonOnly,
+    summary
+  };
+}
+
+/**
+ * Longest run of consecutive hours without an observation
+ *
+ * @param {Uint8Array} observed - 1 for every hour slot with an observation
+ * @returns {number} Hours (the whole window when nothing was observed)
+ */
+function longestUnobservedRun(observed) {
+  let longest = 0;
+  let run = 0;
+
+  observed.forEach((hit) => {
+    run = hit ? 0 : run + 1;
+    longest = Math.max(longest, run);
+  });
+
+  return longest;
+}
+
+/**
+ * Hour slot of a position: 0 for the oldest hour in the window, windowHours - 1 for the newest
+ */
+function hourSlot(pos, windowHours) {
+  return windowHours - 1 - Math.min(windowHours - 1, Math.max(0, pos.hour));
+}
+
+/**
+ * Build the revisit grid
+ *
+ * The window is the hours the data covers (24 live, or an archived range), and
+ * hours that failed to load count as unobserved.
+ *
+ * @param {Object} balloonData - Result of fetchConstellationData() or loadArchivedRange()
+ * @param {Array} stations - Weather stations
+ * @param {Object} options
+ * @param {number} options.resolution - Cell size in degrees (default: 1)
+ * @param {number} options.radiusKm - Coverage gap radius (default: 200)
+ * @param {number} options.revisitHours - Longest acceptable wait between observations (default: 6)
+ * @returns {Object} Grid with observedHours and longestGapHours layers and a summary
+ */
+function buildRevisitGrid(balloonData, stations, {
+  resolution = DEFAULT_RESOLUTION,
+  radiusKm = DEFAULT_COVERAGE_RADIUS_KM,
+  revisitHours = DEFAULT_REVISIT_HOURS
+} = {}) {
+  const width = Math.round(360 / resolution);
+  const height = Math.round(180 / resolution);
+  const windowHours = balloonData.totalRequests || 24;
+  const { nearestStationKm } = getStationLayers(stations, resolution);
+
+  // Hour slots per observed cell; most cells are never observed, so only those get an array
+  const slotsByCell = new Map();
+  balloonData.balloons.forEach((pos) => {
+    const i = cellIndex(pos.latitude, pos.longitude, resolution, width, height);
+    if (!slotsByCell.has(i)) slotsByCell.set(i, new Uint8Array(windowHours));
+    slotsByCell.get(i)[hourSlot(pos, windowHours)] = 1;
+  });
+
+  const observedHours = new Uint16Array(width * height);
+  const longestGapHours = new Uint16Array(width * height).fill(windowHours);
+  slotsByCell.forEach((slots, i) => {
+    observedHours[i] = slots.reduce((sum, hit) => sum + hit, 0);
+    longestGapHours[i] = longestUnobservedRun(slots);
+  });
+
+  const grid = {
+    resolution,
+    radiusKm,
+    revisitHours,
+    windowHours,
+    width,
+    height,
+    observedHours,
+    longestGapHours,
+    nearestStationKm
+  };
+  grid.summary = summarizeRevisitCells(grid, () => true);
+  return grid;
+}
+
+/**
+ * Revisit counts over the cells a predicate selects, for all of them and for station gaps
+ */
+function summarizeRevisitCells(grid, includeCell) {
+  const summary = {
+    cells: 0,
+    observedCells: 0,
+    revisitedCells: 0,
+    gapCells: 0,
+    gapCellsObserved: 0,
+    gapCellsRevisited: 0
+  };
+  let observedHoursTotal = 0;
+
+  for (let row = 0; row < grid.height; row++) {
+    for (let col = 0; col < grid.width; col++) {
+      if (!includeCell(row, col)) continue;
+
+      const i = row * grid.width + col;
+      const observed = grid.observedHours[i] > 0;
+      const revisited = grid.longestGapHours[i] < grid.revisitHours;
+      const gap = grid.nearestStationKm[i] > grid.radiusKm;
+
+      summary.cells++;
+      if (observed) {
+        summary.observedCells++;
+        observedHoursTotal += grid.observedHours[i];
+      }
+      if (revisited) summary.revisitedCells++;
+      if (gap) {
+        summary.gapCells++;
+        if (observed) summary.gapCellsObserved++;
+        if (revisited) summary.gapCellsRevisited++;
+      }
+    }
+  }
+
+  const percentage = (count, total) => (total > 0 ? ((count / total) * 100).toFixed(1) : '0.0');
+
+  return {
+    ...summary,
+    meanObservedHours: summary.observedCells > 0
+      ? Math.round((observedHoursTotal / summary.observedCells) * 10) / 10
+      : 0,
+    revisitedPercentage: percentage(summary.revisitedCells, summary.cells),
+    gapRevisitedPercentage: percentage(summary.gapCellsRevisited, summary.gapCells)
+  };
+}
+
+/**
+ * Revisit statistics for a user region, treated as one area and cell by cell
+ *
+ * @param {Object} balloonData - The data the grid was built from
+ * @param {Object} grid - Result of buildRevisitGrid()
+ * @param {Object} region - { south, west, north, east } in degrees (west > east wraps the antimeridian)
+ * @returns {Object} Distinct observed hours and longest gap for the whole region, plus
+ *   a summary over the cells whose centre lies inside it
+ */
+function summarizeRevisitRegion(balloonData, grid, region) {
+  const slots = new Uint8Array(grid.windowHours);
+  balloonData.balloons.forEach((pos) => {
+    if (isInRegion(pos.latitude, pos.longitude, region)) slots[hourSlot(pos, grid.windowHours)] = 1;
+  });
+
+  const longestGapHours = longestUnobservedRun(slots);
+
+  return {
+    region,
+    observedHours: slots.reduce((sum, hit) => sum + hit, 0),
+    longestGapHours,
+    revisited: longestGapHours < grid.revisitHours,
+    cells: summarizeRevisitCells(grid, (row, col) => isInRegion(
+      90 - (row + 0.5) * grid.resolution,
+      -180 + (col + 0.5) * grid.resolution,
+      region
+    ))
+  };
+}
+
+/**
+ * Surface area of one cell in a grid row
+ *
+ * Cells of equal angular size shrink towards the poles: the area between two
+ * latitudes is R² · Δλ · (sin φ_north - sin φ_south).
+ *
+ * @param {number} row - Row index, 0 at the north pole
+ * @param {number} resolution - Cell size in degrees
+ * @returns {number} Area in km²
+ */
+function cellAreaKm2(row, resolution) {
+  const toRadians = Math.PI / 180;
+  const north = (90 - row * resolution) * toRadians;
+  const south = (90 - (row + 1) * resolution) * toRadians;
+  return EARTH_RADIUS_KM ** 2 * resolution * toRadians * (Math.sin(north) - Math.sin(south));
+}
+
+/**
+ * Share of the globe's surface as { areaKm2, percentage }
+ */
+function globeShare(areaKm2) {
+  return {
+    areaKm2: Math.round(areaKm2),
+    percentage: ((areaKm2 / EARTH_AREA_KM2) * 100).toFixed(1)
+  };
+}
+
+/**
+ * How much of the Earth's surface is observed, weighted by true cell area
+ *
+ * A cell counts as covered by stations (or balloons) when its centre is within
+ * radiusKm of any station (or any balloon position in the window). Results are
+ * cached per balloon snapshot, station catalog, radius and resolution; treat them
+ * as read-only.
+ *
+ * @param {Object} balloonData - Result of fetchConstellationData() or loadArchivedRange()
+ * @param {Array} stations - Weather stations
+ * @param {Object} options
+ * @param {number} options.radiusKm - Coverage radius (default: 200)
+ * @param {number} options.resolution - Sampling grid in degrees (default: 1)
+ * @returns {Object} Station-covered, balloon-covered, balloon-only and gap areas, and the share of the gap filled
+ */
+function calculateAreaCoverage(balloonData, stations, {
+  radiusKm = DEFAULT_COVERAGE_RADIUS_KM,
+  resolution = AREA_RESOLUTION
+} = {}) {
+  if (!areaCoverageCache.has(balloonData)) areaCoverageCache.set(balloonData, new WeakMap());
+  const byCatalog = areaCoverageCache.get(balloonData);
+  if (!byCatalog.has(stations)) byCatalog.set(stations, new Map());
+  const cached = byCatalog.get(stations);
+
+  const key = `${radiusKm}|${resolution}`;
+  if (!cached.has(key)) cached.set(key, sampleAreaCoverage(balloonData, stations, radiusKm, resolution));
+  return cached.get(key);
+}
+
+/**
+ * Sample the area grid for calculateAreaCoverage()
+ */
+function sampleAreaCoverage(balloonData, stations, radiusKm, resolution) {
+  const width = Math.round(360 / resolution);
+  const height = Math.round(180 / resolution);
+  const { nearestStationKm } = getStationLayers(stations, resolution);
+  const balloonIndex = buildSpatialIndex(balloonData.balloons);
+
+  let stationArea = 0;
+  let balloonArea = 0;
+  let balloonOnlyArea = 0;
+
+  for (let row = 0; row < height; row++) {
+    const latitude = 90 - (row + 0.5) * resolution;
+    const area = cellAreaKm2(row, resolution);
+
+    for (let col = 0; col < width; col++) {
+      const longitude = -180 + (col + 0.5) * resolution;
+      const byStation = nearestStationKm[row * width + col] <= radiusKm;
+      const byBalloon = findNearest(balloonIndex, latitude, longitude, { maxDistanceKm: radiusKm }).length > 0;
+
+      if (byStation) stationArea += area;
+      if (byBalloon) balloonArea += area;
+      if (byBalloon && !byStation) balloonOnlyArea += area;
+    }
+  }
+
+  const gapArea = EARTH_AREA_KM2 - stationArea;
+
+  return {
+    radiusKm,
+    resolution,
+    globeAreaKm2: Math.round(EARTH_AREA_KM2),
+    stationCovered: globeShare(stationArea),
+    balloonCovered: globeShare(balloonArea),
+    balloonOnly: globeShare(balloonOnlyArea),
+    gap: globeShare(gapArea),
+    gapFilledPercentage: gapArea > 0 ? ((balloonOnlyArea / gapArea) * 100).toFixed(1) : '0.0'
+  };
+}
+
+/**
+ * Grid as plain JSON arrays
+ *
+ * @param {Object} grid - Result of buildObservationGrid()
+ * @returns {Object} Grid description with one flat array per layer
+ */
+function gridToJson(grid) {
+  return {
+    resolution: grid.resolution,
+    radiusKm: grid.radiusKm,
+    width: grid.width,
+    height: grid.height,
+    origin: { latitude: 90, longitude: -180 },
+    order: 'row-major, north to south, west to east',
+    summary: grid.summary,
+    balloonCounts: Array.from(grid.balloonCounts),
+    stationCounts: Array.from(grid.stationCounts),
+    nearestStationKm: Array.from(grid.nearestStationKm, km => (Number.isFinite(km) ? Math.round(km) : null)),
+    gap: Array.from(grid.gap),
+    balloonOnly: Array.from(grid.balloonOnly)
+  };
+}
+
+/**
+ * Grid as a compact little-endian binary
+ *
+ * Layout (n = width * height cells, row-major from the north-west corner):
+ * - n × uint16 balloon counts
+ * - n × uint16 station counts
+ * - n × uint16 nearest-station distance in km (65535 = none)
+ * - n × uint8  flags: bit 0 = gap, bit 1 = balloon-only
+ *
+ * Values above 65535 are capped.
+ *
+ * @param {Object} grid - Result of buildObservationGrid()
+ * @returns {Buffer} Binary grid
+ */
+function gridToBinary(grid) {
+  const n = grid.width * grid.height;
+  const buffer = Buffer.alloc(n * 7);
+
+  for (let i = 0; i < n; i++) {
+    const km = grid.nearestStationKm[i];
+    buffer.writeUInt16LE(Math.min(grid.balloonCounts[i], UINT16_MAX), i * 2);
+    buffer.writeUInt16LE(Math.min(grid.stationCounts[i], UINT16_MAX), n * 2 + i * 2);
+    buffer.writeUInt16LE(Number.isFinite(km) ? Math.min(Math.round(km), UINT16_MAX) : UINT16_MAX, n * 4 + i * 2);
+    buffer[n * 6 + i] = grid.gap[i] | (grid.balloonOnly[i] << 1);
+  }
+
+  return buffer;
+}
+
+/**
+ * Linear blend between two RGB colours
+ */
+function blend(from, to, t) {
+  return from.map((channel, i) => Math.round(channel + (to[i] - channel) * t));
+}
+
+/**
+ * Colour of one cell for a PNG layer, as [r, g, b, a]
+ */
+function cellColor(grid, i, layer, maxCount) {
+  if (layer === 'density') {
+    const count = grid.balloonCounts[i];
+    if (count === 0) return [0, 0, 0, 0];
+    const t = Math.log1p(count) / Math.log1p(maxCount);
+    return [...blend([191, 219, 254], [30, 64, 175], t), 210];
+  }
+
+  if (layer === 'distance') {
+    const km = grid.nearestStationKm[i];
+    const t = Number.isFinite(km) ? Math.min(km / (grid.radiusKm * 10), 1) : 1;
+    const rgb = t < 0.5
+      ? blend([16, 185, 129], [250, 204, 21], t * 2)
+      : blend([250, 204, 21], [220, 38, 38], (t - 0.5) * 2);
+    return [...rgb, 180];
+  }
+
+  // gap: balloon-only cells green, unobserved gaps red, covered cells transparent
+  if (grid.balloonOnly[i]) return [16, 185, 129, 220];
+  if (grid.gap[i]) return [239, 68, 68, 120];
+  return [0, 0, 0, 0];
+}
+
+/**
+ * Render one layer of the grid as an equirectangular PNG, one pixel per cell
+ *
+ * @param {Object} grid - Result of buildObservationGrid()
+ * @param {string} layer - One of GRID_LAYERS (default: gap)
+ * @returns {Buffer} PNG file contents
+ */
+function gridToPng(grid, layer = 'gap') {
+  const n = grid.width * grid.height;
+  const rgba = new Uint8Array(n * 4);
+  const maxCount = grid.balloonCounts.reduce((max, count) => Math.max(max, count), 0);
+
+  for (let i = 0; i < n; i++) {
+    rgba.set(cellColor(grid, i, layer, maxCount), i * 4);
+  }
+
+  return encodePng(grid.width, grid.height, rgba);
+}
+
+/**
+ * Revisit grid as plain JSON arrays
+ *
+ * @param {Object} grid - Result of buildRevisitGrid()
+ * @returns {Object} Grid description with one flat array per layer
+ */
+function revisitGridToJson(grid) {
+  return {
+    resolution: grid.resolution,
+    radiusKm: grid.radiusKm,
+    revisitHours: grid.revisitHours,
+    windowHours: grid.windowHours,
+    width: grid.width,
+    height: grid.height,
+    origin: { latitude: 90, longitude: -180 },
+    order: 'row-major, north to south, west to east',
+    summary: grid.summary,
+    observedHours: Array.from(grid.observedHours),
+    longestGapHours: Array.from(grid.longestGapHours)
+  };
+}
+
+/**
+ * Render the revisit grid as an equirectangular PNG, one pixel per cell
+ *
+ * Observed cells shade from light to dark blue with the number of observed
+ * hours; cells revisited within revisitHours are drawn in green instead.
+ *
+ * @param {Object} grid - Result of buildRevisitGrid()
+ * @returns {Buffer} PNG file contents
+ */
+function revisitGridToPng(grid) {
+  const n = grid.width * grid.height;
+  const rgba = new Uint8Array(n * 4);
+
+  for (let i = 0; i < n; i++) {
+    const hours = grid.observedHours[i];
+    if (hours === 0) continue;
+
+    const t = hours / grid.windowHours;
+    const rgb = grid.longestGapHours[i] < grid.revisitHours
+      ? blend([134, 239, 172], [21, 128, 61], t)
+      : blend([191, 219, 254], [30, 64, 175], t);
+    rgba.set([...rgb, 210], i * 4);
+  }
+
+  return encodePng(grid.width, grid.height, rgba);
+}
+
+module.exports = {
+  DEFAULT_RESOLUTION,
+  MIN_RESOLUTION,
+  MAX_RESOLUTION,
+  GRID_LAYERS,
+  DEFAULT_REVISIT_HOURS,
+  isValidResolution,
+  buildObservationGrid,
+  buildRevisitGrid,
+  summarizeRevisitRegion,
+  calculateAreaCoverage,
+  gridToJson,
+  gridToBinary,
+  gridToPng,
+  revisitGridToJson,
+  revisitGridToPng
+};
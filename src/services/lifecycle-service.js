@@ -0,0 +1,210 @@
+/**
+ * Lifecycle Service
+ * Launch, termination and gap events derived from balloon tracks
+ *
+ * Events are read off the tracks built by tracking-service.js:
+ *
+ * - launch:      a track starts after the beginning of the window
+ * - termination: a track ends and stays unobserved for longer than tracking
+ *                will bridge (maxGapHours), so it won't be picked up again
+ * - gap:         a track goes unobserved for one or more hours and reappears
+ *
+ * A track that starts or ends next to an hour we failed to load proves nothing
+ * (the balloon may have been there), so launches, terminations and gaps are only
+ * reported when the hours around them were loaded in full. Hours salvaged from a
+ * truncated payload don't count, since balloons are missing from them by accident.
+ *
+ * Each refresh covers an overlapping 24-hour window, so the same event is seen
+ * many times. The tracker keeps one copy per balloon, type and time and retains
+ * events for several days, longer than the upstream window itself.
+ */
+
+const { DEFAULT_TRACKING_OPTIONS } = require('./tracking-service');
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+const EVENT_TYPES = {
+  LAUNCH: 'launch',
+  TERMINATION: 'termination',
+  GAP: 'gap'
+};
+
+const RETENTION_DAYS = 7;
+
+const tracker = {
+  events: new Map()
+};
+
+/**
+ * Event record at a position
+ */
+function createEvent(type, pos, details = {}) {
+  return {
+    type,
+    balloonId: pos.balloonId,
+    validTime: pos.validTime,
+    timestamp: pos.timestamp,
+    latitude: pos.latitude,
+    longitude: pos.longitude,
+    altitude: pos.altitude,
+    ...details
+  };
+}
+
+/**
+ * Derive lifecycle events from one constellation result
+ *
+ * @param {Object} balloonData - Result of fetchConstellationData() or loadArchivedRange()
+ * @param {Object} options
+ * @param {number} options.maxGapHours - Longest gap tracking bridges (default: tracking setting)
+ * @returns {Array} Events, most recent first
+ */
+function detectLifecycleEvents(balloonData, { maxGapHours = DEFAULT_TRACKING_OPTIONS.maxGapHours } = {}) {
+  const hourTimes = Object.entries(balloonData.hourValidTimes || {});
+  if (hourTimes.length === 0) return [];
+
+  const times = hourTimes.map(([, validTime]) => Date.parse(validTime));
+  const windowStart = Math.min(...times);
+  const windowEnd = Math.max(...times);
+
+  // Hours whose full payload was loaded - the only evidence that a balloon was absent
+  const completeTimes = new Set(hourTimes
+    .filter(([hour]) => !(balloonData.parseReports && balloonData.parseReports[hour] && balloonData.parseReports[hour].recovered))
+    .map(([, validTime]) => Date.parse(validTime)));
+
+  const events = [];
+
+  (balloonData.balloonPaths || []).forEach((path) => {
+    if (path.length === 0) return;
+
+    const latest = path[0];
+    const first = path[path.length - 1];
+
+    if (first.timestamp > windowStart && completeTimes.has(first.timestamp - HOUR_MS)) {
+      events.push(createEvent(EVENT_TYPES.LAUNCH, first));
+    }
+
+    // Nothing can have ended unless the window runs long enough past the last fix
+    const silentHours = (windowEnd - latest.timestamp) / HOUR_MS;
+    if (silentHours > maxGapHours && completeTimes.has(latest.timestamp + HOUR_MS)) {
+      events.push(createEvent(EVENT_TYPES.TERMINATION, latest, {
+        observedHours: (latest.timestamp - first.timestamp) / HOUR_MS + 1
+      }));
+    }
+
+    for (let i = 0; i < path.length - 1; i++) {
+      const after = path[i];
+      const before = path[i + 1];
+      const missingHours = (after.timestamp - before.timestamp) / HOUR_MS - 1;
+
+      // Only count hours we actually have data for; a failed hour file isn't a missing balloon
+      let unobservedHours = 0;
+      for (let t = before.timestamp + HOUR_MS; t < after.timestamp; t += HOUR_MS) {
+        if (completeTimes.has(t)) unobservedHours++;
+      }
+
+      if (missingHours > 0 && unobservedHours > 0) {
+        events.push(createEvent(EVENT_TYPES.GAP, after, {
+          missingHours,
+          lastSeen: {
+            validTime: before.validTime,
+            latitude: before.latitude,
+            longitude: before.longitude,
+            altitude: before.altitude
+          }
+        }));
+      }
+    }
+  });
+
+  return events.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Add the events of a fresh constellation fetch to the running feed
+ *
+ * @param {Object} balloonData - Result of fetchConstellationData()
+ * @returns {Array} Events not seen in earlier refreshes
+ */
+function recordLifecycleEvents(balloonData) {
+  const detectedAt = new Date().toISOString();
+  const added = [];
+
+  detectLifecycleEvents(balloonData).forEach((event) => {
+    const key = `${event.type}|${event.balloonId}|${event.timestamp}`;
+    if (tracker.events.has(key)) return;
+
+    const recorded = { ...event, detectedAt };
+    tracker.events.set(key, recorded);
+    added.push(recorded);
+  });
+
+  const cutoff = Date.now() - RETENTION_DAYS * DAY_MS;
+  tracker.events.forEach((event, key) => {
+    if (event.timestamp < cutoff) tracker.events.delete(key);
+  });
+
+  return added;
+}
+
+/**
+ * Filter lifecycle events
+ *
+ * @param {Array} events - Lifecycle events
+ * @param {Object} filters
+ * @param {string} filters.type - Only this event type
+ * @param {string} filters.balloonId - Only this balloon
+ * @param {number} filters.since - Only events at or after this valid time (epoch ms)
+ * @returns {Array} Matching events
+ */
+function filterEvents(events, { type, balloonId, since } = {}) {
+  return events.filter(event => (
+    (!type || event.type === type) &&
+    (!balloonId || event.balloonId === balloonId) &&
+    (since === undefined || event.timestamp >= since)
+  ));
+}
+
+/**
+ * Events in the running feed, most recent first
+ *
+ * @param {Object} filters - See filterEvents()
+ * @returns {Array} Matching events
+ */
+function getLifecycleEvents(filters = {}) {
+  return filterEvents([...tracker.events.values()], filters)
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Launches, terminations and gaps per UTC day
+ *
+ * @param {Array} events - Lifecycle events
+ * @returns {Array} [{ date: 'YYYY-MM-DD', launches, terminations, gaps }], most recent day first
+ */
+function countEventsByDay(events) {
+  const days = new Map();
+
+  events.forEach((event) => {
+    const date = event.validTime.slice(0, 10);
+    if (!days.has(date)) days.set(date, { date, launches: 0, terminations: 0, gaps: 0 });
+
+    const day = days.get(date);
+    if (event.type === EVENT_TYPES.LAUNCH) day.launches++;
+    if (event.type === EVENT_TYPES.TERMINATION) day.terminations++;
+    if (event.type === EVENT_TYPES.GAP) day.gaps++;
+  });
+
+  return [...days.values()].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+module.exports = {
+  EVENT_TYPES,
+  RETENTION_DAYS,
+  detectLifecycleEvents,
+  recordLifecycleEvents,
+  filterEvents,
+  getLifecycleEvents,
+  countEventsByDay
+};
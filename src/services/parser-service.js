@@ -0,0 +1,262 @@
+/**
+ * Hourly Payload Parser
+ * Turns a raw hourly file into [lat, lon, alt] triples, salvaging what it can
+ *
+ * The upstream files are sometimes truncated or contain values that aren't
+ * valid JSON (NaN, stray characters). A strict JSON.parse() would throw away
+ * the whole hour, so when it fails we fall back to a recovering scanner that
+ * walks the outer array and pulls out each top-level entry on its own.
+ *
+ * Both paths run every entry through the same checks, so the per-hour report
+ * (salvaged / rejected / reasons) means the same thing whether or not the
+ * payload was well-formed.
+ */
+
+// Reason codes for entries the parser could not turn into a numeric triple
+const PARSE_REJECTION_REASONS = {
+  NOT_AN_ARRAY: 'not_an_array',
+  TOO_FEW_VALUES: 'too_few_values',
+  NULL_VALUE: 'null_value',
+  NAN_VALUE: 'nan_value',
+  NON_FINITE: 'non_finite',
+  NON_NUMERIC: 'non_numeric',
+  TRUNCATED: 'truncated'
+};
+
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+/**
+ * Classify a single entry, returning a rejection reason or null if usable
+ *
+ * @param {*} entry - One element of the outer array
+ * @returns {string|null} Reason code from PARSE_REJECTION_REASONS, or null
+ */
+function classifyEntry(entry) {
+  if (!Array.isArray(entry)) return PARSE_REJECTION_REASONS.NOT_AN_ARRAY;
+  if (entry.length < 3) return PARSE_REJECTION_REASONS.TOO_FEW_VALUES;
+
+  for (const value of entry.slice(0, 3)) {
+    if (value === null) return PARSE_REJECTION_REASONS.NULL_VALUE;
+    if (typeof value !== 'number') return PARSE_REJECTION_REASONS.NON_NUMERIC;
+    if (Number.isNaN(value)) return PARSE_REJECTION_REASONS.NAN_VALUE;
+    if (!Number.isFinite(value)) return PARSE_REJECTION_REASONS.NON_FINITE;
+  }
+
+  return null;
+}
+
+/**
+ * Convert one scanned token into a value, mirroring what JSON would produce
+ * (plus the NaN / Infinity literals the strict parser rejects)
+ */
+function parseToken(token) {
+  if (token === 'null') return null;
+  if (token === 'NaN') return NaN;
+  if (token === 'Infinity' || token === '+Infinity') return Infinity;
+  if (token === '-Infinity') return -Infinity;
+  if (NUMBER_PATTERN.test(token)) return Number(token);
+  return token; // Left as a string so classifyEntry reports it as non-numeric
+}
+
+/**
+ * Find where a top-level value that isn't an inner array ends
+ *
+ * Strings and objects are skipped as a whole (brackets and commas inside them
+ * don't count); anything else runs up to the next comma or bracket.
+ *
+ * @returns {number} Index just past the value, or -1 if the payload ends inside it
+ */
+function findValueEnd(text, i) {
+  if (text[i] !== '"' && text[i] !== '{') {
+    const separator = /[,[\]]/g;
+    separator.lastIndex = i;
+    const match = separator.exec(text);
+    return match ? match.index : text.length;
+  }
+
+  let depth = 0;
+  let inString = false;
+
+  for (let j = i; j < text.length; j++) {
+    const char = text[j];
+
+    if (inString) {
+      if (char === '\\') {
+        j++;
+      } else if (char === '"') {
+        inString = false;
+        if (depth === 0) return j + 1;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) return j + 1;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Recovering scanner for payloads JSON.parse() rejects
+ *
+ * Finds the outer array, then extracts each top-level entry independently, so
+ * entries keep the index JSON.parse() would have given them. Inner [ ... ]
+ * entries are parsed; strings, objects and bare values are kept as entries to
+ * be rejected as not arrays. Characters between an entry and the next comma
+ * are skipped and counted as garbage; an entry cut off by the end of the file
+ * is rejected as truncated.
+ *
+ * @param {string} text - Raw payload
+ * @returns {Object} { entries, issues } where entries hold parsed values or a rejection, plus the raw text
+ */
+function scanEntries(text) {
+  const start = text.indexOf('[');
+  if (start === -1) {
+    throw new Error('Invalid data structure (no array found)');
+  }
+
+  const entries = [];
+  const issues = { garbageCharacters: 0, trailingGarbage: false, truncated: false };
+  let i = start + 1;
+  let closed = false;
+  // Whether the next non-separator character starts a new entry
+  let expectingEntry = true;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '[') {
+      // Inner entry: read up to the matching bracket
+      const end = text.indexOf(']', i + 1);
+      const nextOpen = text.indexOf('[', i + 1);
+
+      if (end === -1) {
+        entries.push({ rejected: PARSE_REJECTION_REASONS.TRUNCATED, raw: text.slice(i, i + 200) });
+        issues.truncated = true;
+        i = text.length;
+        break;
+      }
+
+      if (nextOpen !== -1 && nextOpen < end) {
+        // Unclosed entry followed by another entry - drop the broken one
+        entries.push({ rejected: PARSE_REJECTION_REASONS.TRUNCATED, raw: text.slice(i, nextOpen) });
+        i = nextOpen;
+        continue;
+      }
+
+      const body = text.slice(i + 1, end).trim();
+      const values = body === '' ? [] : body.split(',').map(token => parseToken(token.trim()));
+      entries.push({ values, raw: text.slice(i, end + 1) });
+      i = end + 1;
+      expectingEntry = false;
+    } else if (char === ']') {
+      closed = true;
+      i++;
+      break;
+    } else if (char === ',') {
+      expectingEntry = true;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (expectingEntry) {
+      // A string, object or bare value where an inner array belongs
+      const end = findValueEnd(text, i);
+
+      if (end === -1) {
+        entries.push({ rejected: PARSE_REJECTION_REASONS.TRUNCATED, raw: text.slice(i, i + 200) });
+        issues.truncated = true;
+        i = text.length;
+        break;
+      }
+
+      entries.push({ rejected: PARSE_REJECTION_REASONS.NOT_AN_ARRAY, raw: text.slice(i, end).trim().slice(0, 200) });
+      i = end;
+      expectingEntry = false;
+    } else {
+      issues.garbageCharacters++;
+      i++;
+    }
+  }
+
+  if (!closed) {
+    issues.truncated = true;
+  } else if (text.slice(i).trim() !== '') {
+    issues.trailingGarbage = true;
+  }
+
+  return { entries, issues };
+}
+
+/**
+ * Parse an hourly payload into numeric triples with a salvage report
+ *
+ * Accepted entries keep their position in the payload so later validation can
+ * point back at the original record; rejected ones are kept with their raw text.
+ *
+ * @param {string} text - Raw payload as received
+ * @returns {Object} { entries: [{ index, values: [lat, lon, alt] }], rejected: [{ index, reason, raw }], report }
+ */
+function parseHourlyPayload(text) {
+  const report = {
+    recovered: false,
+    totalEntries: 0,
+    salvaged: 0,
+    rejected: 0,
+    reasons: {},
+    issues: []
+  };
+
+  let rawEntries;
+
+  try {
+    const data = JSON.parse(text);
+
+    // Validate data structure
+    if (!Array.isArray(data)) {
+      throw new Error('Invalid data structure (not an array)');
+    }
+
+    rawEntries = data.map(entry => ({ values: entry, raw: JSON.stringify(entry) }));
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+
+    const scanned = scanEntries(text);
+    rawEntries = scanned.entries;
+    report.recovered = true;
+    report.issues.push(`parse error: ${error.message}`);
+    if (scanned.issues.truncated) report.issues.push('truncated');
+    if (scanned.issues.trailingGarbage) report.issues.push('trailing garbage');
+    if (scanned.issues.garbageCharacters > 0) {
+      report.issues.push(`${scanned.issues.garbageCharacters} unexpected character(s) skipped`);
+    }
+  }
+
+  const entries = [];
+  const rejected = [];
+
+  rawEntries.forEach((raw, index) => {
+    const reason = raw.rejected || classifyEntry(raw.values);
+
+    if (reason) {
+      report.reasons[reason] = (report.reasons[reason] || 0) + 1;
+      report.rejected++;
+      rejected.push({ index, reason, raw: raw.raw });
+    } else {
+      entries.push({ index, values: raw.values.slice(0, 3) });
+      report.salvaged++;
+    }
+  });
+
+  report.totalEntries = rawEntries.length;
+
+  return { entries, rejected, report };
+}
+
+module.exports = {
+  PARSE_REJECTION_REASONS,
+  parseHourlyPayload
+};
@@ -0,0 +1,308 @@
+/**
+ * Upstream Resilience Service
+ * Retries, backoff, concurrency limiting and a circuit breaker for hourly fetches
+ *
+ * createResilientSource() wraps any hourly source (see source-service.js):
+ * - Non-2xx responses are turned into errors so they can be retried
+ * - Retryable failures (timeouts, network errors, 5xx, 429) are retried with
+ *   jittered exponential backoff
+ * - A circuit breaker opens after repeated failures and fails fast until a
+ *   cooldown has passed, then lets a single probe through (half-open)
+ *
+ * Every error thrown by the wrapper carries a `type` from ERROR_TYPES.
+ */
+
+const ERROR_TYPES = {
+  TIMEOUT: 'timeout',
+  HTTP_STATUS: 'http_status',
+  PARSE: 'parse',
+  NETWORK: 'network',
+  CIRCUIT_OPEN: 'circuit_open'
+};
+
+/**
+ * Classify an error from a fetch attempt
+ *
+ * @param {Error} error - Error thrown while fetching or parsing an hour
+ * @returns {string} One of ERROR_TYPES
+ */
+function classifyError(error) {
+  if (error.type && Object.values(ERROR_TYPES).includes(error.type)) return error.type;
+  if (error.status) return ERROR_TYPES.HTTP_STATUS;
+
+  // node-fetch reports timeouts as FetchError with type 'request-timeout' / 'body-timeout'
+  if (error.type === 'request-timeout' || error.type === 'body-timeout' || error.code === 'ETIMEDOUT') {
+    return ERROR_TYPES.TIMEOUT;
+  }
+
+  if (error instanceof SyntaxError || /^Invalid data structure/.test(error.message || '')) {
+    return ERROR_TYPES.PARSE;
+  }
+
+  // Connection failures, DNS errors and (for local sources) file system errors
+  return ERROR_TYPES.NETWORK;
+}
+
+/**
+ * Replace an error's raw type with its classification
+ */
+function tagError(error) {
+  error.type = classifyError(error);
+  return error;
+}
+
+/**
+ * Whether a classified error is worth retrying
+ */
+function isRetryable(error) {
+  if (error.type === ERROR_TYPES.TIMEOUT || error.type === ERROR_TYPES.NETWORK) return true;
+  if (error.type === ERROR_TYPES.HTTP_STATUS) return error.status >= 500 || error.status === 429;
+  return false;
+}
+
+/**
+ * Exponential backoff delay with jitter
+ *
+ * Uses "equal jitter": half of the exponential delay is fixed, the other half
+ * random, so retries from parallel hour fetches spread out without collapsing to zero.
+ *
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run an async task for every item with at most `limit` running at once
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent tasks
+ * @param {Function} task - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+/**
+ * Create a circuit breaker
+ *
+ * closed    → requests flow; consecutive failures are counted
+ * open      → requests fail fast until cooldownMs has passed
+ * half-open → one probe request is allowed; success closes, failure re-opens.
+ *             Other callers can wait for the probe instead of failing straight away.
+ *
+ * @param {Object} options
+ * @param {number} options.failureThreshold - Consecutive failures before opening
+ * @param {number} options.cooldownMs - How long to stay open before probing
+ * @returns {Object} Circuit breaker
+ */
+function createCircuitBreaker({ failureThreshold = 5, cooldownMs = 60000 } = {}) {
+  const breaker = {
+    state: 'closed',
+    consecutiveFailures: 0,
+    openedAt: null,
+    probeInFlight: false,
+    probeSettled: null,
+    settleProbe: null
+  };
+
+  const startProbe = () => {
+    breaker.probeInFlight = true;
+    breaker.probeSettled = new Promise((resolve) => {
+      breaker.settleProbe = resolve;
+    });
+  };
+
+  const finishProbe = () => {
+    if (breaker.settleProbe) breaker.settleProbe();
+    breaker.probeInFlight = false;
+    breaker.probeSettled = null;
+    breaker.settleProbe = null;
+  };
+
+  return {
+    /**
+     * Whether a request may go to the upstream right now
+     */
+    allowRequest() {
+      if (breaker.state === 'closed') return true;
+
+      if (breaker.state === 'open' && Date.now() - breaker.openedAt >= cooldownMs) {
+        breaker.state = 'half-open';
+      }
+
+      if (breaker.state === 'half-open' && !breaker.probeInFlight) {
+        startProbe();
+        return true;
+      }
+
+      return false;
+    },
+
+    /**
+     * Promise that settles when the current half-open probe finishes, or null if none is running
+     */
+    waitForProbe() {
+      return breaker.probeSettled;
+    },
+
+    recordSuccess() {
+      if (breaker.state !== 'closed') {
+        console.log('✓ Upstream recovered, circuit breaker closed');
+      }
+      breaker.state = 'closed';
+      breaker.consecutiveFailures = 0;
+      breaker.openedAt = null;
+      finishProbe();
+    },
+
+    recordFailure() {
+      breaker.consecutiveFailures++;
+
+      if (breaker.state === 'half-open' || breaker.consecutiveFailures >= failureThreshold) {
+        if (breaker.state !== 'open') {
+          console.warn(`⚠ Circuit breaker opened after ${breaker.consecutiveFailures} consecutive failures`);
+        }
+        breaker.state = 'open';
+        breaker.openedAt = Date.now();
+      }
+
+      finishProbe();
+    },
+
+    getState() {
+      return {
+        state: breaker.state,
+        consecutiveFailures: breaker.consecutiveFailures,
+        openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+        retryAt: breaker.state === 'open' ? new Date(breaker.openedAt + cooldownMs).toISOString() : null
+      };
+    }
+  };
+}
+
+/**
+ * Wrap an hourly source with retries, backoff and a circuit breaker
+ *
+ * @param {Object} source - Hourly data source
+ * @param {Object} options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - First backoff delay
+ * @param {number} options.maxDelayMs - Backoff ceiling
+ * @param {number} options.failureThreshold - Circuit breaker threshold
+ * @param {number} options.cooldownMs - Circuit breaker cooldown
+ * @returns {Object} Hourly data source
+ */
+function createResilientSource(source, {
+  retries = 2,
+  baseDelayMs = 500,
+  maxDelayMs = 5000,
+  failureThreshold = 5,
+  cooldownMs = 60000
+} = {}) {
+  const breaker = createCircuitBreaker({ failureThreshold, cooldownMs });
+
+  const attemptFetch = async (hour) => {
+    const result = await source.fetchHour(hour);
+
+    if (!result.ok) {
+      const error = new Error(`HTTP ${result.status}`);
+      error.status = result.status;
+      throw error;
+    }
+
+    return result;
+  };
+
+  return {
+    describe() {
+      return { ...source.describe(), circuitBreaker: breaker.getState() };
+    },
+
+    beginFetch() {
+      if (source.beginFetch) source.beginFetch();
+    },
+
+    endFetch() {
+      if (source.endFetch) source.endFetch();
+    },
+
+    async fetchHour(hour) {
+      let attempt = 0;
+
+      while (true) {
+        if (!breaker.allowRequest()) {
+          // A probe is checking whether the upstream is back - wait for its verdict
+          const probe = breaker.waitForProbe();
+          if (probe) {
+            await probe;
+            continue;
+          }
+
+          const error = new Error('Circuit breaker open - upstream unavailable');
+          error.type = ERROR_TYPES.CIRCUIT_OPEN;
+          error.attempts = attempt;
+          throw error;
+        }
+
+        try {
+          const result = await attemptFetch(hour);
+          breaker.recordSuccess();
+          return { ...result, attempts: attempt + 1 };
+        } catch (error) {
+          tagError(error);
+          error.attempts = attempt + 1;
+
+          // Only upstream health problems count against the breaker; a 404 means the upstream is up
+          if (isRetryable(error)) {
+            breaker.recordFailure();
+          } else {
+            breaker.recordSuccess();
+          }
+
+          if (!isRetryable(error) || attempt >= retries) {
+            throw error;
+          }
+
+          await sleep(backoffDelay(attempt, { baseDelayMs, maxDelayMs }));
+          attempt++;
+        }
+      }
+    },
+
+    getCircuitState() {
+      return breaker.getState();
+    }
+  };
+}
+
+module.exports = {
+  ERROR_TYPES,
+  classifyError,
+  tagError,
+  backoffDelay,
+  mapWithConcurrency,
+  createCircuitBreaker,
+  createResilientSource
+};
@@ -0,0 +1,414 @@
+/**
+ * Scenario Service
+ * What-if analysis: coverage with stations removed or added and extra balloons launched
+ *
+ * A scenario is applied to copies of the station catalog and the balloon data;
+ * the live snapshot is never modified. Both the baseline and the scenario then go
+ * through calculateCoverageStats() and calculateAreaCoverage(), and the headline
+ * metrics are reported side by side with their deltas.
+ *
+ * Synthetic balloons have no forecast winds to follow, so they drift with the
+ * winds the real constellation observed (see wind-service.js): every hour they
+ * move with the inverse-distance-weighted mean of the nearest wind vectors from
+ * that hour, and hold their last velocity where no vector is near. Launches from
+ * one site are spread evenly across the analysis window, so the site behaves like
+ * a launch cadence rather than one burst of identical tracks.
+ */
+
+const { calculateDestination, isInRegion } = require('../utils/geo');
+const { altitudeToPressure } = require('../utils/atmosphere');
+const { getOceanBasin } = require('../utils/land-mask');
+const { buildSpatialIndex, findNearest } = require('../utils/spatial-index');
+const { deriveWindVectors } = require('./wind-service');
+const {
+  DEFAULT_COVERAGE_RADIUS_KM,
+  calculateCoverageStats
+} = require('./coverage-service');
+const { calculateAreaCoverage } = require('./grid-service');
+
+const HOUR_MS = 3600000;
+
+// km travelled in one hour at 1 m/s
+const KM_PER_MS_HOUR = 3.6;
+
+// Limits on what one scenario may ask for
+const MAX_ADDED_STATIONS = 1000;
+const MAX_LAUNCH_SITES = 20;
+const MAX_LAUNCH_COUNT = 200;
+
+// Float altitude of synthetic balloons when a launch doesn't give one, in km
+const DEFAULT_LAUNCH_ALTITUDE_KM = 15;
+
+// Wind vectors averaged per step, and how far away they may be
+const WIND_NEIGHBOURS = 4;
+const MAX_WIND_DISTANCE_KM = 1000;
+
+// Headline metrics compared between baseline and scenario
+const SCENARIO_METRICS = [
+  { id: 'stations', label: 'Weather stations', unit: 'count', value: stats => stats.weatherStationCount },
+  { id: 'balloons', label: 'Balloons', unit: 'count', value: stats => stats.uniqueBalloons },
+  { id: 'positions', label: 'Balloon observations', unit: 'count', value: stats => stats.totalBalloonPositions },
+  { id: 'uniqueCoveragePositions', label: 'Unique-coverage observations', unit: 'count', value: stats => stats.uniqueCoveragePositions },
+  { id: 'uniqueCoveragePercentage', label: 'Unique coverage', unit: '%', value: stats => Number(stats.uniqueCoveragePercentage) },
+  { id: 'stationCoveredArea', label: 'Globe covered by stations', unit: '%', value: stats => Number(stats.areaCoverage.stationCovered.percentage) },
+  { id: 'balloonCoveredArea', label: 'Globe covered by balloons', unit: '%', value: stats => Number(stats.areaCoverage.balloonCovered.percentage) },
+  { id: 'balloonOnlyArea', label: 'Globe covered only by balloons', unit: '%', value: stats => Number(stats.areaCoverage.balloonOnly.percentage) },
+  { id: 'gapArea', label: 'Globe outside station coverage', unit: '%', value: stats => Number(stats.areaCoverage.gap.percentage) },
+  { id: 'gapFilledPercentage', label: 'Station gap filled by balloons', unit: '%', value: stats => Number(stats.areaCoverage.gapFilledPercentage) }
+];
+
+// Scenario results kept per balloon data and station catalog, oldest dropped first
+const SCENARIO_CACHE_SIZE = 16;
+
+const windFields = new WeakMap();
+const scenarioCaches = new WeakMap();
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * A number from a scenario field: a finite number or a numeric string, otherwise NaN
+ *
+ * Unlike Number(), empty strings, null, booleans and arrays don't turn into 0 or 1.
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+/**
+ * Validate a { latitude, longitude } pair from a scenario
+ */
+function readPosition(value, what) {
+  const latitude = toNumber(value.latitude);
+  const longitude = toNumber(value.longitude);
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) throw badRequest(`Invalid latitude for ${what}`);
+  if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) throw badRequest(`Invalid longitude for ${what}`);
+  return { latitude, longitude };
+}
+
+function readList(value, what) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw badRequest(`"${what}" must be an array`);
+  return value;
+}
+
+/**
+ * Parse and validate a scenario from a request body
+ *
+ * @param {Object} body - {
+ *   name,
+ *   removeStations: { countries: ["AS"], ids: ["..."], regions: [{ south, west, north, east }] },
+ *   addStations: [{ latitude, longitude, name }],
+ *   launches: [{ latitude, longitude, count, altitude, name }]
+ * }
+ * @returns {Object} Normalized scenario
+ * @throws {Error} With `status = 400` when the scenario is invalid
+ */
+function parseScenario(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw badRequest('Scenario must be a JSON object');
+
+  const remove = body.removeStations === undefined || body.removeStations === null ? {} : body.removeStations;
+  if (!isPlainObject(remove)) throw badRequest('"removeStations" must be an object');
+  const countries = readList(remove.countries, 'removeStations.countries').map(code => String(code).trim().toUpperCase());
+  const ids = readList(remove.ids, 'removeStations.ids').map(String);
+  const regions = readList(remove.regions, 'removeStations.regions').map((region, i) => {
+    const edges = ['south', 'west', 'north', 'east'].map(edge => (isPlainObject(region) ? toNumber(region[edge]) : NaN));
+    if (!edges.every(Number.isFinite)) throw badRequest(`Region ${i + 1} needs south, west, north and east`);
+    const [south, west, north, east] = edges;
+    if (south > north || Math.abs(south) > 90 || Math.abs(north) > 90 || Math.abs(west) > 180 || Math.abs(east) > 180) {
+      throw badRequest(`Invalid bounds for region ${i + 1}`);
+    }
+    return { south, west, north, east };
+  });
+
+  const addStations = readList(body.addStations, 'addStations').map((station, i) => {
+    if (!isPlainObject(station)) throw badRequest(`Added station ${i + 1} must be an object`);
+    return {
+      ...readPosition(station, `added station ${i + 1}`),
+      name: station.name ? String(station.name) : `Scenario station ${i + 1}`
+    };
+  });
+  if (addStations.length > MAX_ADDED_STATIONS) throw badRequest(`At most ${MAX_ADDED_STATIONS} stations can be added`);
+
+  const launches = readList(body.launches, 'launches').map((launch, i) => {
+    if (!isPlainObject(launch)) throw badRequest(`Launch ${i + 1} must be an object`);
+    const position = readPosition(launch, `launch ${i + 1}`);
+    const count = launch.count === undefined ? 1 : toNumber(launch.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_LAUNCH_COUNT) {
+      throw badRequest(`Launch ${i + 1}: "count" must be a whole number from 1 to ${MAX_LAUNCH_COUNT}`);
+    }
+    const altitude = launch.altitude === undefined ? DEFAULT_LAUNCH_ALTITUDE_KM : toNumber(launch.altitude);
+    if (!Number.isFinite(altitude) || altitude < 0 || altitude > 40) throw badRequest(`Launch ${i + 1}: invalid altitude`);
+
+    return {
+      ...position,
+      count,
+      altitude,
+      name: launch.name ? String(launch.name) : `Launch site ${i + 1}`
+    };
+  });
+  if (launches.length > MAX_LAUNCH_SITES) throw badRequest(`At most ${MAX_LAUNCH_SITES} launch sites per scenario`);
+
+  return {
+    name: body.name ? String(body.name) : null,
+    removeStations: { countries, ids, regions },
+    addStations,
+    launches
+  };
+}
+
+/**
+ * Station catalog with the scenario's removals and additions applied
+ *
+ * Returns the catalog itself when nothing changes, so its cached indexes are reused.
+ *
+ * @returns {Object} { stations, removed, added }
+ */
+function applyStationChanges(stations, scenario) {
+  const { countries, ids, regions } = scenario.removeStations;
+  if (countries.length === 0 && ids.length === 0 && regions.length === 0 && scenario.addStations.length === 0) {
+    return { stations, removed: 0, added: [] };
+  }
+
+  const countrySet = new Set(countries);
+  const idSet = new Set(ids);
+  const kept = stations.filter(station => !(
+    countrySet.has(station.country) ||
+    idSet.has(station.id) ||
+    regions.some(region => isInRegion(station.latitude, station.longitude, region))
+  ));
+
+  const network = stations.length > 0 ? stations[0].network : undefined;
+  const added = scenario.addStations.map((station, i) => ({
+    id: `scenario-${i + 1}`,
+    name: station.name,
+    country: null,
+    latitude: station.latitude,
+    longitude: station.longitude,
+    elevation: 0,
+    active: true,
+    network
+  }));
+
+  return { stations: [...kept, ...added], removed: stations.length - kept.length, added };
+}
+
+/**
+ * Observed wind vectors grouped by hour, with a spatial index per hour (cached per balloon data)
+ *
+ * @returns {Object} { hours: sorted hour numbers, indexes: Map(hour -> index) }
+ */
+function getWindField(balloonData) {
+  const paths = balloonData.balloonPaths;
+  if (windFields.has(paths)) return windFields.get(paths);
+
+  const byHour = new Map();
+  deriveWindVectors(paths).forEach((vector) => {
+    const hour = Math.round(Date.parse(vector.validTime) / HOUR_MS);
+    if (!byHour.has(hour)) byHour.set(hour, []);
+    byHour.get(hour).push(vector);
+  });
+
+  const indexes = new Map([...byHour].map(([hour, vectors]) => [hour, buildSpatialIndex(vectors)]));
+  const field = { hours: [...indexes.keys()].sort((a, b) => a - b), indexes };
+  windFields.set(paths, field);
+  return field;
+}
+
+/**
+ * Wind at a position and time: weighted mean of the nearest vectors from the closest observed hour
+ *
+ * @returns {Object|null} { u, v } in m/s, or null when no vector is within MAX_WIND_DISTANCE_KM
+ */
+function sampleWind(field, latitude, longitude, time) {
+  if (field.hours.length === 0) return null;
+
+  const target = time / HOUR_MS;
+  const hour = field.hours.reduce((best, h) => (Math.abs(h - target) < Math.abs(best - target) ? h : best));
+  const nearest = findNearest(field.indexes.get(hour), latitude, longitude, {
+    k: WIND_NEIGHBOURS,
+    maxDistanceKm: MAX_WIND_DISTANCE_KM
+  });
+  if (nearest.length === 0) return null;
+
+  let weightSum = 0;
+  let u = 0;
+  let v = 0;
+  nearest.forEach(({ item, distanceKm }) => {
+    const weight = 1 / Math.max(distanceKm, 1) ** 2;
+    weightSum += weight;
+    u += weight * item.u;
+    v += weight * item.v;
+  });
+
+  return { u: u / weightSum, v: v / weightSum };
+}
+
+/**
+ * Drift one synthetic balloon from its launch to the end of the window
+ *
+ * @returns {Array} Hourly positions, most recent first
+ */
+function simulateTrack(launch, balloonId, launchTime, endTime, field) {
+  const positions = [];
+  const pressure = Math.round(altitudeToPressure(launch.altitude) * 10) / 10;
+  let point = { latitude: launch.latitude, longitude: launch.longitude };
+  let time = launchTime;
+  let wind = { u: 0, v: 0 };
+
+  // Report on the hour, as the live feed does
+  for (let report = Math.ceil(launchTime / HOUR_MS) * HOUR_MS; report <= endTime; report += HOUR_MS) {
+    wind = sampleWind(field, point.latitude, point.longitude, time) || wind;
+    const distanceKm = KM_PER_MS_HOUR * Math.sqrt(wind.u ** 2 + wind.v ** 2) * ((report - time) / HOUR_MS);
+    if (distanceKm > 0) {
+      const bearing = (Math.atan2(wind.u, wind.v) * 180) / Math.PI;
+      point = calculateDestination(point.latitude, point.longitude, bearing, distanceKm);
+    }
+    time = report;
+
+    positions.unshift({
+      balloonId,
+      latitude: Math.round(point.latitude * 10000) / 10000,
+      longitude: Math.round(point.longitude * 10000) / 10000,
+      altitude: launch.altitude,
+      pressure,
+      oceanBasin: getOceanBasin(point.latitude, point.longitude),
+      hour: Math.round((endTime - report) / HOUR_MS),
+      timestamp: report,
+      validTime: new Date(report).toISOString(),
+      synthetic: true
+    });
+  }
+
+  return positions;
+}
+
+/**
+ * Balloon data with the scenario's synthetic balloons added
+ *
+ * @returns {Object} { balloonData, tracks }
+ */
+function applyLaunches(balloonData, scenario) {
+  if (scenario.launches.length === 0) return { balloonData, tracks: [] };
+
+  const endTime = balloonData.balloons.reduce((max, pos) => Math.max(max, pos.timestamp), -Infinity);
+  if (!Number.isFinite(endTime)) throw badRequest('No balloon data to simulate launches against');
+
+  const windowHours = balloonData.totalRequests || 24;
+  const startTime = endTime - (windowHours - 1) * HOUR_MS;
+  const field = getWindField(balloonData);
+  const tracks = [];
+
+  scenario.launches.forEach((launch, site) => {
+    for (let i = 0; i < launch.count; i++) {
+      const launchTime = startTime + (i * (endTime - startTime)) / launch.count;
+      const balloonId = `scenario-${site + 1}-${i + 1}`;
+      const positions = simulateTrack(launch, balloonId, launchTime, endTime, field);
+      if (positions.length > 0) tracks.push({ balloonId, launchSite: launch.name, positions });
+    }
+  });
+
+  const paths = tracks.map(track => track.positions);
+
+  return {
+    balloonData: {
+      ...balloonData,
+      balloons: [...balloonData.balloons, ...paths.flat()],
+      balloonPaths: [...balloonData.balloonPaths, ...paths],
+      uniqueBalloonCount: balloonData.uniqueBalloonCount + paths.length,
+      // Every synthetic balloon is still flying at the end of the window
+      activeBalloonCount: balloonData.activeBalloonCount + paths.length
+    },
+    tracks
+  };
+}
+
+/**
+ * Cached baselines and results for one balloon data / station catalog pair
+ *
+ * Both go away with the snapshot (or archived range) they were computed from.
+ *
+ * @returns {Object} { baselines: Map(radiusKm -> summary), results: Map(key -> result) }
+ */
+function getScenarioCache(balloonData, stations) {
+  if (!scenarioCaches.has(balloonData)) scenarioCaches.set(balloonData, new WeakMap());
+  const byStations = scenarioCaches.get(balloonData);
+  if (!byStations.has(stations)) byStations.set(stations, { baselines: new Map(), results: new Map() });
+  return byStations.get(stations);
+}
+
+function summarize(balloonData, stations, radiusKm) {
+  return {
+    ...calculateCoverageStats(balloonData, stations, { radiusKm }),
+    areaCoverage: calculateAreaCoverage(balloonData, stations, { radiusKm })
+  };
+}
+
+/**
+ * Run a scenario against balloon data and a station catalog
+ *
+ * Every run rebuilds the station index and area coverage synchronously, so results
+ * are cached by normalized scenario (see SCENARIO_CACHE_SIZE) and the baseline is
+ * computed once per radius. Callers must not modify the result.
+ *
+ * @param {Object} balloonData - Result of fetchConstellationData() or loadArchivedRange()
+ * @param {Array} stations - Weather stations the baseline is measured against
+ * @param {Object} scenario - Result of parseScenario()
+ * @param {Object} options
+ * @param {number} options.radiusKm - Coverage gap radius (default: 200)
+ * @returns {Object} { changes, metrics: [{ id, label, unit, baseline, scenario, delta }],
+ *   addedStations, syntheticTracks }
+ */
+function runScenario(balloonData, stations, scenario, { radiusKm = DEFAULT_COVERAGE_RADIUS_KM } = {}) {
+  const cache = getScenarioCache(balloonData, stations);
+  // The name is only a label, so renamed scenarios share a result
+  const key = JSON.stringify({ ...scenario, name: null, radiusKm });
+  if (cache.results.has(key)) return cache.results.get(key);
+
+  const start = Date.now();
+  const stationChanges = applyStationChanges(stations, scenario);
+  const launched = applyLaunches(balloonData, scenario);
+
+  if (!cache.baselines.has(radiusKm)) cache.baselines.set(radiusKm, summarize(balloonData, stations, radiusKm));
+  const baseline = cache.baselines.get(radiusKm);
+  const result = summarize(launched.balloonData, stationChanges.stations, radiusKm);
+
+  const metrics = SCENARIO_METRICS.map(({ id, label, unit, value }) => {
+    const before = value(baseline);
+    const after = value(result);
+    const precision = unit === '%' ? 10 : 1;
+    return { id, label, unit, baseline: before, scenario: after, delta: Math.round((after - before) * precision) / precision };
+  });
+
+  console.log(`✓ Scenario${scenario.name ? ` "${scenario.name}"` : ''} evaluated in ${Date.now() - start}ms`);
+
+  const evaluated = {
+    changes: {
+      stationsRemoved: stationChanges.removed,
+      stationsAdded: stationChanges.added.length,
+      balloonsLaunched: launched.tracks.length,
+      positionsAdded: launched.tracks.reduce((sum, track) => sum + track.positions.length, 0)
+    },
+    metrics,
+    addedStations: stationChanges.added,
+    syntheticTracks: launched.tracks
+  };
+
+  cache.results.set(key, evaluated);
+  if (cache.results.size > SCENARIO_CACHE_SIZE) cache.results.delete(cache.results.keys().next().value);
+  return evaluated;
+}
+
+module.exports = {
+  parseScenario,
+  runScenario
+};
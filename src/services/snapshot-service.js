@@ -0,0 +1,201 @@
+/**
+ * Snapshot Service
+ * Keeps one shared, pre-computed constellation snapshot for every API endpoint
+ *
+ * A scheduler refreshes the snapshot on a fixed interval. Requests never wait
+ * on the upstream once a snapshot exists: if it is older than the configured
+ * max age, the stale copy is served while a refresh runs in the background
+ * (stale-while-revalidate). Concurrent refreshes share a single in-flight fetch.
+ */
+
+const config = require('../config');
+const { fetchConstellationData } = require('./windborne-service');
+const { calculateCoverageStats } = require('./coverage-service');
+const { calculateAreaCoverage } = require('./grid-service');
+const { archiveHourlyData } = require('./archive-service');
+const {
+  recordLifecycleEvents,
+  getLifecycleEvents,
+  countEventsByDay
+} = require('./lifecycle-service');
+
+const store = {
+  stations: [],
+  networks: null,
+  current: null,
+  version: 0,
+  pending: null,
+  timer: null,
+  lastError: null
+};
+
+/**
+ * Provide the station catalogs the snapshot statistics are computed against
+ *
+ * @param {Object} options
+ * @param {Array} options.stations - Surface stations loaded at startup
+ * @param {Object} options.networks - Every loaded network ({ network: stations }), compared side by side
+ */
+function configureSnapshotStore({ stations, networks }) {
+  store.stations = stations || [];
+  store.networks = networks || null;
+}
+
+/**
+ * Fetch upstream data and compute a new snapshot
+ *
+ * Calls made while a refresh is already running receive the same promise,
+ * so the upstream is hit at most once per refresh.
+ *
+ * @returns {Promise<Object>} The newly built snapshot
+ */
+function refreshSnapshot() {
+  if (store.pending) return store.pending;
+
+  store.pending = (async () => {
+    try {
+      const startTime = Date.now();
+      const balloonData = await fetchConstellationData();
+      const statistics = calculateCoverageStats(balloonData, store.stations, { networks: store.networks });
+      statistics.areaCoverage = calculateAreaCoverage(balloonData, store.stations);
+
+      // Lifecycle counts come from the running event feed, which outlives the 24-hour window
+      const newEvents = recordLifecycleEvents(balloonData);
+      statistics.lifecycle = countEventsByDay(getLifecycleEvents());
+
+      store.version++;
+      store.current = {
+        version: store.version,
+        generatedAt: new Date().toISOString(),
+        generatedAtMs: Date.now(),
+        buildTimeMs: Date.now() - startTime,
+        balloonData,
+        statistics
+      };
+      store.lastError = null;
+
+      console.log(`✓ Snapshot v${store.version} ready in ${store.current.buildTimeMs}ms${newEvents.length ? ` (${newEvents.length} new lifecycle events)` : ''}`);
+
+      if (config.archive.enabled) {
+        archiveHourlyData(balloonData)
+          .then(({ written }) => {
+            if (written > 0) console.log(`✓ Archived ${written} new or updated hour(s)`);
+          })
+          .catch((error) => {
+            console.error('Failed to archive hourly data:', error.message);
+          });
+      }
+      return store.current;
+    } catch (error) {
+      store.lastError = error;
+      throw error;
+    } finally {
+      store.pending = null;
+    }
+  })();
+
+  return store.pending;
+}
+
+/**
+ * Get the current snapshot, building the first one on demand
+ *
+ * @returns {Promise<Object>} Current snapshot (possibly stale)
+ */
+async function getSnapshot() {
+  if (!store.current) {
+    return refreshSnapshot();
+  }
+
+  if (getSnapshotAge(store.current) > config.snapshot.maxAgeMs && !store.pending) {
+    console.log(`Snapshot v${store.current.version} is stale, revalidating in background...`);
+    refreshSnapshot().catch((error) => {
+      console.error('Background snapshot refresh failed:', error.message);
+    });
+  }
+
+  return store.current;
+}
+
+/**
+ * Age of a snapshot in milliseconds
+ */
+function getSnapshotAge(snapshot) {
+  return Date.now() - snapshot.generatedAtMs;
+}
+
+/**
+ * Summarize snapshot freshness for API responses
+ *
+ * @param {Object} snapshot - Snapshot returned by getSnapshot()
+ * @returns {Object} Version, generation time, age and staleness flags
+ */
+function describeSnapshot(snapshot) {
+  const ageMs = getSnapshotAge(snapshot);
+
+  return {
+    version: snapshot.version,
+    generatedAt: snapshot.generatedAt,
+    validTime: snapshot.balloonData.validTime,
+    validTimeRange: snapshot.balloonData.validTimeRange,
+    ageSeconds: Math.round(ageMs / 1000),
+    stale: ageMs > config.snapshot.maxAgeMs,
+    refreshing: Boolean(store.pending)
+  };
+}
+
+/**
+ * Current store state for health checks
+ */
+function getSnapshotStatus() {
+  return {
+    ready: Boolean(store.current),
+    version: store.version,
+    ageSeconds: store.current ? Math.round(getSnapshotAge(store.current) / 1000) : null,
+    refreshing: Boolean(store.pending),
+    lastError: store.lastError ? store.lastError.message : null
+  };
+}
+
+/**
+ * Start refreshing the snapshot on a fixed interval
+ *
+ * Builds the first snapshot immediately so the first request doesn't pay for it.
+ *
+ * @param {number} intervalMs - Refresh interval (default: config value)
+ */
+function startRefreshScheduler(intervalMs = config.snapshot.refreshIntervalMs) {
+  stopRefreshScheduler();
+
+  const runRefresh = () => {
+    refreshSnapshot().catch((error) => {
+      console.error('Scheduled snapshot refresh failed:', error.message);
+    });
+  };
+
+  runRefresh();
+  store.timer = setInterval(runRefresh, intervalMs);
+  store.timer.unref();
+
+  console.log(`✓ Snapshot refresh scheduled every ${Math.round(intervalMs / 1000)}s`);
+}
+
+/**
+ * Stop the refresh scheduler
+ */
+function stopRefreshScheduler() {
+  if (store.timer) {
+    clearInterval(store.timer);
+    store.timer = null;
+  }
+}
+
+module.exports = {
+  configureSnapshotStore,
+  refreshSnapshot,
+  getSnapshot,
+  describeSnapshot,
+  getSnapshotStatus,
+  startRefreshScheduler,
+  stopRefreshScheduler
+};
@@ -0,0 +1,225 @@
+/**
+ * Hourly Data Source Service
+ * Pluggable sources for the 24 hourly constellation files (00.json - 23.json)
+ *
+ * Every source exposes the same interface, so fetchConstellationData() doesn't
+ * care where the bytes come from:
+ * - describe()        → { type, location } for logging and API responses
+ * - fetchHour(hour)   → { hour, ok, status, body (Buffer), fetchedAt }
+ * - beginFetch() / endFetch() (optional) → called around each full 24-hour fetch
+ *
+ * Available sources:
+ * - http:      any base URL serving HH.json (defaults to the live treasure endpoint),
+ *              wrapped with retries and a circuit breaker (see resilience-service.js)
+ * - directory: a local folder of HH.json files, or a session recorded by record mode
+ *
+ * Record mode wraps another source and saves every response byte-for-byte into a
+ * timestamped session directory with a manifest.json, which the directory source
+ * can replay later - including the HTTP failures and network errors that happened.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+
+const { createResilientSource } = require('./resilience-service');
+
+const DEFAULT_BASE_URL = 'https://a.windbornesystems.com/treasure';
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Create a source that fetches hourly files over HTTP
+ *
+ * @param {string} baseUrl - Base URL serving 00.json through 23.json
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Per-request timeout (default: 5000)
+ * @returns {Object} Hourly data source
+ */
+function createHttpSource(baseUrl = DEFAULT_BASE_URL, { timeoutMs = 5000 } = {}) {
+  const base = baseUrl.replace(/\/+$/, '');
+
+  return {
+    describe() {
+      return { type: 'http', location: base };
+    },
+
+    async fetchHour(hour) {
+      const fetchedAt = new Date().toISOString();
+      const response = await fetch(`${base}/${hour}.json`, { timeout: timeoutMs });
+      const body = await response.buffer();
+
+      return { hour, ok: response.ok, status: response.status, body, fetchedAt };
+    }
+  };
+}
+
+/**
+ * Create a source that reads hourly files from a local directory
+ *
+ * If the directory holds a recorded session (manifest.json), recorded failures
+ * are replayed as they happened and the original fetch times are preserved.
+ *
+ * @param {string} directory - Directory containing HH.json files
+ * @returns {Object} Hourly data source
+ */
+function createDirectorySource(directory) {
+  const root = path.resolve(directory);
+
+  // Read once per full fetch (see beginFetch()), not for each of its hours
+  let cachedManifest;
+
+  const getManifest = () => {
+    if (cachedManifest === undefined) {
+      const manifestPath = path.join(root, MANIFEST_FILE);
+      cachedManifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null;
+    }
+    return cachedManifest;
+  };
+
+  return {
+    describe() {
+      const manifest = getManifest();
+      return {
+        type: 'directory',
+        location: root,
+        recorded: Boolean(manifest),
+        recordedAt: manifest ? manifest.startedAt : null
+      };
+    },
+
+    beginFetch() {
+      // Pick up a session recorded into the directory since the last fetch
+      cachedManifest = undefined;
+    },
+
+    async fetchHour(hour) {
+      const manifest = getManifest();
+      const entry = manifest && manifest.hours ? manifest.hours[hour] : null;
+      const filePath = path.join(root, `${hour}.json`);
+
+      if (entry && entry.error) {
+        // Replay the recorded failure, keeping its classification
+        const error = new Error(entry.error);
+        if (entry.errorType) error.type = entry.errorType;
+        if (entry.status) error.status = entry.status;
+        throw error;
+      }
+
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+      }
+
+      const body = await fs.promises.readFile(filePath);
+      const fetchedAt = entry ? entry.fetchedAt : (await fs.promises.stat(filePath)).mtime.toISOString();
+
+      if (entry) {
+        return { hour, ok: entry.ok, status: entry.status, body, fetchedAt };
+      }
+
+      return { hour, ok: true, status: 200, body, fetchedAt };
+    }
+  };
+}
+
+/**
+ * Wrap a source so every fetch is saved for later replay
+ *
+ * Each full fetch goes into its own session directory under recordDir, named
+ * after the time it started. Bodies are written exactly as received.
+ *
+ * @param {Object} source - Source to record (usually the HTTP source)
+ * @param {string} recordDir - Parent directory for recorded sessions
+ * @returns {Object} Hourly data source
+ */
+function createRecordingSource(source, recordDir) {
+  const root = path.resolve(recordDir);
+  let session = null;
+
+  const startSession = () => {
+    const startedAt = new Date().toISOString();
+    const directory = path.join(root, startedAt.replace(/[:.]/g, '-'));
+    fs.mkdirSync(directory, { recursive: true });
+    session = { directory, manifest: { source: source.describe(), startedAt, hours: {} } };
+  };
+
+  return {
+    describe() {
+      return { ...source.describe(), recordingTo: root };
+    },
+
+    beginFetch() {
+      if (source.beginFetch) source.beginFetch();
+      startSession();
+    },
+
+    async fetchHour(hour) {
+      if (!session) startSession();
+      const { directory, manifest } = session;
+
+      try {
+        const result = await source.fetchHour(hour);
+        await fs.promises.writeFile(path.join(directory, `${hour}.json`), result.body);
+        manifest.hours[hour] = { ok: result.ok, status: result.status, fetchedAt: result.fetchedAt };
+        return result;
+      } catch (error) {
+        manifest.hours[hour] = {
+          error: error.message || 'Unknown error',
+          errorType: error.type,
+          status: error.status,
+          fetchedAt: new Date().toISOString()
+        };
+        throw error;
+      }
+    },
+
+    endFetch() {
+      if (!session) return;
+      const { directory, manifest } = session;
+      manifest.finishedAt = new Date().toISOString();
+      fs.writeFileSync(path.join(directory, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+      console.log(`✓ Recorded session to ${directory}`);
+      session = null;
+    }
+  };
+}
+
+/**
+ * Build the source described by the application config
+ *
+ * @param {Object} sourceConfig - config.source
+ * @returns {Object} Hourly data source
+ */
+function createSourceFromConfig(sourceConfig) {
+  let source;
+
+  switch (sourceConfig.type) {
+    case 'http':
+      source = createResilientSource(
+        createHttpSource(sourceConfig.baseUrl || DEFAULT_BASE_URL, { timeoutMs: sourceConfig.timeoutMs }),
+        sourceConfig.resilience
+      );
+      break;
+    case 'directory':
+      if (!sourceConfig.directory) {
+        throw new Error('WINDBORNE_SOURCE=directory requires WINDBORNE_SOURCE_DIR');
+      }
+      source = createDirectorySource(sourceConfig.directory);
+      break;
+    default:
+      throw new Error(`Unknown WindBorne source type: ${sourceConfig.type}`);
+  }
+
+  if (sourceConfig.recordDir) {
+    source = createRecordingSource(source, sourceConfig.recordDir);
+  }
+
+  return source;
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  createHttpSource,
+  createDirectorySource,
+  createRecordingSource,
+  createSourceFromConfig
+};
@@ -0,0 +1,88 @@
+/**
+ * Station Service
+ * Surface and upper-air station catalogs, loaded once at startup
+ *
+ * - surface:   NOAA ISD stations (scripts/fetch-stations.js)
+ * - upper-air: IGRA radiosonde launch sites (scripts/parse-upper-air-stations.js)
+ * - both:      the two catalogs together
+ *
+ * Balloons fly at 10 - 20 km, where the fair comparison is the radiosonde network
+ * rather than surface stations, so coverage can be computed against either.
+ * Every station carries the catalog it came from as `network`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+const STATION_NETWORKS = ['surface', 'upper-air', 'both'];
+
+const CATALOGS = [
+  { network: 'surface', file: 'weather-stations.json', label: 'weather stations from NOAA ISD', script: 'fetch-stations' },
+  { network: 'upper-air', file: 'upper-air-stations.json', label: 'upper-air stations from IGRA', script: 'parse-upper-air-stations' }
+];
+
+const catalogs = {
+  surface: [],
+  'upper-air': [],
+  both: []
+};
+
+/**
+ * Read every catalog from data/, warning about any that are missing
+ *
+ * @returns {Object} Station count per network
+ */
+function loadStationCatalogs() {
+  CATALOGS.forEach(({ network, file, label, script }) => {
+    const filePath = path.join(DATA_DIR, file);
+
+    if (!fs.existsSync(filePath)) {
+      console.warn(`⚠ ${file} not found.`);
+      console.warn(`  Run: npm run ${script}`);
+      console.warn('  Using empty dataset for now.');
+      catalogs[network] = [];
+      return;
+    }
+
+    catalogs[network] = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      .map(station => ({ ...station, network }));
+    console.log(`✓ Loaded ${catalogs[network].length.toLocaleString()} ${label}`);
+  });
+
+  catalogs.both = [...catalogs.surface, ...catalogs['upper-air']];
+
+  return Object.fromEntries(STATION_NETWORKS.map(network => [network, catalogs[network].length]));
+}
+
+/**
+ * Stations of one network
+ *
+ * The same array is returned on every call, so indexes built over it are reused.
+ *
+ * @param {string} network - "surface" (default), "upper-air" or "both"
+ * @returns {Array} Stations
+ */
+function getStations(network = 'surface') {
+  return catalogs[network];
+}
+
+/**
+ * Every network that has stations loaded ("both" only when both catalogs are)
+ *
+ * @returns {Object} { network: stations }
+ */
+function getStationNetworks() {
+  const loaded = CATALOGS.filter(({ network }) => catalogs[network].length > 0).map(({ network }) => network);
+  if (loaded.length === CATALOGS.length) loaded.push('both');
+
+  return Object.fromEntries(loaded.map(network => [network, catalogs[network]]));
+}
+
+module.exports = {
+  STATION_NETWORKS,
+  loadStationCatalogs,
+  getStations,
+  getStationNetworks
+};
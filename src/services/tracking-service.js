@@ -0,0 +1,441 @@
+/**
+ * Trajectory Tracking Service
+ * Associates hourly positions into balloon tracks and gives each track a stable ID
+ *
+ * The upstream has no balloon IDs, so tracks are reconstructed from positions
+ * alone. Observations are grouped by valid time (position.timestamp, always on
+ * the hour) and processed oldest to newest; each hour-to-hour step is solved
+ * as a global assignment problem (Hungarian algorithm) between the ends of the
+ * active tracks and the new hour's positions, so one balloon can't "steal" the
+ * best match of its neighbour the way a greedy nearest-point search does.
+ *
+ * - Cost of a link combines great-circle distance and altitude change, both
+ *   normalized by how far a balloon can plausibly move in the elapsed time
+ * - Links outside those limits are never considered (gating)
+ * - Positions left unassigned start new tracks, and tracks left unassigned
+ *   simply stop, so balloons can appear and disappear mid-window
+ * - A track may skip up to maxGapHours missing hours
+ *
+ * Stable IDs: a track inherits the ID of the previous refresh's track that shares
+ * the most observations with it (hourly files overlap between refreshes). Tracks
+ * with no predecessor get a deterministic ID hashed from their oldest observation,
+ * so the same data yields the same IDs even after a restart.
+ */
+
+const { calculateDistance } = require('../utils/geo');
+
+const HOUR_MS = 3600000;
+
+const DEFAULT_TRACKING_OPTIONS = {
+  // Jet-stream level winds rarely exceed ~250 km/h; leave headroom for noisy fixes
+  maxSpeedKmPerHour: 300,
+  // Altitude-controlled balloons climb or descend a few km per hour at most
+  maxAltitudeChangeKmPerHour: 6,
+  // Bridge up to this many missing hours (e.g. an hour file that failed to load)
+  maxGapHours: 3,
+  // Extra cost per skipped hour, so contiguous links win over bridged ones
+  gapPenalty: 0.25,
+  // Components larger than this fall back to greedy matching to bound runtime (O(n³))
+  maxComponentSize: 600
+};
+
+const FORBIDDEN_COST = 1e9;
+
+/**
+ * Cost of leaving a track end or a position unassigned
+ *
+ * A gated link costs at most 2 (distance and altitude terms, 1 each) plus the
+ * gap penalty of the longest bridge. Leaving both sides unassigned must cost
+ * more than that, so plausible links are always taken.
+ */
+function getUnassignedCost(options) {
+  const maxLinkCost = 2 + options.gapPenalty * (options.maxGapHours - 1);
+  return maxLinkCost / 2 + 1e-6;
+}
+
+/**
+ * Solve a square assignment problem (Hungarian algorithm, O(n³))
+ *
+ * @param {Array<Float64Array>} cost - n×n cost matrix
+ * @returns {Int32Array} Column assigned to each row
+ */
+function solveAssignment(cost) {
+  const n = cost.length;
+  const u = new Float64Array(n + 1);
+  const v = new Float64Array(n + 1);
+  const p = new Int32Array(n + 1); // p[j] = row matched to column j (1-indexed, 0 = none)
+  const way = new Int32Array(n + 1);
+  const minv = new Float64Array(n + 1);
+  const used = new Uint8Array(n + 1);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    minv.fill(Infinity);
+    used.fill(0);
+
+    do {
+      used[j0] = 1;
+      const i0 = p[j0];
+      const row = cost[i0 - 1];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+        const reduced = row[j - 1] - u[i0] - v[j];
+        if (reduced < minv[j]) {
+          minv[j] = reduced;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+
+      j0 = j1;
+    } while (p[j0] !== 0);
+
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const assignment = new Int32Array(n);
+  for (let j = 1; j <= n; j++) {
+    if (p[j]) assignment[p[j] - 1] = j - 1;
+  }
+  return assignment;
+}
+
+/**
+ * Optimal matching between track ends (rows) and positions (columns) of one component
+ *
+ * The matrix is padded so every row and column may also stay unassigned:
+ *   [ link costs        | row-unassigned diagonal ]
+ *   [ col-unassigned    | zeros                   ]
+ *
+ * @param {Array<number>} rows - Track indices
+ * @param {Array<number>} cols - Position indices
+ * @param {Map<string, number>} edgeCosts - "row:col" → cost for gated links
+ * @param {number} unassignedCost - Result of getUnassignedCost()
+ * @returns {Array<Array<number>>} Matched [row, col] pairs
+ */
+function matchComponent(rows, cols, edgeCosts, unassignedCost) {
+  const R = rows.length;
+  const C = cols.length;
+  const n = R + C;
+  const cost = Array.from({ length: n }, () => new Float64Array(n).fill(FORBIDDEN_COST));
+
+  rows.forEach((row, i) => {
+    cols.forEach((col, j) => {
+      const edge = edgeCosts.get(`${row}:${col}`);
+      if (edge !== undefined) cost[i][j] = edge;
+    });
+    cost[i][C + i] = unassignedCost;
+  });
+
+  cols.forEach((col, j) => {
+    cost[R + j][j] = unassignedCost;
+    for (let i = 0; i < R; i++) cost[R + j][C + i] = 0;
+  });
+
+  const assignment = solveAssignment(cost);
+  const pairs = [];
+
+  for (let i = 0; i < R; i++) {
+    const j = assignment[i];
+    if (j < C && cost[i][j] < FORBIDDEN_COST) {
+      pairs.push([rows[i], cols[j]]);
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Greedy cheapest-link-first matching, used only for oversized components
+ */
+function matchGreedy(edges) {
+  const usedRows = new Set();
+  const usedCols = new Set();
+  const pairs = [];
+
+  [...edges].sort((a, b) => a.cost - b.cost).forEach((edge) => {
+    if (usedRows.has(edge.row) || usedCols.has(edge.col)) return;
+    usedRows.add(edge.row);
+    usedCols.add(edge.col);
+    pairs.push([edge.row, edge.col]);
+  });
+
+  return pairs;
+}
+
+/**
+ * Split the gated link graph into independent connected components
+ *
+ * @returns {Array<Object>} Components as { rows, cols, edges }
+ */
+function findComponents(edges) {
+  const parent = new Map();
+  const find = (key) => {
+    let root = key;
+    while (parent.get(root) !== root) root = parent.get(root);
+    while (parent.get(key) !== root) {
+      const next = parent.get(key);
+      parent.set(key, root);
+      key = next;
+    }
+    return root;
+  };
+
+  edges.forEach(({ row, col }) => {
+    const rowKey = `r${row}`;
+    const colKey = `c${col}`;
+    if (!parent.has(rowKey)) parent.set(rowKey, rowKey);
+    if (!parent.has(colKey)) parent.set(colKey, colKey);
+    parent.set(find(rowKey), find(colKey));
+  });
+
+  const components = new Map();
+  edges.forEach((edge) => {
+    const root = find(`r${edge.row}`);
+    if (!components.has(root)) components.set(root, { rows: new Set(), cols: new Set(), edges: [] });
+    const component = components.get(root);
+    component.rows.add(edge.row);
+    component.cols.add(edge.col);
+    component.edges.push(edge);
+  });
+
+  return [...components.values()].map(component => ({
+    rows: [...component.rows],
+    cols: [...component.cols],
+    edges: component.edges
+  }));
+}
+
+/**
+ * Cost of linking a track end to a new position, or null if the link is implausible
+ */
+function linkCost(from, to, gapHours, options) {
+  const maxDistance = options.maxSpeedKmPerHour * gapHours;
+  const maxAltitudeChange = options.maxAltitudeChangeKmPerHour * gapHours;
+
+  // Cheap latitude pre-check before the full great-circle distance
+  if (Math.abs(from.latitude - to.latitude) * 111 > maxDistance) return null;
+
+  const altitudeChange = Math.abs(to.altitude - from.altitude);
+  if (altitudeChange > maxAltitudeChange) return null;
+
+  const distance = calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+  if (distance > maxDistance) return null;
+
+  const d = distance / maxDistance;
+  const a = altitudeChange / maxAltitudeChange;
+  return d * d + a * a + options.gapPenalty * (gapHours - 1);
+}
+
+/**
+ * Associate positions into tracks
+ *
+ * @param {Array} positions - Balloon positions with latitude, longitude, altitude and timestamp (valid time)
+ * @param {Object} options - Overrides for DEFAULT_TRACKING_OPTIONS
+ * @returns {Array<Array>} Tracks as position arrays, most recent observation first
+ */
+function associateTracks(positions, options = {}) {
+  const settings = { ...DEFAULT_TRACKING_OPTIONS, ...options };
+  if (positions.length === 0) return [];
+  const unassignedCost = getUnassignedCost(settings);
+
+  const byTime = new Map();
+  positions.forEach((pos) => {
+    if (!byTime.has(pos.timestamp)) byTime.set(pos.timestamp, []);
+    byTime.get(pos.timestamp).push(pos);
+  });
+
+  // Oldest valid time first
+  const times = [...byTime.keys()].sort((a, b) => a - b);
+  const tracks = [];
+
+  times.forEach((time) => {
+    const current = byTime.get(time);
+    const active = [];
+
+    tracks.forEach((track, index) => {
+      const last = track[track.length - 1];
+      if ((time - last.timestamp) / HOUR_MS <= settings.maxGapHours) active.push(index);
+    });
+
+    // Gated candidate links between active track ends and this hour's positions
+    const edges = [];
+    active.forEach((trackIndex) => {
+      const track = tracks[trackIndex];
+      const last = track[track.length - 1];
+      const gapHours = (time - last.timestamp) / HOUR_MS;
+
+      current.forEach((pos, posIndex) => {
+        const cost = linkCost(last, pos, gapHours, settings);
+        if (cost !== null) edges.push({ row: trackIndex, col: posIndex, cost });
+      });
+    });
+
+    const assigned = new Set();
+
+    findComponents(edges).forEach((component) => {
+      let pairs;
+
+      if (component.rows.length + component.cols.length > settings.maxComponentSize) {
+        console.warn(`⚠ Tracking: ${component.rows.length}×${component.cols.length} component at ${new Date(time).toISOString()} too large for optimal matching, using greedy`);
+        pairs = matchGreedy(component.edges);
+      } else {
+        const edgeCosts = new Map(component.edges.map(edge => [`${edge.row}:${edge.col}`, edge.cost]));
+        pairs = matchComponent(component.rows, component.cols, edgeCosts, unassignedCost);
+      }
+
+      pairs.forEach(([trackIndex, posIndex]) => {
+        tracks[trackIndex].push(current[posIndex]);
+        assigned.add(posIndex);
+      });
+    });
+
+    // Anything not linked starts a new track
+    current.forEach((pos, posIndex) => {
+      if (!assigned.has(posIndex)) tracks.push([pos]);
+    });
+  });
+
+  // Most recent observation first, matching the hour ordering used elsewhere
+  return tracks.map(track => track.reverse());
+}
+
+/**
+ * Identity of a single observation, independent of which refresh it came from
+ */
+function observationKey(pos) {
+  return `${pos.timestamp},${pos.latitude},${pos.longitude},${pos.altitude}`;
+}
+
+/**
+ * Short deterministic ID from a string (32-bit FNV-1a)
+ */
+function hashId(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `WB-${(hash >>> 0).toString(16).toUpperCase().padStart(8, '0')}`;
+}
+
+/**
+ * Give every track a stable ID and tag its positions with it
+ *
+ * @param {Array<Array>} tracks - Tracks from associateTracks()
+ * @param {Map<string, string>} previousIndex - Observation key → track ID from the previous refresh
+ * @returns {Object} { tracks: [{ id, positions }], index } where index feeds the next refresh
+ */
+function assignStableIds(tracks, previousIndex = new Map()) {
+  // Count, per track, how many observations each previous ID accounts for
+  const claims = [];
+  tracks.forEach((track, trackIndex) => {
+    const votes = new Map();
+    track.forEach((pos) => {
+      const previousId = previousIndex.get(observationKey(pos));
+      if (previousId) votes.set(previousId, (votes.get(previousId) || 0) + 1);
+    });
+    votes.forEach((count, id) => claims.push({ trackIndex, id, count }));
+  });
+
+  // Strongest overlap wins when a track split or two tracks claim the same predecessor
+  const ids = new Array(tracks.length).fill(null);
+  const taken = new Set();
+  claims
+    .sort((a, b) => b.count - a.count || a.trackIndex - b.trackIndex)
+    .forEach(({ trackIndex, id }) => {
+      if (ids[trackIndex] || taken.has(id)) return;
+      ids[trackIndex] = id;
+      taken.add(id);
+    });
+
+  const index = new Map();
+  const result = tracks.map((track, trackIndex) => {
+    let id = ids[trackIndex];
+
+    if (!id) {
+      const oldest = track[track.length - 1];
+      id = hashId(observationKey(oldest));
+      for (let suffix = 2; taken.has(id); suffix++) {
+        id = `${hashId(observationKey(oldest))}-${suffix}`;
+      }
+      taken.add(id);
+    }
+
+    track.forEach((pos) => {
+      pos.balloonId = id;
+      index.set(observationKey(pos), id);
+    });
+
+    return { id, positions: track };
+  });
+
+  return { tracks: result, index };
+}
+
+/**
+ * Compact description of a track for API responses
+ */
+function summarizeTrack({ id, positions }) {
+  const latest = positions[0];
+  const oldest = positions[positions.length - 1];
+
+  return {
+    id,
+    observations: positions.length,
+    firstHour: oldest.hour,
+    lastHour: latest.hour,
+    firstValidTime: oldest.validTime,
+    lastValidTime: latest.validTime,
+    latest: { latitude: latest.latitude, longitude: latest.longitude, altitude: latest.altitude }
+  };
+}
+
+/**
+ * Associate positions into tracks with stable IDs and summarize them
+ *
+ * @param {Array} positions - Balloon positions
+ * @param {Map<string, string>} previousIndex - ID index from the previous run (see assignStableIds)
+ * @returns {Object} { balloonPaths, tracks, uniqueBalloonCount, activeBalloonCount, index }
+ */
+function reconstructTracks(positions, previousIndex) {
+  const { tracks, index } = assignStableIds(associateTracks(positions), previousIndex);
+  const latestTime = positions.reduce((max, pos) => Math.max(max, pos.timestamp), -Infinity);
+
+  return {
+    balloonPaths: tracks.map(track => track.positions),
+    tracks: tracks.map(summarizeTrack),
+    uniqueBalloonCount: tracks.length,
+    // Balloons still reporting at the most recent valid time
+    activeBalloonCount: tracks.filter(track => track.positions[0].timestamp === latestTime).length,
+    index
+  };
+}
+
+module.exports = {
+  DEFAULT_TRACKING_OPTIONS,
+  solveAssignment,
+  associateTracks,
+  assignStableIds,
+  reconstructTracks
+};
@@ -0,0 +1,155 @@
+/**
+ * Position Validation Service
+ * Range checks for parsed balloon positions, with a reason code for every rejection
+ *
+ * Works together with the parser: the parser rejects entries that aren't
+ * numeric triples (wrong types, too few values, NaN...), this service rejects
+ * triples that are numeric but physically impossible. Both sets of rejections
+ * are kept per hour so we can tell bad upstream data from bad validation.
+ */
+
+const { PARSE_REJECTION_REASONS } = require('./parser-service');
+
+const VALIDATION_REASONS = {
+  LATITUDE_OUT_OF_RANGE: 'latitude_out_of_range',
+  LONGITUDE_OUT_OF_RANGE: 'longitude_out_of_range',
+  NEGATIVE_ALTITUDE: 'negative_altitude'
+};
+
+// Every reason code a position can be rejected with, parser and validation combined
+const REJECTION_REASONS = Object.values({ ...PARSE_REJECTION_REASONS, ...VALIDATION_REASONS });
+
+/**
+ * Check a numeric [lat, lon, alt] triple
+ *
+ * @param {Array} values - [latitude, longitude, altitude in km]
+ * @returns {string|null} Reason code from VALIDATION_REASONS, or null if valid
+ */
+function validatePosition([lat, lon, alt]) {
+  if (lat < -90 || lat > 90) return VALIDATION_REASONS.LATITUDE_OUT_OF_RANGE;
+  if (lon < -180 || lon > 180) return VALIDATION_REASONS.LONGITUDE_OUT_OF_RANGE;
+  if (alt < 0) return VALIDATION_REASONS.NEGATIVE_ALTITUDE;
+  return null;
+}
+
+/**
+ * Total rejection counts across all hours
+ *
+ * Accepted positions are counted per hour, before duplicates across hours are
+ * removed, so acceptedPositions + rejectedPositions = totalEntries.
+ *
+ * @param {Object} balloonData - Result of fetchConstellationData()
+ * @returns {Object} { totalEntries, acceptedPositions, rejectedPositions, duplicatesRemoved, rejectionReasons, recoveredHours }
+ */
+function summarizeRejections(balloonData) {
+  const rejectionReasons = {};
+  let rejectedPositions = 0;
+  let totalEntries = 0;
+
+  Object.values(balloonData.rejectionCounts || {}).forEach((counts) => {
+    Object.entries(counts).forEach(([reason, count]) => {
+      rejectionReasons[reason] = (rejectionReasons[reason] || 0) + count;
+      rejectedPositions += count;
+    });
+  });
+
+  Object.values(balloonData.parseReports || {}).forEach((report) => {
+    totalEntries += report.totalEntries;
+  });
+
+  const recoveredHours = Object.values(balloonData.parseReports || {})
+    .filter(report => report.recovered)
+    .length;
+
+  const acceptedPositions = Object.values(balloonData.hourlyData || {})
+    .reduce((sum, positions) => sum + positions.length, 0);
+
+  return {
+    totalEntries,
+    acceptedPositions,
+    rejectedPositions,
+    duplicatesRemoved: balloonData.duplicatesRemoved || 0,
+    rejectionReasons,
+    recoveredHours
+  };
+}
+
+/**
+ * Build the full per-hour data quality report
+ *
+ * @param {Object} balloonData - Result of fetchConstellationData()
+ * @param {Object} filters
+ * @param {string} filters.hour - Only include rejected records from this hour ("00" - "23")
+ * @param {string} filters.reason - Only include rejected records with this reason code
+ * @param {number} filters.limit - Maximum number of rejected records to return
+ * @returns {Object} Summary, per-hour breakdown and (filtered) rejected records
+ */
+function buildDataQualityReport(balloonData, { hour, reason, limit = 100 } = {}) {
+  const errorsByHour = {};
+  balloonData.errors.forEach((error) => {
+    errorsByHour[error.hour] = error;
+  });
+
+  const staleByHour = {};
+  (balloonData.staleHours || []).forEach((stale) => {
+    staleByHour[stale.hour] = stale;
+  });
+
+  const hours = Array.from({ length: 24 }, (_, i) => String(i).padStart(2, '0')).map((h) => {
+    const report = balloonData.parseReports[h];
+    const error = errorsByHour[h];
+
+    if (!report) {
+      return {
+        hour: h,
+        validTime: null,
+        status: 'error',
+        error: error ? error.error : 'No data',
+        errorType: error ? error.type : null
+      };
+    }
+
+    const rejectionCounts = balloonData.rejectionCounts[h] || {};
+    const rejected = Object.values(rejectionCounts).reduce((sum, count) => sum + count, 0);
+    const stale = staleByHour[h];
+
+    return {
+      hour: h,
+      validTime: balloonData.hourValidTimes[h] || null,
+      status: stale ? 'stale' : 'ok',
+      ...(stale ? { staleSince: stale.fetchedAt, error: error.error, errorType: error.type } : {}),
+      totalEntries: report.totalEntries,
+      accepted: report.totalEntries - rejected,
+      rejected,
+      recovered: report.recovered,
+      issues: report.issues,
+      rejectionCounts
+    };
+  });
+
+  const matchingRecords = balloonData.rejectedRecords.filter(record => (
+    (!hour || record.hour === hour) &&
+    (!reason || record.reason === reason)
+  ));
+
+  return {
+    summary: {
+      hoursAvailable: balloonData.successCount,
+      hoursStale: balloonData.staleCount || 0,
+      hoursMissing: (balloonData.totalRequests || 24) - balloonData.successCount - (balloonData.staleCount || 0),
+      ...summarizeRejections(balloonData)
+    },
+    reasonCodes: REJECTION_REASONS,
+    hours,
+    rejectedRecordCount: matchingRecords.length,
+    rejectedRecords: matchingRecords.slice(0, limit)
+  };
+}
+
+module.exports = {
+  VALIDATION_REASONS,
+  REJECTION_REASONS,
+  validatePosition,
+  summarizeRejections,
+  buildDataQualityReport
+};
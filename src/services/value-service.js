@@ -0,0 +1,233 @@
+/**
+ * Value Service
+ * How much each balloon observation adds to the global observing system
+ *
+ * Every position gets a score from 0 to 100, the product of four factors:
+ *
+ * - distance:   1 - e^(-d / 500 km) for the distance d to the nearest station,
+ *               so ~10% at 50 km, 63% at 500 km and 95% at 1500 km
+ * - surface:    1 over the ocean, 0.6 over land, where surface and satellite
+ *               retrievals already constrain the lower atmosphere better
+ * - band:       weight of the pressure band (see BAND_WEIGHTS)
+ * - redundancy: 1 / (1 + n) for the n observations from other balloons within
+ *               100 km in the same hour, so a cluster shares the value of one report
+ *
+ * Scores add up per balloon and for the constellation, so a balloon alone over
+ * the Southern Ocean outscores several flying together over Europe.
+ */
+
+const {
+  PRESSURE_BANDS,
+  altitudeToPressure,
+  getPressureBand
+} = require('../utils/atmosphere');
+const { getOceanBasin } = require('../utils/land-mask');
+const { round } = require('../utils/math');
+const { buildSpatialIndex, findWithinRadius } = require('../utils/spatial-index');
+const { getStationIndex, findNearestStationDistance } = require('./coverage-service');
+
+const DEFAULT_TOP_BALLOONS = 10;
+const MAX_TOP_BALLOONS = 100;
+
+const DISTANCE_SCALE_KM = 500;
+const LAND_WEIGHT = 0.6;
+const REDUNDANCY_RADIUS_KM = 100;
+
+// Bands commercial aircraft already report from (cruise at 300 - 200 hPa) or that
+// matter less to forecasts (boundary layer, stratosphere) are weighted down
+const BAND_WEIGHTS = {
+  '1000-850': 0.7,
+  '850-700': 0.9,
+  '700-500': 1,
+  '500-300': 1,
+  '300-200': 0.8,
+  '200-100': 0.9,
+  '100-0': 0.7
+};
+
+// Width of the score distribution bins
+const HISTOGRAM_STEP = 10;
+
+/**
+ * Observations from other balloons within REDUNDANCY_RADIUS_KM in the same hour, per position
+ *
+ * @returns {Map} Position -> neighbour count
+ */
+function countNeighbours(balloons) {
+  const byTime = new Map();
+  balloons.forEach((pos) => {
+    if (!byTime.has(pos.timestamp)) byTime.set(pos.timestamp, []);
+    byTime.get(pos.timestamp).push(pos);
+  });
+
+  const neighbours = new Map();
+  byTime.forEach((positions) => {
+    const index = buildSpatialIndex(positions);
+    positions.forEach((pos) => {
+      const nearby = findWithinRadius(index, pos.latitude, pos.longitude, REDUNDANCY_RADIUS_KM);
+      neighbours.set(pos, nearby.filter(({ item }) => item.balloonId !== pos.balloonId).length);
+    });
+  });
+
+  return neighbours;
+}
+
+/**
+ * Score every position in the window
+ *
+ * @param {Object} balloonData - Result of fetchConstellationData() or loadArchivedRange()
+ * @param {Array} stations - Weather stations distances are measured to
+ * @returns {Array} { balloonId, latitude, longitude, altitude, hour, validTime, nearestStationKm,
+ *   overOcean, band, neighbours, factors: { distance, surface, band, redundancy }, score }
+ */
+function scoreObservations(balloonData, stations) {
+  const stationIndex = getStationIndex(stations);
+  const neighbours = countNeighbours(balloonData.balloons);
+
+  return balloonData.balloons.map((pos) => {
+    const nearestStationKm = findNearestStationDistance(pos, stationIndex);
+    const basin = pos.oceanBasin !== undefined ? pos.oceanBasin : getOceanBasin(pos.latitude, pos.longitude);
+    const band = getPressureBand(pos.pressure !== undefined ? pos.pressure : altitudeToPressure(pos.altitude)).id;
+    const nearby = neighbours.get(pos);
+
+    const factors = {
+      // No stations at all leaves every position as far from one as it can be
+      distance: Number.isFinite(nearestStationKm) ? 1 - Math.exp(-nearestStationKm / DISTANCE_SCALE_KM) : 1,
+      surface: basin !== null ? 1 : LAND_WEIGHT,
+      band: BAND_WEIGHTS[band],
+      redundancy: 1 / (1 + nearby)
+    };
+
+    return {
+      balloonId: pos.balloonId,
+      latitude: pos.latitude,
+      longitude: pos.longitude,
+      altitude: pos.altitude,
+      hour: pos.hour,
+      validTime: pos.validTime,
+      nearestStationKm: Number.isFinite(nearestStationKm) ? round(nearestStationKm, 1) : null,
+      overOcean: basin !== null,
+      band,
+      neighbours: nearby,
+      factors: {
+        distance: round(factors.distance, 3),
+        surface: factors.surface,
+        band: factors.band,
+        redundancy: round(factors.redundancy, 3)
+      },
+      score: round(100 * factors.distance * factors.surface * factors.band * factors.redundancy, 1)
+    };
+  });
+}
+
+/**
+ * Constellation totals of the observation value score
+ *
+ * @param {Array} scored - Result of scoreObservations()
+ * @returns {Object} Total and mean score, totals by surface and pressure band, and the score distribution
+ */
+function summarizeScores(scored) {
+  const sum = list => list.reduce((total, entry) => total + entry.score, 0);
+  const totalScore = sum(scored);
+
+  const describe = (list) => {
+    const total = sum(list);
+    return {
+      observations: list.length,
+      totalScore: round(total, 1),
+      meanScore: list.length > 0 ? round(total / list.length, 1) : 0,
+      sharePercentage: totalScore > 0 ? ((total / totalScore) * 100).toFixed(1) : '0.0'
+    };
+  };
+
+  // A perfect 100 goes in the top bin
+  const bins = 100 / HISTOGRAM_STEP;
+  const histogram = Array.from({ length: bins }, (_, i) => ({ from: i * HISTOGRAM_STEP, to: (i + 1) * HISTOGRAM_STEP, count: 0 }));
+  scored.forEach((entry) => {
+    histogram[Math.min(bins - 1, Math.floor(entry.score / HISTOGRAM_STEP))].count++;
+  });
+
+  return {
+    observations: scored.length,
+    totalScore: round(totalScore, 1),
+    meanScore: scored.length > 0 ? round(totalScore / scored.length, 1) : 0,
+    bySurface: {
+      ocean: describe(scored.filter(entry => entry.overOcean)),
+      land: describe(scored.filter(entry => !entry.overOcean))
+    },
+    byBand: PRESSURE_BANDS.map(band => ({
+      band: band.id,
+      label: band.label,
+      weight: BAND_WEIGHTS[band.id],
+      ...describe(scored.filter(entry => entry.band === band.id))
+    })),
+    histogram
+  };
+}
+
+/**
+ * Balloons ranked by the total value of their observations
+ *
+ * @param {Array} scored - Result of scoreObservations()
+ * @param {number} count - Balloons to return
+ * @returns {Array} { rank, balloonId, observations, totalScore, meanScore, oceanPercentage, latest }
+ */
+function rankBalloons(scored, count) {
+  const balloons = new Map();
+  scored.forEach((entry) => {
+    if (!balloons.has(entry.balloonId)) balloons.set(entry.balloonId, []);
+    balloons.get(entry.balloonId).push(entry);
+  });
+
+  return [...balloons.entries()]
+    .map(([balloonId, entries]) => {
+      const total = entries.reduce((sum, entry) => sum + entry.score, 0);
+      const latest = entries.reduce((newest, entry) => (entry.validTime > newest.validTime ? entry : newest));
+      const overOcean = entries.filter(entry => entry.overOcean).length;
+
+      return {
+        balloonId,
+        observations: entries.length,
+        totalScore: round(total, 1),
+        meanScore: round(total / entries.length, 1),
+        oceanPercentage: ((overOcean / entries.length) * 100).toFixed(1),
+        latest: {
+          latitude: latest.latitude,
+          longitude: latest.longitude,
+          altitude: latest.altitude,
+          validTime: latest.validTime,
+          score: latest.score
+        }
+      };
+    })
+    .sort((a, b) => b.totalScore - a.totalScore)
+    .slice(0, count)
+    .map((balloon, i) => ({ rank: i + 1, ...balloon }));
+}
+
+/**
+ * Observation value for a window: constellation totals, the highest-value balloons
+ * and, optionally, every scored position
+ *
+ * @param {Object} balloonData - Result of fetchConstellationData() or loadArchivedRange()
+ * @param {Array} stations - Weather stations
+ * @param {Object} options
+ * @param {number} options.count - Balloons to list (default: 10, max: 100)
+ * @param {boolean} options.positions - Include every scored position
+ * @returns {Object} { summary, topBalloons, positions? }
+ */
+function calculateObservationValue(balloonData, stations, { count = DEFAULT_TOP_BALLOONS, positions = false } = {}) {
+  const scored = scoreObservations(balloonData, stations);
+
+  return {
+    summary: summarizeScores(scored),
+    topBalloons: rankBalloons(scored, count),
+    ...(positions ? { positions: scored } : {})
+  };
+}
+
+module.exports = {
+  DEFAULT_TOP_BALLOONS,
+  MAX_TOP_BALLOONS,
+  calculateObservationValue
+};
@@ -0,0 +1,162 @@
+/**
+ * Wind Service
+ * Derives wind estimates at flight altitude from balloon trajectories
+ *
+ * Balloons drift with the wind, so every pair of consecutive observations in a
+ * track gives one wind vector: the ground speed and bearing of the segment are
+ * the horizontal wind, and the altitude change is the vertical rate. Vectors
+ * are placed at the segment midpoint and mean altitude.
+ *
+ * Conventions:
+ * - speed in m/s, u positive towards east, v positive towards north
+ * - bearing is the direction the balloon moved (where the wind blows to)
+ * - direction is the meteorological wind direction (where the wind comes from)
+ */
+
+const {
+  calculateDistance,
+  calculateBearing,
+  calculateMidpoint,
+  isInRegion
+} = require('../utils/geo');
+const { round } = require('../utils/math');
+
+const HOUR_MS = 3600000;
+
+const DEFAULT_WIND_OPTIONS = {
+  // Segments spanning longer gaps average over too much of the flight to be a useful wind estimate
+  maxGapHours: 3
+};
+
+/**
+ * Wind vector for one trajectory segment
+ *
+ * @param {Object} from - Older position
+ * @param {Object} to - Newer position
+ * @returns {Object} Wind vector
+ */
+function segmentToWind(from, to) {
+  const hours = (to.timestamp - from.timestamp) / HOUR_MS;
+  const seconds = hours * 3600;
+  const distanceKm = calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+  const bearing = calculateBearing(from.latitude, from.longitude, to.latitude, to.longitude);
+  const speed = (distanceKm * 1000) / seconds;
+  const bearingRad = (bearing * Math.PI) / 180;
+  const midpoint = calculateMidpoint(from.latitude, from.longitude, to.latitude, to.longitude);
+
+  return {
+    balloonId: to.balloonId,
+    latitude: round(midpoint.latitude, 4),
+    longitude: round(midpoint.longitude, 4),
+    altitude: round((from.altitude + to.altitude) / 2, 3),
+    validTime: new Date((from.timestamp + to.timestamp) / 2).toISOString(),
+    startValidTime: from.validTime,
+    endValidTime: to.validTime,
+    hours,
+    distanceKm: round(distanceKm, 2),
+    speed: round(speed, 2),
+    bearing: round(bearing, 1),
+    direction: round((bearing + 180) % 360, 1),
+    u: round(speed * Math.sin(bearingRad), 2),
+    v: round(speed * Math.cos(bearingRad), 2),
+    verticalRate: round(((to.altitude - from.altitude) * 1000) / seconds, 3),
+    ...(from.stale || to.stale ? { stale: true } : {})
+  };
+}
+
+/**
+ * Derive wind vectors from every segment of every balloon path
+ *
+ * @param {Array<Array>} balloonPaths - Tracks from reconstructTracks(), most recent position first
+ * @param {Object} options - Overrides for DEFAULT_WIND_OPTIONS
+ * @returns {Array} Wind vectors, most recent first within each balloon
+ */
+function deriveWindVectors(balloonPaths, options = {}) {
+  const { maxGapHours } = { ...DEFAULT_WIND_OPTIONS, ...options };
+  const vectors = [];
+
+  balloonPaths.forEach((path) => {
+    for (let i = 0; i < path.length - 1; i++) {
+      const to = path[i];
+      const from = path[i + 1];
+      const gapHours = (to.timestamp - from.timestamp) / HOUR_MS;
+
+      if (gapHours <= 0 || gapHours > maxGapHours) continue;
+      vectors.push(segmentToWind(from, to));
+    }
+  });
+
+  return vectors;
+}
+
+/**
+ * Filter wind vectors by altitude band, region and recency
+ *
+ * A region whose west edge is east of its east edge wraps across the antimeridian.
+ *
+ * @param {Array} vectors - Result of deriveWindVectors()
+ * @param {Object} filters
+ * @param {number} filters.minAltitude - Lowest mean altitude in km
+ * @param {number} filters.maxAltitude - Highest mean altitude in km
+ * @param {Object} filters.region - { south, west, north, east } in degrees
+ * @param {boolean} filters.latest - Keep only the most recent vector per balloon
+ * @returns {Array} Matching vectors
+ */
+function filterWindVectors(vectors, { minAltitude, maxAltitude, region, latest = false } = {}) {
+  const seen = new Set();
+
+  return vectors.filter((vector) => {
+    if (minAltitude !== undefined && vector.altitude < minAltitude) return false;
+    if (maxAltitude !== undefined && vector.altitude > maxAltitude) return false;
+
+    if (region && !isInRegion(vector.latitude, vector.longitude, region)) return false;
+
+    if (latest) {
+      if (seen.has(vector.balloonId)) return false;
+      seen.add(vector.balloonId);
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Aggregate statistics for a set of wind vectors
+ *
+ * The mean wind is the vector mean of u/v, so opposing winds cancel out.
+ *
+ * @param {Array} vectors - Wind vectors
+ * @returns {Object} Count, mean/max speed, mean u/v and the resulting mean wind
+ */
+function summarizeWinds(vectors) {
+  if (vectors.length === 0) {
+    return { count: 0, meanSpeed: null, maxSpeed: null, meanU: null, meanV: null, meanWindSpeed: null, meanWindDirection: null };
+  }
+
+  const sum = vectors.reduce((acc, vector) => ({
+    speed: acc.speed + vector.speed,
+    u: acc.u + vector.u,
+    v: acc.v + vector.v
+  }), { speed: 0, u: 0, v: 0 });
+
+  const meanU = sum.u / vectors.length;
+  const meanV = sum.v / vectors.length;
+  const towards = (Math.atan2(meanU, meanV) * 180) / Math.PI;
+
+  return {
+    count: vectors.length,
+    meanSpeed: round(sum.speed / vectors.length, 2),
+    maxSpeed: vectors.reduce((max, vector) => Math.max(max, vector.speed), 0),
+    meanU: round(meanU, 2),
+    meanV: round(meanV, 2),
+    meanWindSpeed: round(Math.sqrt(meanU ** 2 + meanV ** 2), 2),
+    meanWindDirection: round((towards + 360 + 180) % 360, 1)
+  };
+}
+
+module.exports = {
+  DEFAULT_WIND_OPTIONS,
+  deriveWindVectors,
+  filterWindVectors,
+  summarizeWinds
+};
@@ -3,15 +3,65 @@
  * Handles fetching and processing data from WindBorne balloon constellation
  */
 
-const fetch = require('node-fetch');
+const config = require('../config');
+const { createSourceFromConfig } = require('./source-service');
+const { parseHourlyPayload } = require('./parser-service');
+const { validatePosition } = require('./validation-service');
+const { tagError, mapWithConcurrency } = require('./resilience-service');
+const { reconstructTracks } = require('./tracking-service');
+const { detectAnomalies } = require('./anomaly-service');
+const { calculateDistance } = require('../utils/geo');
+const { altitudeToPressure } = require('../utils/atmosphere');
+const { getOceanBasin } = require('../utils/land-mask');
+
+const HOUR_MS = 3600000;
+
+let defaultSource = null;
+
+// State carried between refreshes, per source:
+// - lastGoodHours: last successfully processed data for each hour, served (marked
+//   stale) when an hour can't be fetched, e.g. while the circuit breaker is open
+// - trackIndex: observation → balloon ID map, so track IDs survive refreshes
+const sourceStates = new WeakMap();
+
+function getSourceState(source) {
+  if (!sourceStates.has(source)) {
+    sourceStates.set(source, { lastGoodHours: {}, trackIndex: new Map() });
+  }
+  return sourceStates.get(source);
+}
 
-const WINDBORNE_BASE_URL = 'https://a.windbornesystems.com/treasure';
+/**
+ * Lazily build the hourly data source from config
+ */
+function getDefaultSource() {
+  if (!defaultSource) {
+    defaultSource = createSourceFromConfig(config.source);
+  }
+  return defaultSource;
+}
+
+/**
+ * UTC valid time of an hourly file: the fetch time truncated to the hour,
+ * minus the file's hour offset (00.json = current hour, 01.json = an hour earlier...)
+ *
+ * @param {string} fetchedAt - ISO time the file was fetched
+ * @param {string} hour - Hour offset ("00" - "23")
+ * @returns {number} Valid time in epoch milliseconds
+ */
+function getValidTime(fetchedAt, hour) {
+  const anchor = Math.floor(Date.parse(fetchedAt) / HOUR_MS) * HOUR_MS;
+  return anchor - parseInt(hour) * HOUR_MS;
+}
 
 /**
  * Fetch WindBorne balloon data for all 24 hours with robust error handling
+ *
+ * @param {Object} source - Hourly data source (default: configured source)
  */
-async function fetchConstellationData() {
-  console.log('Fetching WindBorne constellation data from 24 endpoints...');
+async function fetchConstellationData(source = getDefaultSource()) {
+  const sourceInfo = source.describe();
+  console.log(`Fetching WindBorne constellation data from 24 endpoints (${sourceInfo.type}: ${sourceInfo.location})...`);
   const startTime = Date.now();
 
   const hours = Array.from({ length: 24 }, (_, i) => String(i).padStart(2, '0'));
@@ -19,166 +69,171 @@ async function fetchConstellationData() {
   const results = {
     balloons: [],
     hourlyData: {},
+    parseReports: {},
+    rejectionCounts: {},
+    rejectedRecords: [],
+    hourValidTimes: {},
     errors: [],
+    staleHours: [],
     successCount: 0,
-    totalRequests: 24
+    staleCount: 0,
+    totalRequests: 24,
+    source: sourceInfo
   };
 
-  // Fetch all hours in parallel
-  const promises = hours.map(async (hour) => {
+  const sourceState = getSourceState(source);
+  const lastGood = sourceState.lastGoodHours;
+
+  if (source.beginFetch) source.beginFetch();
+
+  // Fetch hours in parallel, capped at the configured concurrency
+  const responses = await mapWithConcurrency(hours, config.source.concurrency, async (hour) => {
     try {
-      const url = `${WINDBORNE_BASE_URL}/${hour}.json`;
-      const response = await fetch(url, { timeout: 5000 });
+      const response = await source.fetchHour(hour);
 
       if (!response.ok) {
-        results.errors.push({ hour, error: `HTTP ${response.status}` });
-        return null;
+        const error = new Error(`HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
       }
 
-      const data = await response.json();
+      // Parse, salvaging valid entries from truncated or malformed payloads
+      const { entries, rejected, report } = parseHourlyPayload(response.body.toString('utf8'));
+      results.parseReports[hour] = report;
 
-      // Validate data structure
-      if (!Array.isArray(data)) {
-        results.errors.push({ hour, error: 'Invalid data structure (not an array)' });
-        return null;
+      if (report.recovered) {
+        console.warn(`⚠ Hour ${hour}: recovered ${report.salvaged} entries from malformed payload (${report.rejected} rejected)`);
       }
 
-      // Parse and validate each balloon position
-      const validPositions = data
-        .filter(pos => {
-          if (!Array.isArray(pos) || pos.length < 3) return false;
-          const [lat, lon, alt] = pos;
-          // Validate coordinates
-          return (
-            typeof lat === 'number' &&
-            typeof lon === 'number' &&
-            typeof alt === 'number' &&
-            lat >= -90 &&
-            lat <= 90 &&
-            lon >= -180 &&
-            lon <= 180 &&
-            alt >= 0
-          );
-        })
-        .map(([lat, lon, alt]) => ({
+      const fetchedAt = response.fetchedAt || new Date().toISOString();
+      const validTime = getValidTime(fetchedAt, hour);
+      const validTimeIso = new Date(validTime).toISOString();
+      results.hourValidTimes[hour] = validTimeIso;
+
+      // Validate coordinate ranges, keeping every rejected record with its reason
+      const rejectedRecords = [...rejected];
+      const validPositions = [];
+
+      entries.forEach(({ index, values }) => {
+        const reason = validatePosition(values);
+
+        if (reason) {
+          rejectedRecords.push({ index, reason, raw: JSON.stringify(values) });
+          return;
+        }
+
+        const [lat, lon, alt] = values;
+        validPositions.push({
           latitude: lat,
           longitude: lon,
           altitude: alt,
+          // Standard-atmosphere pressure level, for meteorologists who think in hPa
+          pressure: Math.round(altitudeToPressure(alt) * 10) / 10,
+          // Ocean basin from the bundled land/sea mask, null over land
+          oceanBasin: getOceanBasin(lat, lon),
           hour: parseInt(hour),
-          timestamp: Date.now() - parseInt(hour) * 3600000 // Approximate timestamp
-        }));
+          timestamp: validTime,
+          validTime: validTimeIso
+        });
+      });
+
+      const rejectionCounts = {};
+      rejectedRecords.forEach((record) => {
+        rejectionCounts[record.reason] = (rejectionCounts[record.reason] || 0) + 1;
+        results.rejectedRecords.push({ hour, ...record });
+      });
+      results.rejectionCounts[hour] = rejectionCounts;
 
       results.hourlyData[hour] = validPositions;
       results.successCount++;
 
+      lastGood[hour] = {
+        positions: validPositions,
+        report,
+        rejectionCounts,
+        rejectedRecords,
+        fetchedAt,
+        validTime: validTimeIso
+      };
+
       return { hour, positions: validPositions };
     } catch (error) {
+      tagError(error);
+
+      const cached = lastGood[hour];
       results.errors.push({
         hour,
-        error: error.message || 'Unknown error'
+        error: error.message || 'Unknown error',
+        type: error.type,
+        ...(error.status ? { status: error.status } : {}),
+        ...(error.attempts !== undefined ? { attempts: error.attempts } : {}),
+        servedStale: Boolean(cached)
       });
-      return null;
-    }
-  });
 
-  const responses = await Promise.all(promises);
+      if (!cached) return null;
 
-  // Combine all valid positions
-  responses.forEach((response) => {
-    if (response && response.positions) {
-      results.balloons.push(...response.positions);
+      // Fall back to the last good data for this hour, clearly marked as stale
+      const stalePositions = cached.positions.map(pos => ({ ...pos, stale: true }));
+      results.hourlyData[hour] = stalePositions;
+      results.parseReports[hour] = cached.report;
+      results.rejectionCounts[hour] = cached.rejectionCounts;
+      results.hourValidTimes[hour] = cached.validTime;
+      cached.rejectedRecords.forEach(record => results.rejectedRecords.push({ hour, ...record }));
+      results.staleHours.push({ hour, fetchedAt: cached.fetchedAt, reason: error.type });
+      results.staleCount++;
+
+      return { hour, positions: stalePositions };
     }
   });
 
-  // Track unique balloon paths
-  const uniqueBalloons = groupNearbyPositions(results.balloons);
-  results.uniqueBalloonCount = uniqueBalloons.length;
-  results.balloonPaths = uniqueBalloons;
+  if (source.endFetch) source.endFetch();
 
-  const fetchTime = Date.now() - startTime;
-  console.log(`✓ Fetched ${results.balloons.length.toLocaleString()} positions in ${fetchTime}ms (${results.successCount}/${results.totalRequests} endpoints succeeded)`);
+  results.source = source.describe();
+  results.errors.sort((a, b) => a.hour.localeCompare(b.hour));
+  results.staleHours.sort((a, b) => a.hour.localeCompare(b.hour));
 
-  return results;
-}
-
-/**
- * Group nearby positions into balloon flight paths
- * This is a heuristic approach since we don't have balloon IDs from the API
- */
-function groupNearbyPositions(positions) {
-  if (positions.length === 0) return [];
-
-  // Sort by hour (most recent first)
-  const sorted = [...positions].sort((a, b) => a.hour - b.hour);
+  results.rejectedRecords.sort((a, b) => a.hour.localeCompare(b.hour) || a.index - b.index);
 
-  const paths = [];
-  const used = new Set();
+  // Combine all valid positions. The same observation can show up twice when stale
+  // data from an earlier refresh overlaps a fresh hour, so deduplicate on valid time
+  const seen = new Set();
+  results.duplicatesRemoved = 0;
 
-  // Find the lowest available hour (most recent data)
-  const availableHours = [...new Set(sorted.map(p => p.hour))].sort((a, b) => a - b);
-  const startHour = availableHours[0] || 0;
-
-  // For each position in the earliest available hour, try to track it through time
-  const currentPositions = sorted.filter((p) => p.hour === startHour);
-
-  currentPositions.forEach((startPos) => {
-    const path = [startPos];
-    let lastPos = startPos;
-
-    // Try to find this balloon in subsequent hours
-    for (let hour = startHour + 1; hour < 24; hour++) {
-      const hourPositions = sorted.filter((p) => p.hour === hour);
-
-      // Find closest position within reasonable distance
-      let closestPos = null;
-      let minDist = Infinity;
-
-      hourPositions.forEach((pos) => {
-        const key = `${pos.latitude},${pos.longitude},${pos.hour}`;
-        if (used.has(key)) return;
+  responses.forEach((response) => {
+    if (!response || !response.positions) return;
 
-        const dist = calculateDistance(
-          lastPos.latitude,
-          lastPos.longitude,
-          pos.latitude,
-          pos.longitude
-        );
+    response.positions.forEach((pos) => {
+      const key = `${pos.timestamp},${pos.latitude},${pos.longitude},${pos.altitude}`;
+      if (seen.has(key)) {
+        results.duplicatesRemoved++;
+        return;
+      }
+      seen.add(key);
+      results.balloons.push(pos);
+    });
+  });
 
-        // Balloons can travel up to ~200km per hour at high altitudes
-        if (dist < 500 && dist < minDist) {
-          minDist = dist;
-          closestPos = pos;
-        }
-      });
+  const validTimes = Object.values(results.hourValidTimes).sort();
+  results.validTime = validTimes.length ? validTimes[validTimes.length - 1] : null;
+  results.validTimeRange = validTimes.length ? { start: validTimes[0], end: results.validTime } : null;
 
-      if (closestPos) {
-        path.push(closestPos);
-        used.add(`${closestPos.latitude},${closestPos.longitude},${closestPos.hour}`);
-        lastPos = closestPos;
-      }
-    }
+  // Reconstruct balloon tracks and keep their IDs stable across refreshes
+  const { index, ...trackData } = reconstructTracks(results.balloons, sourceState.trackIndex);
+  sourceState.trackIndex = index;
+  Object.assign(results, trackData);
 
-    paths.push(path);
-  });
+  // Flag impossible jumps, altitude spikes, stuck reports and duplicates
+  const { anomalies, summary } = detectAnomalies(results);
+  results.anomalies = anomalies;
+  results.anomalySummary = summary;
+  if (summary.total > 0) {
+    console.warn(`⚠ Flagged ${summary.total} anomalies (${summary.bySeverity.critical} critical)`);
+  }
 
-  return paths;
-}
+  const fetchTime = Date.now() - startTime;
+  console.log(`✓ Fetched ${results.balloons.length.toLocaleString()} positions in ${fetchTime}ms (${results.successCount}/${results.totalRequests} endpoints succeeded${results.staleCount ? `, ${results.staleCount} served stale` : ''})`);
 
-/**
- * Calculate distance between two lat/lon points using Haversine formula
- */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+  return results;
 }
 
 module.exports = {
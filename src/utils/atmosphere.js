@@ -0,0 +1,121 @@
+/**
+ * Standard Atmosphere Helpers
+ * Altitude ↔ pressure conversion with the International Standard Atmosphere (ISA)
+ *
+ * Balloon altitudes are treated as geopotential heights; the difference from
+ * geometric height is under 0.5% below 30 km, far below the noise of a GPS fix
+ * compared to a real (non-standard) atmosphere.
+ */
+
+const SEA_LEVEL_PRESSURE_HPA = 1013.25;
+
+// ISA layers up to the stratopause: base height (km), base temperature (K),
+// lapse rate (K/km) and base pressure (hPa)
+const LAYERS = [
+  { baseKm: 0, baseTemp: 288.15, lapse: -6.5, basePressure: 1013.25 },
+  { baseKm: 11, baseTemp: 216.65, lapse: 0, basePressure: 226.321 },
+  { baseKm: 20, baseTemp: 216.65, lapse: 1.0, basePressure: 54.7489 },
+  { baseKm: 32, baseTemp: 228.65, lapse: 2.8, basePressure: 8.68019 }
+];
+
+// g0 * M / R in K/km
+const HYDROSTATIC_CONSTANT = 34.1632;
+
+/**
+ * Pressure levels meteorologists work with, as bands between standard levels
+ *
+ * `id` is used in API filters, e.g. /api/coverage?band=500-300
+ */
+const PRESSURE_BANDS = [
+  { id: '1000-850', label: 'Surface – 850 hPa', maxPressure: 1100, minPressure: 850 },
+  { id: '850-700', label: '850 – 700 hPa', maxPressure: 850, minPressure: 700 },
+  { id: '700-500', label: '700 – 500 hPa', maxPressure: 700, minPressure: 500 },
+  { id: '500-300', label: '500 – 300 hPa', maxPressure: 500, minPressure: 300 },
+  { id: '300-200', label: '300 – 200 hPa (jet level)', maxPressure: 300, minPressure: 200 },
+  { id: '200-100', label: '200 – 100 hPa', maxPressure: 200, minPressure: 100 },
+  { id: '100-0', label: 'Above 100 hPa (stratosphere)', maxPressure: 100, minPressure: 0 }
+];
+
+/**
+ * Layer an altitude falls in
+ */
+function layerForAltitude(altitudeKm) {
+  for (let i = LAYERS.length - 1; i >= 0; i--) {
+    if (altitudeKm >= LAYERS[i].baseKm) return LAYERS[i];
+  }
+  return LAYERS[0];
+}
+
+/**
+ * Convert altitude to pressure with the standard atmosphere
+ *
+ * @param {number} altitudeKm - Altitude in km
+ * @returns {number} Pressure in hPa
+ */
+function altitudeToPressure(altitudeKm) {
+  const layer = layerForAltitude(altitudeKm);
+  const dh = altitudeKm - layer.baseKm;
+
+  if (layer.lapse === 0) {
+    return layer.basePressure * Math.exp(-HYDROSTATIC_CONSTANT * dh / layer.baseTemp);
+  }
+
+  const temperature = layer.baseTemp + layer.lapse * dh;
+  return layer.basePressure * (temperature / layer.baseTemp) ** (-HYDROSTATIC_CONSTANT / layer.lapse);
+}
+
+/**
+ * Convert pressure to altitude with the standard atmosphere
+ *
+ * @param {number} pressureHpa - Pressure in hPa
+ * @returns {number} Altitude in km
+ */
+function pressureToAltitude(pressureHpa) {
+  let layer = LAYERS[0];
+  for (let i = LAYERS.length - 1; i >= 0; i--) {
+    if (pressureHpa <= LAYERS[i].basePressure) {
+      layer = LAYERS[i];
+      break;
+    }
+  }
+
+  if (layer.lapse === 0) {
+    return layer.baseKm - (layer.baseTemp / HYDROSTATIC_CONSTANT) * Math.log(pressureHpa / layer.basePressure);
+  }
+
+  const ratio = (pressureHpa / layer.basePressure) ** (-layer.lapse / HYDROSTATIC_CONSTANT);
+  return layer.baseKm + (layer.baseTemp / layer.lapse) * (ratio - 1);
+}
+
+/**
+ * Pressure band a pressure falls in
+ *
+ * @param {number} pressureHpa - Pressure in hPa
+ * @returns {Object} Entry of PRESSURE_BANDS
+ */
+function getPressureBand(pressureHpa) {
+  return PRESSURE_BANDS.find(band => pressureHpa <= band.maxPressure && pressureHpa > band.minPressure)
+    || PRESSURE_BANDS[pressureHpa > PRESSURE_BANDS[0].maxPressure ? 0 : PRESSURE_BANDS.length - 1];
+}
+
+/**
+ * Altitude range of a pressure band in km
+ *
+ * @param {Object} band - Entry of PRESSURE_BANDS
+ * @returns {Object} { minAltitude, maxAltitude } (maxAltitude is Infinity for the top band)
+ */
+function getBandAltitudeRange(band) {
+  return {
+    minAltitude: band.maxPressure >= SEA_LEVEL_PRESSURE_HPA ? 0 : pressureToAltitude(band.maxPressure),
+    maxAltitude: band.minPressure > 0 ? pressureToAltitude(band.minPressure) : Infinity
+  };
+}
+
+module.exports = {
+  SEA_LEVEL_PRESSURE_HPA,
+  PRESSURE_BANDS,
+  altitudeToPressure,
+  pressureToAltitude,
+  getPressureBand,
+  getBandAltitudeRange
+};
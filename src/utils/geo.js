@@ -0,0 +1,113 @@
+/**
+ * Geographic Helpers
+ * Shared spherical-earth math used across services
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Calculate distance between two lat/lon points using Haversine formula
+ */
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = EARTH_RADIUS_KM;
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+/**
+ * Initial great-circle bearing from one point to another
+ *
+ * @returns {number} Degrees clockwise from true north, 0 - 360
+ */
+function calculateBearing(lat1, lon1, lat2, lon2) {
+  const phi1 = (lat1 * Math.PI) / 180;
+  const phi2 = (lat2 * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * Great-circle midpoint between two points
+ *
+ * @returns {Object} { latitude, longitude } with longitude in -180..180
+ */
+function calculateMidpoint(lat1, lon1, lat2, lon2) {
+  const phi1 = (lat1 * Math.PI) / 180;
+  const phi2 = (lat2 * Math.PI) / 180;
+  const lambda1 = (lon1 * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const bx = Math.cos(phi2) * Math.cos(dLon);
+  const by = Math.cos(phi2) * Math.sin(dLon);
+  const phi = Math.atan2(Math.sin(phi1) + Math.sin(phi2), Math.sqrt((Math.cos(phi1) + bx) ** 2 + by ** 2));
+  const lambda = lambda1 + Math.atan2(by, Math.cos(phi1) + bx);
+
+  return {
+    latitude: (phi * 180) / Math.PI,
+    longitude: ((((lambda * 180) / Math.PI) + 540) % 360) - 180
+  };
+}
+
+/**
+ * Point reached by travelling a distance along a great circle
+ *
+ * @param {number} lat - Start latitude
+ * @param {number} lon - Start longitude
+ * @param {number} bearing - Initial bearing in degrees clockwise from north
+ * @param {number} distanceKm - Distance to travel
+ * @returns {Object} { latitude, longitude } with longitude in -180..180
+ */
+function calculateDestination(lat, lon, bearing, distanceKm) {
+  const delta = distanceKm / EARTH_RADIUS_KM;
+  const theta = (bearing * Math.PI) / 180;
+  const phi1 = (lat * Math.PI) / 180;
+  const lambda1 = (lon * Math.PI) / 180;
+
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta)
+  );
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+    Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+  );
+
+  return {
+    latitude: (phi2 * 180) / Math.PI,
+    longitude: ((((lambda2 * 180) / Math.PI) + 540) % 360) - 180
+  };
+}
+
+/**
+ * Whether a point lies inside a lat/lon box
+ *
+ * A box whose west edge is east of its east edge wraps across the antimeridian.
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} region - { south, west, north, east } in degrees
+ */
+function isInRegion(lat, lon, region) {
+  if (lat < region.south || lat > region.north) return false;
+
+  return region.west <= region.east
+    ? lon >= region.west && lon <= region.east
+    : lon >= region.west || lon <= region.east;
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  calculateDistance,
+  calculateBearing,
+  calculateMidpoint,
+  calculateDestination,
+  isInRegion
+};
@@ -0,0 +1,94 @@
+/**
+ * Land/Sea Mask
+ * Land vs. ocean and ocean basin for a position, from a 0.1° raster
+ *
+ * The mask is built from Natural Earth coastlines by scripts/build-land-mask.js
+ * and bundled in data/land-sea-mask.json, so lookups work offline and cost one
+ * array read. Cells are about 11 km across; positions right on a coast can land
+ * on either side. Lakes and inland seas such as the Caspian count as land.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MASK_PATH = path.join(__dirname, '..', '..', 'data', 'land-sea-mask.json');
+
+let mask = null;
+
+/**
+ * Decode the run-length encoded mask on first use
+ *
+ * @returns {Object} { resolution, width, height, basins, cells }
+ */
+function loadMask() {
+  if (mask) return mask;
+
+  const data = JSON.parse(fs.readFileSync(MASK_PATH, 'utf8'));
+  const cells = new Uint8Array(data.width * data.height);
+
+  data.rows.forEach((runs, row) => {
+    let col = 0;
+    for (let i = 0; i < runs.length; i += 2) {
+      cells.fill(runs[i], row * data.width + col, row * data.width + col + runs[i + 1]);
+      col += runs[i + 1];
+    }
+  });
+
+  mask = {
+    resolution: data.resolution,
+    width: data.width,
+    height: data.height,
+    basins: data.basins,
+    cells
+  };
+  return mask;
+}
+
+/**
+ * Mask value at a position: 0 for land, otherwise the 1-based basin index
+ */
+function lookup(lat, lon) {
+  const { resolution, width, height, cells } = loadMask();
+  const wrapped = ((lon + 180) % 360 + 360) % 360;
+  const row = Math.min(height - 1, Math.max(0, Math.floor((90 - lat) / resolution)));
+  const col = Math.min(width - 1, Math.floor(wrapped / resolution));
+  return cells[row * width + col];
+}
+
+/**
+ * Check whether a position is over the ocean
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean} True if over ocean
+ */
+function isOverOcean(lat, lon) {
+  return lookup(lat, lon) !== 0;
+}
+
+/**
+ * Ocean basin a position is over
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string|null} Basin name (e.g. "North Pacific", "Southern Ocean"), or null over land
+ */
+function getOceanBasin(lat, lon) {
+  const value = lookup(lat, lon);
+  return value === 0 ? null : loadMask().basins[value - 1];
+}
+
+/**
+ * Names of every basin in the mask
+ *
+ * @returns {Array<string>} Basin names
+ */
+function listOceanBasins() {
+  return [...loadMask().basins];
+}
+
+module.exports = {
+  isOverOcean,
+  getOceanBasin,
+  listOceanBasins
+};
@@ -0,0 +1,16 @@
+/**
+ * Number Helpers
+ * Small numeric formatting shared by services that report rounded values
+ */
+
+/**
+ * Round to a number of decimal places, keeping the result numeric (unlike toFixed())
+ */
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  round
+};
@@ -0,0 +1,233 @@
+/**
+ * Spherical Spatial Index
+ * Exact nearest-neighbour and radius queries anywhere on the globe
+ *
+ * Points are stored as 3D unit vectors in a k-d tree. Straight-line (chord)
+ * distance between unit vectors grows monotonically with great-circle distance,
+ * so the tree can be searched with plain Euclidean bounds and the results
+ * converted back to km. Unlike a lat/lon grid there is nothing special about
+ * the poles or the antimeridian.
+ *
+ * The tree is implicit: points are reordered in place so that every range
+ * [left, right] has its splitting point at the middle, and axes cycle x, y, z
+ * with depth. Small ranges are left unsorted and scanned linearly.
+ */
+
+const { EARTH_RADIUS_KM } = require('./geo');
+
+// Ranges this small are scanned rather than split further
+const LEAF_SIZE = 16;
+
+/**
+ * Unit vector of a latitude/longitude
+ */
+function toUnitVector(lat, lon) {
+  const phi = (lat * Math.PI) / 180;
+  const lambda = (lon * Math.PI) / 180;
+  return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+}
+
+/**
+ * Squared chord length for a great-circle distance (4 for anything at or past the antipode)
+ */
+function chordSquaredForDistance(distanceKm) {
+  if (distanceKm >= Math.PI * EARTH_RADIUS_KM) return 4;
+  const chord = 2 * Math.sin(distanceKm / (2 * EARTH_RADIUS_KM));
+  return chord * chord;
+}
+
+/**
+ * Great-circle distance for a squared chord length
+ */
+function distanceForChordSquared(chordSquared) {
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(chordSquared) / 2));
+}
+
+function swap(ids, coords, i, j) {
+  const id = ids[i];
+  ids[i] = ids[j];
+  ids[j] = id;
+
+  for (let a = 0; a < 3; a++) {
+    const value = coords[i * 3 + a];
+    coords[i * 3 + a] = coords[j * 3 + a];
+    coords[j * 3 + a] = value;
+  }
+}
+
+/**
+ * Reorder [left, right] so position k holds the k-th smallest value on an axis (quickselect)
+ */
+function select(ids, coords, k, left, right, axis) {
+  while (right > left) {
+    const pivot = coords[((left + right) >> 1) * 3 + axis];
+    let i = left;
+    let j = right;
+
+    while (i <= j) {
+      while (coords[i * 3 + axis] < pivot) i++;
+      while (coords[j * 3 + axis] > pivot) j--;
+      if (i <= j) {
+        swap(ids, coords, i, j);
+        i++;
+        j--;
+      }
+    }
+
+    if (k <= j) right = j;
+    else if (k >= i) left = i;
+    else return;
+  }
+}
+
+function sortTree(ids, coords, left, right, axis) {
+  if (right - left <= LEAF_SIZE) return;
+
+  const middle = (left + right) >> 1;
+  select(ids, coords, middle, left, right, axis);
+  sortTree(ids, coords, left, middle - 1, (axis + 1) % 3);
+  sortTree(ids, coords, middle + 1, right, (axis + 1) % 3);
+}
+
+/**
+ * Build an index over anything with latitude/longitude
+ *
+ * @param {Array} items - Objects with latitude and longitude in degrees
+ * @returns {Object} Index for findNearest() and findWithinRadius()
+ */
+function buildSpatialIndex(items) {
+  const size = items.length;
+  const ids = new Uint32Array(size);
+  const coords = new Float64Array(size * 3);
+
+  items.forEach((item, i) => {
+    ids[i] = i;
+    coords.set(toUnitVector(item.latitude, item.longitude), i * 3);
+  });
+
+  sortTree(ids, coords, 0, size - 1, 0);
+
+  return { items, ids, coords, size };
+}
+
+function chordSquared(coords, i, query) {
+  const dx = coords[i * 3] - query[0];
+  const dy = coords[i * 3 + 1] - query[1];
+  const dz = coords[i * 3 + 2] - query[2];
+  return dx * dx + dy * dy + dz * dz;
+}
+
+/**
+ * The k nearest items to a position
+ *
+ * @param {Object} index - Result of buildSpatialIndex()
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} options
+ * @param {number} options.k - Number of items to return (default: 1)
+ * @param {number} options.maxDistanceKm - Ignore items further than this (default: no limit)
+ * @returns {Array} [{ item, distanceKm }], nearest first (empty if nothing is in range)
+ */
+function findNearest(index, lat, lon, { k = 1, maxDistanceKm = Infinity } = {}) {
+  const { ids, coords, size } = index;
+  const query = toUnitVector(lat, lon);
+  const limit = chordSquaredForDistance(maxDistanceKm);
+
+  // Best candidates so far, sorted by chord distance
+  const best = [];
+  const worst = () => (best.length < k ? limit : best[best.length - 1].chordSquared);
+
+  const consider = (i) => {
+    const d2 = chordSquared(coords, i, query);
+    if (d2 > worst()) return;
+
+    let at = best.length;
+    while (at > 0 && best[at - 1].chordSquared > d2) at--;
+    best.splice(at, 0, { i, chordSquared: d2 });
+    if (best.length > k) best.pop();
+  };
+
+  const search = (left, right, axis) => {
+    if (right - left <= LEAF_SIZE) {
+      for (let i = left; i <= right; i++) consider(i);
+      return;
+    }
+
+    const middle = (left + right) >> 1;
+    const offset = query[axis] - coords[middle * 3 + axis];
+    const nextAxis = (axis + 1) % 3;
+
+    consider(middle);
+
+    // Nearer half first, so the far half can usually be skipped
+    if (offset < 0) {
+      search(left, middle - 1, nextAxis);
+      if (offset * offset <= worst()) search(middle + 1, right, nextAxis);
+    } else {
+      search(middle + 1, right, nextAxis);
+      if (offset * offset <= worst()) search(left, middle - 1, nextAxis);
+    }
+  };
+
+  if (size > 0 && k > 0) search(0, size - 1, 0);
+
+  return best.map(({ i, chordSquared: d2 }) => ({
+    item: index.items[ids[i]],
+    distanceKm: distanceForChordSquared(d2)
+  }));
+}
+
+/**
+ * Every item within a distance of a position
+ *
+ * @param {Object} index - Result of buildSpatialIndex()
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} radiusKm - Search radius (great-circle)
+ * @returns {Array} [{ item, distanceKm }], nearest first
+ */
+function findWithinRadius(index, lat, lon, radiusKm) {
+  const { ids, coords, size } = index;
+  const query = toUnitVector(lat, lon);
+  const limit = chordSquaredForDistance(radiusKm);
+  const limitChord = Math.sqrt(limit);
+  const found = [];
+
+  const consider = (i) => {
+    const d2 = chordSquared(coords, i, query);
+    if (d2 <= limit) found.push({ i, chordSquared: d2 });
+  };
+
+  const stack = size > 0 ? [0, size - 1, 0] : [];
+  while (stack.length > 0) {
+    const axis = stack.pop();
+    const right = stack.pop();
+    const left = stack.pop();
+
+    if (right - left <= LEAF_SIZE) {
+      for (let i = left; i <= right; i++) consider(i);
+      continue;
+    }
+
+    const middle = (left + right) >> 1;
+    const split = coords[middle * 3 + axis];
+    const nextAxis = (axis + 1) % 3;
+
+    consider(middle);
+    if (query[axis] - limitChord <= split) stack.push(left, middle - 1, nextAxis);
+    if (query[axis] + limitChord >= split) stack.push(middle + 1, right, nextAxis);
+  }
+
+  return found
+    .sort((a, b) => a.chordSquared - b.chordSquared)
+    .map(({ i, chordSquared: d2 }) => ({
+      item: index.items[ids[i]],
+      distanceKm: distanceForChordSquared(d2)
+    }));
+}
+
+module.exports = {
+  buildSpatialIndex,
+  findNearest,
+  findWithinRadius
+};
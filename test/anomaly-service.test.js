@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ANOMALY_TYPES, detectAnomalies } = require('../src/services/anomaly-service');
+
+const HOUR_MS = 3600000;
+const T0 = Date.UTC(2025, 0, 1);
+
+function position(hour, latitude, longitude, altitude = 15) {
+  const timestamp = T0 + hour * HOUR_MS;
+  return { balloonId: 'WB-1', hour, timestamp, validTime: new Date(timestamp).toISOString(), latitude, longitude, altitude };
+}
+
+/**
+ * Balloon data holding one track, given oldest first
+ */
+function singleTrack(positions) {
+  const path = [...positions].reverse();
+  return { balloons: path, balloonPaths: [path], hourlyData: {} };
+}
+
+test('flags implied speeds above the warning and critical limits', () => {
+  // 1° of latitude is ~111 km
+  const data = singleTrack([position(0, 0, 0), position(1, 1, 0), position(2, 3, 0), position(3, 5.3, 0)]);
+  const { anomalies, summary } = detectAnomalies(data);
+
+  const speeds = anomalies.filter(anomaly => anomaly.type === ANOMALY_TYPES.EXCESSIVE_SPEED);
+  assert.deepEqual(speeds.map(anomaly => [anomaly.hour, anomaly.severity]), [[3, 'critical'], [2, 'warning']]);
+  assert.equal(summary.byType[ANOMALY_TYPES.EXCESSIVE_SPEED], 2);
+  assert.deepEqual(data.balloons[0].anomalies, [ANOMALY_TYPES.EXCESSIVE_SPEED]);
+  assert.equal(data.balloons[3].anomalies, undefined);
+});
+
+test('flags altitude jumps faster than a balloon can climb', () => {
+  const { anomalies } = detectAnomalies(singleTrack([position(0, 0, 0, 10), position(1, 0, 0.1, 13), position(3, 0, 0.2, 18)]));
+
+  assert.deepEqual(anomalies.map(({ type, severity, value }) => [type, severity, value]), [
+    [ANOMALY_TYPES.ALTITUDE_DISCONTINUITY, 'warning', 5],
+    [ANOMALY_TYPES.ALTITUDE_DISCONTINUITY, 'warning', 3]
+  ]);
+});
+
+test('flags a balloon that stops moving, by how long it stays put', () => {
+  const warning = detectAnomalies(singleTrack([position(0, 5, 5), position(1, 5, 5), position(2, 5, 5), position(3, 6, 5)]));
+  assert.deepEqual(warning.anomalies.map(({ type, severity, durationHours }) => [type, severity, durationHours]), [
+    [ANOMALY_TYPES.STUCK, 'warning', 2]
+  ]);
+  assert.equal(warning.summary.flaggedPositions, 3);
+
+  const critical = detectAnomalies(singleTrack([0, 1, 2, 3, 4, 5, 6].map(hour => position(hour, 5, 5))));
+  assert.equal(critical.anomalies[0].severity, 'critical');
+
+  const brief = detectAnomalies(singleTrack([position(0, 5, 5), position(1, 5, 5), position(2, 6, 5)]));
+  assert.equal(brief.anomalies.length, 0);
+});
+
+test('flags positions listed more than once in an hour, except in stale hours', () => {
+  const pos = position(0, 1, 1);
+  const other = position(1, 2, 2);
+  const data = {
+    balloons: [other, pos],
+    balloonPaths: [],
+    hourlyData: { '00': [other, other], '01': [pos, pos, pos] },
+    staleHours: [{ hour: '00' }]
+  };
+
+  const { anomalies } = detectAnomalies(data);
+
+  assert.deepEqual(anomalies.map(({ type, severity, value }) => [type, severity, value]), [
+    [ANOMALY_TYPES.DUPLICATE, 'critical', 3]
+  ]);
+  assert.deepEqual(pos.anomalies, [ANOMALY_TYPES.DUPLICATE]);
+});
+
+test('clears tags from an earlier run before checking again', () => {
+  const data = singleTrack([position(0, 0, 0), position(1, 3, 0)]);
+  detectAnomalies(data);
+  assert.ok(data.balloons[0].anomalies);
+
+  const { summary } = detectAnomalies(data, { speedWarningKmPerHour: 1000, speedCriticalKmPerHour: 2000 });
+  assert.equal(summary.total, 0);
+  assert.equal(data.balloons[0].anomalies, undefined);
+});
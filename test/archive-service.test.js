@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  archiveHourlyData,
+  listArchivedHours,
+  parseTimeRange,
+  loadArchivedRange,
+  summarizeArchivedDays
+} = require('../src/services/archive-service');
+
+const HOUR_MS = 3600000;
+const T0 = Date.UTC(2025, 2, 1, 22);
+
+/**
+ * Constellation data in the shape of fetchConstellationData() for the given valid times
+ */
+function balloonData(hours) {
+  const data = { hourlyData: {}, hourValidTimes: {}, staleHours: [] };
+
+  hours.forEach(({ time, positions }, i) => {
+    const hour = String(i).padStart(2, '0');
+    data.hourlyData[hour] = positions.map(([latitude, longitude, altitude]) => ({ latitude, longitude, altitude }));
+    data.hourValidTimes[hour] = new Date(time).toISOString();
+  });
+
+  return data;
+}
+
+function tempArchive(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('parseTimeRange validates and truncates to the hour', () => {
+  assert.deepEqual(
+    parseTimeRange({ from: '2025-03-01T10:30:00Z', to: '2025-03-02T04:59:59Z' }),
+    { from: Date.UTC(2025, 2, 1, 10), to: Date.UTC(2025, 2, 2, 4) }
+  );
+  assert.deepEqual(parseTimeRange({ from: String(T0), to: String(T0 + HOUR_MS) }), { from: T0, to: T0 + HOUR_MS });
+
+  assert.throws(() => parseTimeRange({}), { status: 400, message: 'Missing "from" parameter' });
+  assert.throws(() => parseTimeRange({ from: 'yesterday' }), { status: 400 });
+  assert.throws(() => parseTimeRange({ from: '2025-03-02', to: '2025-03-01' }), { status: 400 });
+  assert.throws(() => parseTimeRange({ from: '2025-03-01', to: '2025-03-05' }, 3), {
+    status: 400,
+    message: 'Time range may not exceed 3 days'
+  });
+});
+
+test('archived hours round-trip and unchanged hours are not rewritten', async (t) => {
+  const dir = tempArchive(t);
+  const data = balloonData([
+    { time: T0 + HOUR_MS, positions: [[10, 20, 15], [-30, 150, 12]] },
+    { time: T0, positions: [[10, 19.8, 15]] }
+  ]);
+
+  assert.deepEqual(await archiveHourlyData(data, dir), { written: 2, unchanged: 0 });
+  assert.deepEqual(await archiveHourlyData(data, dir), { written: 0, unchanged: 2 });
+  assert.deepEqual(await listArchivedHours(dir), ['2025-03-01T22:00:00.000Z', '2025-03-01T23:00:00.000Z']);
+
+  data.staleHours = [{ hour: '00' }];
+  data.hourlyData['00'].push({ latitude: 0, longitude: 0, altitude: 10 });
+  assert.deepEqual(await archiveHourlyData(data, dir), { written: 0, unchanged: 1 });
+});
+
+test('loadArchivedRange rebuilds tracks, reports missing hours and caches per archive version', async (t) => {
+  const dir = tempArchive(t);
+  await archiveHourlyData(balloonData([
+    { time: T0 + HOUR_MS, positions: [[10, 20, 15]] },
+    { time: T0, positions: [[10, 19.8, 15]] }
+  ]), dir);
+
+  const range = await loadArchivedRange(T0 - HOUR_MS, T0 + HOUR_MS, dir);
+
+  assert.equal(range.totalRequests, 3);
+  assert.equal(range.successCount, 2);
+  assert.deepEqual(range.errors.map(error => [error.hour, error.type]), [['02', 'missing']]);
+  assert.equal(range.validTime, new Date(T0 + HOUR_MS).toISOString());
+  assert.deepEqual(range.balloons.map(pos => [pos.hour, pos.longitude]), [[0, 20], [1, 19.8]]);
+  assert.equal(range.uniqueBalloonCount, 1);
+
+  assert.equal(await loadArchivedRange(T0 - HOUR_MS, T0 + HOUR_MS, dir), range);
+
+  await archiveHourlyData(balloonData([{ time: T0 - HOUR_MS, positions: [[10, 19.6, 15]] }]), dir);
+  const reloaded = await loadArchivedRange(T0 - HOUR_MS, T0 + HOUR_MS, dir);
+  assert.notEqual(reloaded, range);
+  assert.equal(reloaded.successCount, 3);
+});
+
+test('summarizeArchivedDays splits on UTC days and reuses unchanged days', async (t) => {
+  const dir = tempArchive(t);
+  await archiveHourlyData(balloonData([
+    { time: T0 + 2 * HOUR_MS, positions: [[1, 1, 10], [2, 2, 10]] },
+    { time: T0, positions: [[1, 1, 10]] }
+  ]), dir);
+
+  const cache = new Map();
+  let calls = 0;
+  const countPositions = (balloons) => {
+    calls++;
+    return { positions: balloons.length };
+  };
+
+  const days = await summarizeArchivedDays(T0, T0 + 3 * HOUR_MS, countPositions, { cache, archiveDir: dir });
+  assert.deepEqual(days, [
+    { date: '2025-03-01', hoursArchived: 1, hoursRequested: 2, positions: 1 },
+    { date: '2025-03-02', hoursArchived: 1, hoursRequested: 2, positions: 2 }
+  ]);
+  assert.equal(calls, 2);
+
+  await archiveHourlyData(balloonData([{ time: T0 + 3 * HOUR_MS, positions: [[3, 3, 10]] }]), dir);
+  const updated = await summarizeArchivedDays(T0, T0 + 3 * HOUR_MS, countPositions, { cache, archiveDir: dir });
+  assert.equal(calls, 3, 'only the changed day is read again');
+  assert.equal(updated[0], days[0]);
+  assert.deepEqual(updated[1], { date: '2025-03-02', hoursArchived: 2, hoursRequested: 2, positions: 3 });
+});
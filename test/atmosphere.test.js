@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  PRESSURE_BANDS,
+  altitudeToPressure,
+  pressureToAltitude,
+  getPressureBand,
+  getBandAltitudeRange
+} = require('../src/utils/atmosphere');
+
+// ISA reference values (hPa) at the layer boundaries
+const ISA = [[0, 1013.25], [5, 540.20], [11, 226.32], [20, 54.75], [32, 8.68]];
+
+test('altitudeToPressure follows the standard atmosphere', () => {
+  ISA.forEach(([altitude, pressure]) => {
+    assert.ok(Math.abs(altitudeToPressure(altitude) - pressure) < 0.05, `${altitude} km`);
+  });
+});
+
+test('pressureToAltitude inverts altitudeToPressure in every layer', () => {
+  [0.5, 3, 9, 11, 15, 19.9, 25, 35].forEach((altitude) => {
+    assert.ok(Math.abs(pressureToAltitude(altitudeToPressure(altitude)) - altitude) < 1e-6, `${altitude} km`);
+  });
+});
+
+test('getPressureBand places pressures between standard levels', () => {
+  assert.equal(getPressureBand(1050).id, '1000-850');
+  assert.equal(getPressureBand(851).id, '1000-850');
+  assert.equal(getPressureBand(850).id, '850-700');
+  assert.equal(getPressureBand(250).id, '300-200');
+  assert.equal(getPressureBand(5).id, '100-0');
+  assert.equal(getPressureBand(altitudeToPressure(15)).id, '200-100');
+});
+
+test('band altitude ranges tile the column without gaps', () => {
+  const ranges = PRESSURE_BANDS.map(getBandAltitudeRange);
+
+  assert.equal(ranges[0].minAltitude, 0);
+  assert.equal(ranges[ranges.length - 1].maxAltitude, Infinity);
+  for (let i = 1; i < ranges.length; i++) {
+    assert.ok(Math.abs(ranges[i].minAltitude - ranges[i - 1].maxAltitude) < 1e-9);
+  }
+});
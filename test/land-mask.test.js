@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isOverOcean, getOceanBasin, listOceanBasins } = require('../src/utils/land-mask');
+
+test('land and sea are told apart, including at the antimeridian', () => {
+  [[40, -100], [-25, 135], [48.9, 2.35], [-75, 0], [65, 178]].forEach(([lat, lon]) => {
+    assert.equal(isOverOcean(lat, lon), false, `${lat}, ${lon}`);
+  });
+  [[0, -140], [30, -40], [-30, 80], [0, 180], [0, -180], [89.5, 0]].forEach(([lat, lon]) => {
+    assert.equal(isOverOcean(lat, lon), true, `${lat}, ${lon}`);
+  });
+});
+
+test('ocean basins are named', () => {
+  assert.equal(getOceanBasin(30, -150), 'North Pacific');
+  assert.equal(getOceanBasin(-30, -120), 'South Pacific');
+  assert.equal(getOceanBasin(30, -40), 'North Atlantic');
+  assert.equal(getOceanBasin(-30, -10), 'South Atlantic');
+  assert.equal(getOceanBasin(-20, 75), 'Indian Ocean');
+  assert.equal(getOceanBasin(-65, 0), 'Southern Ocean');
+  assert.equal(getOceanBasin(80, 0), 'Arctic Ocean');
+  assert.equal(getOceanBasin(35, 18), 'Mediterranean Sea');
+  assert.equal(getOceanBasin(15, -75), 'Caribbean Sea');
+  assert.equal(getOceanBasin(25, -90), 'Gulf of Mexico');
+  assert.equal(getOceanBasin(40, -100), null);
+});
+
+test('the seas inside the Indonesian archipelago are not part of the open oceans', () => {
+  [[-5, 110], [-5, 128], [-7.5, 121], [3, 122], [-2, 118]].forEach(([lat, lon]) => {
+    assert.equal(getOceanBasin(lat, lon), 'Indonesian Seas', `${lat}, ${lon}`);
+  });
+  assert.equal(getOceanBasin(-10, 110), 'Indian Ocean');
+  assert.ok(listOceanBasins().includes('Indonesian Seas'));
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EVENT_TYPES, detectLifecycleEvents, countEventsByDay } = require('../src/services/lifecycle-service');
+
+const HOUR_MS = 3600000;
+const T0 = Date.UTC(2025, 0, 1, 20);
+const WINDOW_HOURS = 8;
+
+function position(balloonId, offset) {
+  const timestamp = T0 + offset * HOUR_MS;
+  return { balloonId, timestamp, validTime: new Date(timestamp).toISOString(), latitude: 0, longitude: offset, altitude: 15 };
+}
+
+/**
+ * An eight-hour window (T0 to T0 + 7h) with tracks observed at the given hour offsets
+ */
+function windowWith(tracks, { recoveredOffsets = [] } = {}) {
+  const hourValidTimes = {};
+  const parseReports = {};
+
+  for (let offset = 0; offset < WINDOW_HOURS; offset++) {
+    const hour = String(WINDOW_HOURS - 1 - offset).padStart(2, '0');
+    hourValidTimes[hour] = new Date(T0 + offset * HOUR_MS).toISOString();
+    parseReports[hour] = { recovered: recoveredOffsets.includes(offset) };
+  }
+
+  const balloonPaths = Object.entries(tracks).map(([id, offsets]) => (
+    offsets.map(offset => position(id, offset)).reverse()
+  ));
+
+  return { hourValidTimes, parseReports, balloonPaths };
+}
+
+function summarize(events) {
+  return events.map(({ type, balloonId, timestamp }) => [type, balloonId, (timestamp - T0) / HOUR_MS]);
+}
+
+test('detects launches, terminations and gaps inside the window', () => {
+  const events = detectLifecycleEvents(windowWith({
+    steady: [0, 1, 2, 3, 4, 5, 6, 7],
+    launched: [3, 4, 5, 6, 7],
+    ended: [0, 1, 2],
+    skipped: [0, 1, 3, 4, 5, 6, 7]
+  }));
+
+  assert.deepEqual(summarize(events).sort(), [
+    [EVENT_TYPES.GAP, 'skipped', 3],
+    [EVENT_TYPES.LAUNCH, 'launched', 3],
+    [EVENT_TYPES.TERMINATION, 'ended', 2]
+  ].sort());
+
+  const termination = events.find(event => event.type === EVENT_TYPES.TERMINATION);
+  assert.equal(termination.observedHours, 3);
+  const gap = events.find(event => event.type === EVENT_TYPES.GAP);
+  assert.equal(gap.missingHours, 1);
+  assert.equal(gap.lastSeen.longitude, 1);
+});
+
+test('does not treat a short silence at the end of the window as a termination', () => {
+  const events = detectLifecycleEvents(windowWith({ quiet: [0, 1, 2, 3, 4] }));
+  assert.deepEqual(events, []);
+});
+
+test('ignores events next to hours salvaged from a truncated payload', () => {
+  const events = detectLifecycleEvents(windowWith({
+    launched: [3, 4, 5, 6, 7],
+    ended: [0, 1, 2],
+    skipped: [0, 1, 4, 5, 6, 7]
+  }, { recoveredOffsets: [2, 3] }));
+
+  // Every event here borders hours 2 and 3, and both were salvaged
+  assert.deepEqual(events, []);
+});
+
+test('countEventsByDay groups by UTC date, most recent first', () => {
+  // Offset 4 is midnight on 2 January
+  const events = detectLifecycleEvents(windowWith({
+    launched: [4, 5, 6, 7],
+    ended: [0, 1, 2],
+    skipped: [0, 1, 3, 4, 5, 6, 7]
+  }));
+
+  assert.deepEqual(countEventsByDay(events), [
+    { date: '2025-01-02', launches: 1, terminations: 0, gaps: 0 },
+    { date: '2025-01-01', launches: 0, terminations: 1, gaps: 1 }
+  ]);
+});
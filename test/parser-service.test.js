@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PARSE_REJECTION_REASONS, parseHourlyPayload } = require('../src/services/parser-service');
+
+test('parses a well-formed payload without recovery', () => {
+  const { entries, rejected, report } = parseHourlyPayload('[[10.5, -20.25, 15.1], [1, 2, 3, 99]]');
+
+  assert.deepEqual(entries, [
+    { index: 0, values: [10.5, -20.25, 15.1] },
+    { index: 1, values: [1, 2, 3] }
+  ]);
+  assert.deepEqual(rejected, []);
+  assert.equal(report.recovered, false);
+  assert.equal(report.totalEntries, 2);
+  assert.equal(report.salvaged, 2);
+  assert.deepEqual(report.issues, []);
+});
+
+test('classifies bad entries in valid JSON', () => {
+  const { entries, report } = parseHourlyPayload('[[1, 2, 3], [null, 2, 3], [1, 2], "x", [1, "2", 3]]');
+
+  assert.deepEqual(entries.map(entry => entry.index), [0]);
+  assert.equal(report.recovered, false);
+  assert.equal(report.rejected, 4);
+  assert.deepEqual(report.reasons, {
+    [PARSE_REJECTION_REASONS.NULL_VALUE]: 1,
+    [PARSE_REJECTION_REASONS.TOO_FEW_VALUES]: 1,
+    [PARSE_REJECTION_REASONS.NOT_AN_ARRAY]: 1,
+    [PARSE_REJECTION_REASONS.NON_NUMERIC]: 1
+  });
+});
+
+test('salvages entries around NaN, bare words and a truncated tail', () => {
+  const { entries, rejected, report } = parseHourlyPayload('[[1,2,3],[NaN,5,6],[1,2,abc],[Infinity,1,1],[7,8,9],[1,2');
+
+  assert.equal(report.recovered, true);
+  assert.deepEqual(entries, [
+    { index: 0, values: [1, 2, 3] },
+    { index: 4, values: [7, 8, 9] }
+  ]);
+  assert.deepEqual(rejected.map(({ index, reason }) => [index, reason]), [
+    [1, PARSE_REJECTION_REASONS.NAN_VALUE],
+    [2, PARSE_REJECTION_REASONS.NON_NUMERIC],
+    [3, PARSE_REJECTION_REASONS.NON_FINITE],
+    [5, PARSE_REJECTION_REASONS.TRUNCATED]
+  ]);
+  assert.equal(rejected[0].raw, '[NaN,5,6]');
+  assert.equal(report.totalEntries, report.salvaged + report.rejected);
+  assert.ok(report.issues.includes('truncated'));
+});
+
+test('reports trailing garbage but keeps the array', () => {
+  const { entries, report } = parseHourlyPayload('[[1, 2, 3]] xx');
+
+  assert.equal(entries.length, 1);
+  assert.equal(report.recovered, true);
+  assert.ok(report.issues.includes('trailing garbage'));
+});
+
+test('rejects a payload that is not an array', () => {
+  assert.throws(() => parseHourlyPayload('{"a": 1}'), /not an array/);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  ERROR_TYPES,
+  classifyError,
+  backoffDelay,
+  mapWithConcurrency,
+  createCircuitBreaker,
+  createResilientSource
+} = require('../src/services/resilience-service');
+
+/**
+ * Hourly source that replays scripted responses; an Error entry is thrown
+ */
+function scriptedSource(responses) {
+  const calls = [];
+  return {
+    calls,
+    describe: () => ({ type: 'scripted' }),
+    async fetchHour(hour) {
+      calls.push(hour);
+      const response = responses.length > 1 ? responses.shift() : responses[0];
+      if (response instanceof Error) throw response;
+      return response;
+    }
+  };
+}
+
+function networkError() {
+  const error = new Error('socket hang up');
+  error.code = 'ECONNRESET';
+  return error;
+}
+
+const FAST = { baseDelayMs: 1, maxDelayMs: 2 };
+
+test('classifyError tells timeouts, HTTP, parse and network failures apart', () => {
+  assert.equal(classifyError(Object.assign(new Error('t'), { type: 'request-timeout' })), ERROR_TYPES.TIMEOUT);
+  assert.equal(classifyError(Object.assign(new Error('HTTP 503'), { status: 503 })), ERROR_TYPES.HTTP_STATUS);
+  assert.equal(classifyError(new SyntaxError('Unexpected token')), ERROR_TYPES.PARSE);
+  assert.equal(classifyError(networkError()), ERROR_TYPES.NETWORK);
+});
+
+test('backoffDelay grows exponentially with jitter and stays under the ceiling', () => {
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const exponential = Math.min(1000, 100 * 2 ** attempt);
+    const delay = backoffDelay(attempt, { baseDelayMs: 100, maxDelayMs: 1000 });
+    assert.ok(delay >= exponential / 2 && delay <= exponential, `attempt ${attempt}: ${delay}`);
+  }
+});
+
+test('mapWithConcurrency keeps input order and never exceeds the limit', async () => {
+  let running = 0;
+  let peak = 0;
+
+  const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (ms, index) => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    running--;
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(peak, 2);
+});
+
+test('circuit breaker opens, lets one probe through after the cooldown and closes on success', async () => {
+  const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 20 });
+
+  breaker.recordFailure();
+  assert.equal(breaker.getState().state, 'closed');
+  breaker.recordFailure();
+  assert.equal(breaker.getState().state, 'open');
+  assert.equal(breaker.allowRequest(), false);
+
+  await new Promise(resolve => setTimeout(resolve, 25));
+  assert.equal(breaker.allowRequest(), true);
+  assert.equal(breaker.getState().state, 'half-open');
+  assert.equal(breaker.allowRequest(), false, 'only one probe at a time');
+
+  const waiting = breaker.waitForProbe();
+  breaker.recordSuccess();
+  await waiting;
+  assert.equal(breaker.getState().state, 'closed');
+  assert.equal(breaker.getState().consecutiveFailures, 0);
+});
+
+test('a failed probe re-opens the circuit', async () => {
+  const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 10 });
+  breaker.recordFailure();
+
+  await new Promise(resolve => setTimeout(resolve, 15));
+  assert.equal(breaker.allowRequest(), true);
+  breaker.recordFailure();
+  assert.equal(breaker.getState().state, 'open');
+});
+
+test('resilient source retries retryable failures and reports the attempts', async () => {
+  const source = scriptedSource([networkError(), { ok: false, status: 503 }, { ok: true, status: 200, text: '[]' }]);
+  const resilient = createResilientSource(source, { ...FAST, retries: 2 });
+
+  const result = await resilient.fetchHour(3);
+
+  assert.equal(result.attempts, 3);
+  assert.equal(result.text, '[]');
+  assert.deepEqual(source.calls, [3, 3, 3]);
+  assert.equal(resilient.getCircuitState().state, 'closed');
+});
+
+test('resilient source gives up after the retry budget with a typed error', async () => {
+  const source = scriptedSource([{ ok: false, status: 500 }]);
+  const resilient = createResilientSource(source, { ...FAST, retries: 1, failureThreshold: 10 });
+
+  await assert.rejects(resilient.fetchHour(0), (error) => {
+    assert.equal(error.type, ERROR_TYPES.HTTP_STATUS);
+    assert.equal(error.status, 500);
+    assert.equal(error.attempts, 2);
+    return true;
+  });
+});
+
+test('resilient source does not retry a 404 or count it against the circuit', async () => {
+  const source = scriptedSource([{ ok: false, status: 404 }]);
+  const resilient = createResilientSource(source, { ...FAST, retries: 3, failureThreshold: 1 });
+
+  await assert.rejects(resilient.fetchHour(0), { type: ERROR_TYPES.HTTP_STATUS, status: 404 });
+  assert.equal(source.calls.length, 1);
+  assert.equal(resilient.getCircuitState().state, 'closed');
+});
+
+test('resilient source fails fast while the circuit is open', async () => {
+  const source = scriptedSource([networkError()]);
+  const resilient = createResilientSource(source, { ...FAST, retries: 0, failureThreshold: 2, cooldownMs: 60000 });
+
+  await assert.rejects(resilient.fetchHour(0), { type: ERROR_TYPES.NETWORK });
+  await assert.rejects(resilient.fetchHour(1), { type: ERROR_TYPES.NETWORK });
+  await assert.rejects(resilient.fetchHour(2), { type: ERROR_TYPES.CIRCUIT_OPEN });
+
+  assert.deepEqual(source.calls, [0, 1]);
+  assert.equal(resilient.getCircuitState().state, 'open');
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseScenario, runScenario } = require('../src/services/scenario-service');
+const { reconstructTracks } = require('../src/services/tracking-service');
+
+const HOUR_MS = 3600000;
+const T0 = Date.UTC(2025, 0, 1, 12);
+
+/**
+ * One balloon drifting east along the equator for three hours
+ */
+function balloonData() {
+  const balloons = [0, 1, 2].map(hour => ({
+    latitude: 0,
+    longitude: -30 - hour * 0.3,
+    altitude: 15,
+    hour,
+    timestamp: T0 - hour * HOUR_MS,
+    validTime: new Date(T0 - hour * HOUR_MS).toISOString(),
+    oceanBasin: 'South Atlantic'
+  }));
+
+  return { balloons, hourlyData: {}, errors: [], successCount: 3, totalRequests: 3, ...reconstructTracks(balloons) };
+}
+
+const STATIONS = [
+  { id: 'a', name: 'A', country: 'XX', latitude: 0, longitude: -30, network: 'surface' },
+  { id: 'b', name: 'B', country: 'YY', latitude: 50, longitude: 10, network: 'surface' }
+];
+
+function metric(result, id) {
+  return result.metrics.find(entry => entry.id === id);
+}
+
+test('parseScenario normalizes a full scenario', () => {
+  const scenario = parseScenario({
+    name: 'Pacific push',
+    removeStations: { countries: [' xx '], ids: [42], regions: [{ south: '-10', west: 100, north: 10, east: 120 }] },
+    addStations: [{ latitude: '12.5', longitude: -40 }],
+    launches: [{ latitude: 20, longitude: 160, count: '3' }]
+  });
+
+  assert.deepEqual(scenario, {
+    name: 'Pacific push',
+    removeStations: {
+      countries: ['XX'],
+      ids: ['42'],
+      regions: [{ south: -10, west: 100, north: 10, east: 120 }]
+    },
+    addStations: [{ latitude: 12.5, longitude: -40, name: 'Scenario station 1' }],
+    launches: [{ latitude: 20, longitude: 160, count: 3, altitude: 15, name: 'Launch site 1' }]
+  });
+});
+
+test('parseScenario treats missing sections as empty', () => {
+  assert.deepEqual(parseScenario({}), {
+    name: null,
+    removeStations: { countries: [], ids: [], regions: [] },
+    addStations: [],
+    launches: []
+  });
+});
+
+test('parseScenario rejects values that only coerce to numbers', () => {
+  for (const latitude of ['', '  ', null, false, true, [], [5], {}, 'north']) {
+    assert.throws(
+      () => parseScenario({ addStations: [{ latitude, longitude: 0 }] }),
+      { status: 400, message: 'Invalid latitude for added station 1' },
+      `latitude ${JSON.stringify(latitude)}`
+    );
+  }
+
+  assert.throws(() => parseScenario({ launches: [{ latitude: 0, longitude: 0, count: true }] }), { status: 400 });
+  assert.throws(() => parseScenario({ launches: [{ latitude: 0, longitude: 0, altitude: '' }] }), { status: 400 });
+  assert.throws(
+    () => parseScenario({ removeStations: { regions: [{ south: '', west: 0, north: 1, east: 1 }] } }),
+    { status: 400, message: 'Region 1 needs south, west, north and east' }
+  );
+});
+
+test('parseScenario rejects malformed sections and entries', () => {
+  assert.throws(() => parseScenario([]), { status: 400, message: 'Scenario must be a JSON object' });
+  assert.throws(() => parseScenario({ removeStations: ['XX'] }), { status: 400, message: '"removeStations" must be an object' });
+  assert.throws(() => parseScenario({ addStations: {} }), { status: 400, message: '"addStations" must be an array' });
+  assert.throws(() => parseScenario({ addStations: [[10, 20]] }), { status: 400, message: 'Added station 1 must be an object' });
+  assert.throws(() => parseScenario({ launches: ['here'] }), { status: 400, message: 'Launch 1 must be an object' });
+  assert.throws(() => parseScenario({ launches: [{ latitude: 91, longitude: 0 }] }), { status: 400 });
+  assert.throws(() => parseScenario({ launches: [{ latitude: 0, longitude: 0, count: 1.5 }] }), { status: 400 });
+  assert.throws(() => parseScenario({ launches: [{ latitude: 0, longitude: 0, count: 201 }] }), { status: 400 });
+});
+
+test('runScenario reports removed stations and launched balloons against the baseline', () => {
+  const data = balloonData();
+  const result = runScenario(data, STATIONS, parseScenario({
+    removeStations: { countries: ['XX'] },
+    launches: [{ latitude: -40, longitude: 0, count: 2 }]
+  }));
+
+  assert.equal(result.changes.stationsRemoved, 1);
+  assert.equal(result.changes.balloonsLaunched, 2);
+  assert.equal(result.syntheticTracks.length, 2);
+  assert.deepEqual(metric(result, 'stations'), {
+    id: 'stations', label: 'Weather stations', unit: 'count', baseline: 2, scenario: 1, delta: -1
+  });
+  assert.equal(metric(result, 'balloons').delta, 2);
+
+  // The only balloon sat next to station A; without it every observation is unique coverage
+  assert.equal(metric(result, 'uniqueCoveragePercentage').baseline, 0);
+  assert.equal(metric(result, 'uniqueCoveragePercentage').scenario, 100);
+
+  // The live data is never modified
+  assert.equal(data.balloons.length, 3);
+});
+
+test('runScenario reuses the result for the same scenario under another name', () => {
+  const data = balloonData();
+  const first = runScenario(data, STATIONS, parseScenario({ name: 'one', addStations: [{ latitude: 10, longitude: 10 }] }));
+  const second = runScenario(data, STATIONS, parseScenario({ name: 'two', addStations: [{ latitude: 10, longitude: 10 }] }));
+  const otherRadius = runScenario(data, STATIONS, parseScenario({ addStations: [{ latitude: 10, longitude: 10 }] }), { radiusKm: 500 });
+
+  assert.equal(second, first);
+  assert.notEqual(otherRadius, first);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateDistance } = require('../src/utils/geo');
+const { buildSpatialIndex, findNearest, findWithinRadius } = require('../src/utils/spatial-index');
+
+/**
+ * Deterministic pseudo-random points spread over the sphere
+ */
+function scatter(count, seed = 1) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+
+  return Array.from({ length: count }, (_, id) => ({
+    id,
+    latitude: (Math.asin(2 * random() - 1) * 180) / Math.PI,
+    longitude: random() * 360 - 180
+  }));
+}
+
+function bruteForce(items, lat, lon) {
+  return items
+    .map(item => ({ item, distanceKm: calculateDistance(lat, lon, item.latitude, item.longitude) }))
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+const ITEMS = scatter(2000);
+const INDEX = buildSpatialIndex(ITEMS);
+const QUERIES = scatter(200, 7).concat([
+  { latitude: 0, longitude: 180 },
+  { latitude: 0, longitude: -180 },
+  { latitude: 90, longitude: 0 },
+  { latitude: -90, longitude: 45 }
+]);
+
+test('findNearest matches a brute-force search, across the antimeridian and at the poles', () => {
+  QUERIES.forEach(({ latitude, longitude }) => {
+    const expected = bruteForce(ITEMS, latitude, longitude).slice(0, 3);
+    const found = findNearest(INDEX, latitude, longitude, { k: 3 });
+
+    assert.deepEqual(found.map(entry => entry.item.id), expected.map(entry => entry.item.id));
+    found.forEach((entry, i) => assert.ok(Math.abs(entry.distanceKm - expected[i].distanceKm) < 0.01));
+  });
+});
+
+test('findNearest respects maxDistanceKm and handles an empty index', () => {
+  const [nearest] = bruteForce(ITEMS, 10, 10);
+  assert.deepEqual(findNearest(INDEX, 10, 10, { maxDistanceKm: nearest.distanceKm - 1 }), []);
+  assert.equal(findNearest(INDEX, 10, 10, { maxDistanceKm: nearest.distanceKm + 1 })[0].item, nearest.item);
+  assert.deepEqual(findNearest(buildSpatialIndex([]), 10, 10), []);
+});
+
+test('findWithinRadius returns exactly the items in range, nearest first', () => {
+  QUERIES.slice(0, 50).forEach(({ latitude, longitude }) => {
+    const expected = bruteForce(ITEMS, latitude, longitude).filter(entry => entry.distanceKm <= 800);
+    const found = findWithinRadius(INDEX, latitude, longitude, 800);
+
+    assert.deepEqual(found.map(entry => entry.item.id), expected.map(entry => entry.item.id));
+  });
+});
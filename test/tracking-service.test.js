@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  solveAssignment,
+  associateTracks,
+  assignStableIds,
+  reconstructTracks
+} = require('../src/services/tracking-service');
+
+const HOUR_MS = 3600000;
+const T0 = Date.UTC(2025, 0, 1);
+
+/**
+ * Position observed `offset` hours after T0, in a 24-hour window ending at T0 + 23h
+ */
+function position(offset, latitude, longitude, altitude = 15) {
+  return { timestamp: T0 + offset * HOUR_MS, hour: 23 - offset, latitude, longitude, altitude };
+}
+
+test('solveAssignment finds the minimum total cost, not the greedy one', () => {
+  // Greedy takes row 0 → col 0 (1) and then pays 100 for row 1; optimal is 2 + 2
+  const cost = [
+    Float64Array.from([1, 2]),
+    Float64Array.from([2, 100])
+  ];
+  assert.deepEqual(Array.from(solveAssignment(cost)), [1, 0]);
+
+  const crossed = [
+    Float64Array.from([4, 1, 3]),
+    Float64Array.from([2, 0, 5]),
+    Float64Array.from([3, 2, 2])
+  ];
+  const assignment = Array.from(solveAssignment(crossed));
+  assert.deepEqual(assignment, [1, 0, 2]);
+  assert.equal(assignment.reduce((sum, col, row) => sum + crossed[row][col], 0), 5);
+});
+
+test('associateTracks does not let one balloon steal its neighbour\'s match', () => {
+  // The balloon at 1° is nearest to 0.55°, but taking it would leave the one at 0° a 1.6° jump
+  const positions = [
+    position(0, 0, 0), position(0, 0, 1),
+    position(1, 0, 0.55), position(1, 0, 1.6)
+  ];
+
+  const tracks = associateTracks(positions);
+
+  assert.equal(tracks.length, 2);
+  const longitudes = tracks.map(track => track.map(pos => pos.longitude)).sort((a, b) => a[1] - b[1]);
+  assert.deepEqual(longitudes, [[0.55, 0], [1.6, 1]]);
+});
+
+test('associateTracks bridges missing hours and splits implausible jumps', () => {
+  const bridged = associateTracks([position(0, 10, 10), position(2, 10, 11)]);
+  assert.equal(bridged.length, 1);
+
+  const tooLong = associateTracks([position(0, 10, 10), position(5, 10, 10.5)]);
+  assert.equal(tooLong.length, 2);
+
+  // ~1,100 km in one hour is beyond the speed gate
+  const tooFast = associateTracks([position(0, 10, 10), position(1, 20, 10)]);
+  assert.equal(tooFast.length, 2);
+
+  const tooSteep = associateTracks([position(0, 10, 10, 2), position(1, 10, 10.1, 20)]);
+  assert.equal(tooSteep.length, 2);
+});
+
+test('assignStableIds keeps IDs across overlapping refreshes and is deterministic', () => {
+  const first = assignStableIds(associateTracks([position(0, 0, 0), position(1, 0, 0.5), position(0, 30, 30)]));
+  const again = assignStableIds(associateTracks([position(0, 0, 0), position(1, 0, 0.5), position(0, 30, 30)]));
+  assert.deepEqual(first.tracks.map(track => track.id), again.tracks.map(track => track.id));
+  assert.equal(new Set(first.tracks.map(track => track.id)).size, 2);
+
+  // The next refresh drops hour 0 and adds hour 2; the balloon keeps its ID
+  const idBefore = first.tracks.find(track => track.positions[0].latitude === 0).id;
+  const next = assignStableIds(associateTracks([position(1, 0, 0.5), position(2, 0, 1)]), first.index);
+  assert.equal(next.tracks.length, 1);
+  assert.equal(next.tracks[0].id, idBefore);
+  assert.ok(next.tracks[0].positions.every(pos => pos.balloonId === idBefore));
+});
+
+test('reconstructTracks counts balloons still reporting at the latest hour', () => {
+  const result = reconstructTracks([position(0, 0, 0), position(1, 0, 0.5), position(0, 40, 40)]);
+
+  assert.equal(result.uniqueBalloonCount, 2);
+  assert.equal(result.activeBalloonCount, 1);
+  assert.equal(result.tracks.find(track => track.observations === 2).lastHour, 22);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  VALIDATION_REASONS,
+  validatePosition,
+  summarizeRejections,
+  buildDataQualityReport
+} = require('../src/services/validation-service');
+
+test('validatePosition gives a reason for each impossible triple', () => {
+  assert.equal(validatePosition([45, 120, 12]), null);
+  assert.equal(validatePosition([-90, -180, 0]), null);
+  assert.equal(validatePosition([90.1, 0, 10]), VALIDATION_REASONS.LATITUDE_OUT_OF_RANGE);
+  assert.equal(validatePosition([0, -180.5, 10]), VALIDATION_REASONS.LONGITUDE_OUT_OF_RANGE);
+  assert.equal(validatePosition([0, 0, -0.1]), VALIDATION_REASONS.NEGATIVE_ALTITUDE);
+});
+
+/**
+ * Two hours of fetch results: one clean, one with rejections and a repeated position
+ */
+function fetchResults() {
+  const position = { latitude: 1, longitude: 2, altitude: 10 };
+  return {
+    hourlyData: { '00': [position, { latitude: 3, longitude: 4, altitude: 11 }], '01': [position] },
+    duplicatesRemoved: 1,
+    parseReports: {
+      '00': { totalEntries: 2, recovered: false, issues: [] },
+      '01': { totalEntries: 4, recovered: true, issues: ['truncated'] }
+    },
+    rejectionCounts: { '01': { nan_value: 1, negative_altitude: 2 } },
+    rejectedRecords: [
+      { hour: '01', index: 1, reason: 'nan_value', raw: '[NaN,1,1]' },
+      { hour: '01', index: 2, reason: 'negative_altitude', raw: '[1,1,-1]' },
+      { hour: '01', index: 3, reason: 'negative_altitude', raw: '[1,1,-2]' }
+    ],
+    hourValidTimes: { '00': '2025-01-01T01:00:00.000Z', '01': '2025-01-01T00:00:00.000Z' },
+    errors: [{ hour: '02', error: 'HTTP 404', type: 'http_status' }],
+    successCount: 2,
+    totalRequests: 3
+  };
+}
+
+test('summarizeRejections balances accepted and rejected entries before deduplication', () => {
+  assert.deepEqual(summarizeRejections(fetchResults()), {
+    totalEntries: 6,
+    acceptedPositions: 3,
+    rejectedPositions: 3,
+    duplicatesRemoved: 1,
+    rejectionReasons: { nan_value: 1, negative_altitude: 2 },
+    recoveredHours: 1
+  });
+});
+
+test('buildDataQualityReport breaks hours down and filters rejected records', () => {
+  const report = buildDataQualityReport(fetchResults(), { reason: 'negative_altitude', limit: 1 });
+
+  assert.equal(report.summary.hoursAvailable, 2);
+  assert.deepEqual(
+    report.hours.slice(0, 3).map(({ hour, status, accepted, rejected }) => ({ hour, status, accepted, rejected })),
+    [
+      { hour: '00', status: 'ok', accepted: 2, rejected: 0 },
+      { hour: '01', status: 'ok', accepted: 1, rejected: 3 },
+      { hour: '02', status: 'error', accepted: undefined, rejected: undefined }
+    ]
+  );
+  assert.equal(report.hours[2].error, 'HTTP 404');
+  assert.equal(report.rejectedRecordCount, 2);
+  assert.deepEqual(report.rejectedRecords.map(record => record.index), [2]);
+
+  assert.equal(buildDataQualityReport(fetchResults(), { hour: '00' }).rejectedRecordCount, 0);
+});
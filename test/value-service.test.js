@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateObservationValue } = require('../src/services/value-service');
+
+const T0 = Date.UTC(2025, 0, 1);
+
+function position(balloonId, latitude, longitude, { altitude = 5, oceanBasin = 'South Pacific' } = {}) {
+  return { balloonId, latitude, longitude, altitude, oceanBasin, hour: 0, timestamp: T0, validTime: new Date(T0).toISOString() };
+}
+
+// 5 km is in the 700 - 500 hPa band, weighted 1
+const STATIONS = [{ id: 'a', latitude: 0, longitude: 0 }];
+
+function scoresOf(balloons) {
+  return calculateObservationValue({ balloons }, STATIONS, { positions: true }).positions;
+}
+
+test('scores distance to the nearest station on a 500 km scale', () => {
+  // 1° of longitude on the equator is ~111 km
+  const [near, far] = scoresOf([position('near', 0, 0.45), position('far', 0, 90)]);
+
+  assert.ok(Math.abs(near.factors.distance - (1 - Math.exp(-near.nearestStationKm / 500))) < 0.001);
+  assert.ok(near.score < 10);
+  assert.equal(far.factors.distance, 1);
+  assert.equal(far.score, 100);
+});
+
+test('weights down land, less useful pressure bands and clustered balloons', () => {
+  const [land] = scoresOf([position('land', 0, 90, { oceanBasin: null })]);
+  assert.equal(land.factors.surface, 0.6);
+  assert.equal(land.score, 60);
+
+  const [cruise] = scoresOf([position('cruise', 0, 90, { altitude: 10 })]);
+  assert.equal(cruise.band, '300-200');
+  assert.equal(cruise.score, 80);
+
+  // Two balloons ~55 km apart share the value; a second fix of the same balloon does not count
+  const [first, second, own] = scoresOf([position('a', 0, 90), position('b', 0, 90.5), position('a', 0, 90.2)]);
+  assert.equal(first.neighbours, 1);
+  assert.equal(second.neighbours, 2);
+  assert.equal(own.neighbours, 1);
+  assert.equal(first.score, 50);
+});
+
+test('ranks balloons by total value and sums the constellation', () => {
+  const { summary, topBalloons } = calculateObservationValue({
+    balloons: [position('remote', 0, 90), position('remote', 10, 90), position('nearby', 0, 0.45)]
+  }, STATIONS, { count: 1 });
+
+  assert.equal(topBalloons.length, 1);
+  assert.equal(topBalloons[0].balloonId, 'remote');
+  assert.equal(topBalloons[0].totalScore, 200);
+  assert.equal(summary.observations, 3);
+  assert.equal(summary.bySurface.ocean.observations, 3);
+  assert.equal(summary.histogram[9].count, 2);
+  assert.equal(summary.histogram.reduce((sum, bin) => sum + bin.count, 0), 3);
+});